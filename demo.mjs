@@ -24,19 +24,38 @@ const DEMO_CONFIG = {
       id: 'stream',
       name: 'Stream',
       method: 'processUsersAsStream',
-      description: 'Reads the file line by line using streams.',
+      description:
+        'Reads the file line by line using streams and writes through a single write stream.',
       outputFile: path.join(process.cwd(), 'demo-output-stream.csv'),
     },
+    {
+      id: 'streamAppendFile',
+      name: 'Stream (appendFile)',
+      method: 'processUsersAsStream',
+      options: { writeStrategy: 'appendFile' },
+      description:
+        'Same as Stream, but appends every row with fs.appendFile, which opens and closes the output file for each row.',
+      outputFile: path.join(process.cwd(), 'demo-output-stream-append.csv'),
+    },
     {
       id: 'streamConcurrency',
       name: 'Stream + Concurrency',
       method: 'processUsersAsStreamAndConcurrency',
-      description: 'Uses streams and processes file operations concurrently.',
+      description:
+        'Uses streams and writes the processed lines in batches of 1000.',
       outputFile: path.join(
         process.cwd(),
         'demo-output-stream-concurrency.csv'
       ),
     },
+    {
+      id: 'parallel',
+      name: 'Worker Threads',
+      method: 'processUsersInParallel',
+      description:
+        'Splits the file into byte ranges aligned to records, processes them on a pool of worker threads and merges the output in order.',
+      outputFile: path.join(process.cwd(), 'demo-output-parallel.csv'),
+    },
   ],
 };
 
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+import { RandomCsvGenerator } from './src/random-csv-generator.mjs';
+
+try {
+  await RandomCsvGenerator.run();
+} catch (e) {
+  console.error(`Error: ${e.toString()}`);
+  console.error('Error generating csv file.');
+  console.error(`Usage: node generate-input.mjs <limit> <filePath>`);
+  process.exit(1);
+}
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+import { Cli } from './src/cli.mjs';
+
+process.exitCode = await new Cli().run(process.argv.slice(2));
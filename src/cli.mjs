@@ -0,0 +1,457 @@
+/**
+ * @fileoverview Command-line interface for the CSV parser
+ * @module Cli
+ */
+
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { CsvParser } from './csv-parser.mjs';
+import { AbortError, CsvValidationError } from './errors.mjs';
+
+const MODES = {
+  normal: 'processUsers',
+  stream: 'processUsersAsStream',
+  concurrent: 'processUsersAsStreamAndConcurrency',
+  parallel: 'processUsersInParallel',
+};
+
+const LINE_TERMINATORS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+const USAGE = `Usage: node main.mjs [options] <input> [output]
+
+Validates and transforms a CSV file. Use "-" as input or output to read from
+stdin or write to stdout. The output defaults to output.csv next to the input,
+or to stdout when reading from stdin.
+
+Options:
+  -m, --mode <mode>         normal, stream, concurrent or parallel (default:
+                            stream)
+  -w, --workers <count>     Worker threads of the parallel mode (default: one
+                            per CPU)
+  -d, --delimiter <char>    Field delimiter, "tab" for tabs (default: ",")
+  -q, --quote <char>        Quote character (default: '"')
+  -e, --escape <char>       Character escaping quotes in quoted fields
+                            (default: the quote, as in "")
+  -f, --format <format>     Output format: csv, tsv, ndjson or json (default:
+                            from the output extension, csv otherwise)
+      --eol <eol>           Output line terminator: lf, crlf or cr (default:
+                            the one of the OS); the input one is detected
+      --encoding <name>     Input encoding: utf-8, utf-16le, utf-16be, latin1,
+                            windows-1252 or auto (default: utf-8)
+      --output-encoding <name>
+                            Output encoding (default: utf-8)
+      --bom                 Start the output with a byte order mark
+      --compression <name>  Input compression: gzip, brotli, deflate, none or
+                            auto (default: auto, from the extension or the
+                            first bytes)
+      --output-compression <name>
+                            Output compression: gzip, brotli, deflate or none
+                            (default: from the output extension, e.g. .gz)
+      --no-header           The input has no header row; its columns are in
+                            schema order
+      --alias <column=header>
+                            Accept another header name for a column; repeat
+                            for more (e.g. --alias "email=E-mail Address")
+      --column-indexes <column=index,...>
+                            0-based position of the columns in files without
+                            a header (e.g. name=0,email=2,age=1)
+      --output-columns <column,...>
+                            Output columns, in order (e.g. id,name,email)
+      --rename <column=name>
+                            Output a column under another name; repeat for
+                            more (e.g. --rename name=full_name)
+      --passthrough         Also output the input columns that are not in the
+                            schema, unchanged
+      --dedup <column,...>  Drop the rows whose columns match an earlier row,
+                            regardless of case and spaces (e.g. email)
+      --keep <policy>       Duplicate kept by --dedup: first or last (default:
+                            first; last reads the input file twice)
+      --sniff               Detect the delimiter, quote and header of the
+                            input, overriding the options above
+      --if-exists <policy>  What to do with an existing output file: overwrite,
+                            fail or append (default: overwrite)
+      --checkpoint          Save a checkpoint next to the output every 100,000
+                            rows, so a crashed run can be resumed
+      --resume              Resume from the last checkpoint, if any, with the
+                            same options
+  -r, --rejects <file>      Write rejected rows to this file (.csv or .ndjson)
+  -s, --schema <file>       Column schema, as a JSON file or a module
+      --stats <format>      Print the final stats as text or json (default: text)
+      --progress            Show a live progress line on stderr (default: when
+                            stderr is a terminal)
+      --max-errors <limit>  Fail with code 2 when more rows are rejected than
+                            this count or percentage of rows (e.g. 100 or 5%)
+      --fail-fast           Fail with code 2 on the first rejected row
+      --strict              Fail with code 2 on the first malformed row (an
+                            unterminated quote or a wrong column count)
+  -h, --help                Show this help
+
+Ctrl+C stops the processing cleanly, as a failure would: the output is left
+as it was, or kept for --resume with --checkpoint. Press it again to force.
+
+A failed run leaves the output as it was.
+
+Exit codes: 0 on success, 1 on errors, 2 when too many rows are rejected
+(--max-errors, --fail-fast, --strict), 130 when interrupted.`;
+
+/**
+ * Command-line interface that runs a {@link CsvParser} and reports its stats.
+ *
+ * @class Cli
+ * @example
+ * // node main.mjs --mode concurrent --rejects rejects.csv input.csv output.csv
+ * process.exitCode = await new Cli().run(process.argv.slice(2));
+ */
+export class Cli {
+  #stdin;
+  #stdout;
+  #stderr;
+  #signals;
+
+  /**
+   * Creates a new Cli instance
+   * @param {Object} [streams] - Standard streams, and where signals are
+   * received, replaceable for testing
+   * @param {import('node:stream').Readable} [streams.stdin=process.stdin]
+   * @param {import('node:stream').Writable} [streams.stdout=process.stdout]
+   * @param {import('node:stream').Writable} [streams.stderr=process.stderr]
+   * @param {import('node:events').EventEmitter} [streams.signals=process]
+   */
+  constructor({
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    signals = process,
+  } = {}) {
+    this.#stdin = stdin;
+    this.#stdout = stdout;
+    this.#stderr = stderr;
+    this.#signals = signals;
+  }
+
+  /**
+   * Runs the parser with the given command-line arguments
+   * @param {string[]} args - The arguments, without the node and script paths
+   * @returns {Promise<number>} - The exit code
+   */
+  async run(args) {
+    let options;
+    try {
+      options = this.#parseArgs(args);
+    } catch (error) {
+      this.#stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+      return 1;
+    }
+
+    if (options.help) {
+      this.#stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    // Keep stdout clean for the output when writing to it
+    const report = options.output === '-' ? this.#stderr : this.#stdout;
+    // Stop cleanly on the first Ctrl+C; the next one kills the process
+    const controller = new AbortController();
+    const interrupt = () => controller.abort();
+    this.#signals.once('SIGINT', interrupt);
+    let progressShown = false;
+
+    try {
+      const parser = new CsvParser(
+        options.input === '-' ? this.#stdin : options.input,
+        options.output === '-' ? this.#stdout : options.output,
+        {
+          dialect: {
+            delimiter: options.delimiter,
+            quote: options.quote,
+            escape: options.escape,
+            outputLineTerminator: LINE_TERMINATORS[options.eol],
+          },
+          outputFormat: options.format,
+          encoding: options.encoding,
+          outputEncoding: options['output-encoding'],
+          outputBom: options.bom,
+          compression: options.compression,
+          outputCompression: options['output-compression'],
+          hasHeader: !options['no-header'],
+          aliases: options.aliases,
+          columnIndexes: options.columnIndexes,
+          outputColumns: options.outputColumns,
+          rename: options.rename,
+          passthrough: options.passthrough,
+          dedup: options.dedup,
+          sniff: options.sniff,
+          ifExists: options['if-exists'],
+          checkpoint: options.checkpoint,
+          resume: options.resume,
+          rejectsFilePath: options.rejects,
+          maxErrors: options.maxErrors,
+          failFast: options['fail-fast'],
+          strict: options.strict,
+          schema: options.schema && (await this.#loadSchema(options.schema)),
+          signal: controller.signal,
+          logger: {
+            warn: (message, error) =>
+              this.#stderr.write(
+                `Warning: ${message}${error ? ` (${error.message})` : ''}\n`
+              ),
+          },
+        }
+      );
+      if (options.progress || this.#stderr.isTTY) {
+        parser.on('progress', (event) => {
+          progressShown = true;
+          this.#stderr.write(`\r${this.#formatProgress(event)}\x1b[K`);
+        });
+      }
+      const stats = await parser[MODES[options.mode]]({
+        workers: options.workers,
+      }).finally(() => {
+        // Keep the last progress line above the stats
+        if (progressShown) this.#stderr.write('\n');
+      });
+
+      report.write(this.#formatStats(stats, options.stats));
+      return 0;
+    } catch (error) {
+      if (error instanceof CsvValidationError) {
+        this.#stderr.write(this.#formatValidationError(error, options));
+        report.write(this.#formatStats(error.stats, options.stats));
+        return 2;
+      }
+      this.#stderr.write(`Error: ${error.message}\n`);
+      if (error instanceof AbortError) {
+        // The stats of the records processed until then
+        report.write(this.#formatStats(error.stats, options.stats));
+        return 130;
+      }
+      return 1;
+    } finally {
+      this.#signals.off('SIGINT', interrupt);
+    }
+  }
+
+  /**
+   * Parses and validates the command-line arguments
+   * @private
+   * @param {string[]} args - The arguments
+   * @throws {Error} If the arguments are not valid
+   * @returns {Object} - The options
+   */
+  #parseArgs(args) {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        mode: { type: 'string', short: 'm', default: 'stream' },
+        workers: { type: 'string', short: 'w' },
+        delimiter: { type: 'string', short: 'd', default: ',' },
+        quote: { type: 'string', short: 'q' },
+        escape: { type: 'string', short: 'e' },
+        format: { type: 'string', short: 'f' },
+        eol: { type: 'string' },
+        encoding: { type: 'string' },
+        'output-encoding': { type: 'string' },
+        bom: { type: 'boolean', default: false },
+        compression: { type: 'string' },
+        'output-compression': { type: 'string' },
+        'no-header': { type: 'boolean', default: false },
+        alias: { type: 'string', multiple: true, default: [] },
+        'column-indexes': { type: 'string' },
+        'output-columns': { type: 'string' },
+        rename: { type: 'string', multiple: true, default: [] },
+        passthrough: { type: 'boolean', default: false },
+        dedup: { type: 'string' },
+        keep: { type: 'string' },
+        sniff: { type: 'boolean', default: false },
+        'if-exists': { type: 'string' },
+        checkpoint: { type: 'boolean', default: false },
+        resume: { type: 'boolean', default: false },
+        rejects: { type: 'string', short: 'r' },
+        schema: { type: 'string', short: 's' },
+        stats: { type: 'string', default: 'text' },
+        progress: { type: 'boolean' },
+        'max-errors': { type: 'string' },
+        'fail-fast': { type: 'boolean', default: false },
+        strict: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+
+    if (values.help) {
+      return { help: true };
+    }
+    if (positionals.length < 1 || positionals.length > 2) {
+      throw new Error('expected an input and an optional output');
+    }
+    if (!MODES[values.mode]) {
+      throw new Error(`unknown mode "${values.mode}"`);
+    }
+    if (values.stats !== 'text' && values.stats !== 'json') {
+      throw new Error(`unknown stats format "${values.stats}"`);
+    }
+    if (values.eol !== undefined && !LINE_TERMINATORS[values.eol]) {
+      throw new Error(`unknown line terminator "${values.eol}"`);
+    }
+    if (values.workers !== undefined && !/^[1-9]\d*$/.test(values.workers)) {
+      throw new Error(`invalid --workers "${values.workers}"`);
+    }
+    if (values.keep !== undefined && values.dedup === undefined) {
+      throw new Error('--keep needs --dedup');
+    }
+    if (values.keep !== undefined && !['first', 'last'].includes(values.keep)) {
+      throw new Error(`unknown keep policy "${values.keep}"`);
+    }
+    const ifExists = values['if-exists'];
+    if (
+      ifExists !== undefined &&
+      !['overwrite', 'fail', 'append'].includes(ifExists)
+    ) {
+      throw new Error(`unknown --if-exists policy "${ifExists}"`);
+    }
+    const maxErrors = values['max-errors'];
+    if (maxErrors !== undefined && !/^(\d+|\d+(\.\d+)?%)$/.test(maxErrors)) {
+      throw new Error(`invalid --max-errors "${maxErrors}"`);
+    }
+
+    const aliases = {};
+    for (const alias of values.alias) {
+      const [, column, header] = /^([^=]+)=(.+)$/.exec(alias) ?? [];
+      if (!column) {
+        throw new Error(`invalid --alias "${alias}"`);
+      }
+      (aliases[column] ??= []).push(header);
+    }
+    let columnIndexes;
+    if (values['column-indexes'] !== undefined) {
+      const pairs = values['column-indexes'].split(',');
+      if (!pairs.every((pair) => /^[^=]+=\d+$/.test(pair))) {
+        throw new Error(
+          `invalid --column-indexes "${values['column-indexes']}"`
+        );
+      }
+      columnIndexes = Object.fromEntries(
+        pairs.map((pair) => {
+          const [column, index] = pair.split('=');
+          return [column, Number(index)];
+        })
+      );
+    }
+
+    const rename = {};
+    for (const pair of values.rename) {
+      const [, column, name] = /^([^=]+)=(.+)$/.exec(pair) ?? [];
+      if (!column) {
+        throw new Error(`invalid --rename "${pair}"`);
+      }
+      rename[column] = name;
+    }
+
+    const [input, output = input === '-' ? '-' : undefined] = positionals;
+    return {
+      ...values,
+      delimiter: ['tab', '\\t'].includes(values.delimiter)
+        ? '\t'
+        : values.delimiter,
+      workers: values.workers && Number(values.workers),
+      aliases,
+      columnIndexes,
+      outputColumns: values['output-columns']?.split(','),
+      rename,
+      dedup: values.dedup && {
+        keys: values.dedup.split(','),
+        keep: values.keep,
+      },
+      maxErrors,
+      input,
+      output,
+    };
+  }
+
+  /**
+   * Loads a schema from a JSON file (an array of columns, or an object with a
+   * `columns` array) or from a module exporting it as default or `schema`
+   * @private
+   * @param {string} filePath - The path to the schema file
+   * @returns {Promise<Object[]|import('./csv-schema.mjs').CsvSchema>}
+   */
+  async #loadSchema(filePath) {
+    if (path.extname(filePath) === '.json') {
+      const schema = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return Array.isArray(schema) ? schema : schema.columns;
+    }
+    const module = await import(pathToFileURL(path.resolve(filePath)).href);
+    return module.default ?? module.schema;
+  }
+
+  /**
+   * Formats the error of a run that rejected too many rows, followed by the
+   * first rows it rejected
+   * @private
+   * @param {CsvValidationError} error - The error
+   * @param {Object} options - The options of the run
+   * @returns {string}
+   */
+  #formatValidationError({ policy, message, stats, rows }, options) {
+    const summary =
+      policy === 'maxErrors'
+        ? `${stats.skipped} rejected rows exceed --max-errors ${options.maxErrors}`
+        : message;
+    const lines = rows.map(
+      ({ line, reason, field }) =>
+        `  line ${line}: ${reason}${field ? ` (${field})` : ''}\n`
+    );
+    return [`Error: ${summary}\n`, ...lines].join('');
+  }
+
+  /**
+   * Formats a progress event as a single line
+   * @private
+   * @param {import('./progress.mjs').ProgressEvent} event - The progress
+   * @returns {string}
+   */
+  #formatProgress({
+    bytesRead,
+    totalBytes,
+    percent,
+    processed,
+    skipped,
+    rowsPerSecond,
+    etaMs,
+  }) {
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    const read =
+      totalBytes === null
+        ? `${mb(bytesRead)} read`
+        : `${percent.toFixed(1)}% of ${mb(totalBytes)}`;
+    const eta = etaMs === null ? '' : `, ${Math.ceil(etaMs / 1000)}s left`;
+    return `${read}: ${processed.toLocaleString()} processed, ${skipped.toLocaleString()} skipped (${Math.round(rowsPerSecond).toLocaleString()} rows/sec${eta})`;
+  }
+
+  /**
+   * Formats the final stats as human-readable text, or as JSON
+   * @private
+   * @param {import('./stats.mjs').Stats} stats - The final stats
+   * @param {'text'|'json'} [format='text'] - The format of the stats
+   * @returns {string}
+   */
+  #formatStats(stats, format = 'text') {
+    if (format === 'json') {
+      return `${JSON.stringify(stats)}\n`;
+    }
+    const reasons = Object.entries(stats.skippedByReason).map(
+      ([reason, count]) => `  ${reason}: ${count.toLocaleString()}\n`
+    );
+    return [
+      `Processed:   ${stats.processed.toLocaleString()}\n`,
+      `Skipped:     ${stats.skipped.toLocaleString()}\n`,
+      ...reasons,
+      `Duplicates:  ${stats.duplicates.toLocaleString()}\n`,
+      `Empty lines: ${stats.emptyLines.toLocaleString()}\n`,
+      `Total:       ${stats.total.toLocaleString()}\n`,
+      `Duration:    ${(stats.durationMs / 1000).toFixed(2)}s (${Math.round(stats.rowsPerSecond).toLocaleString()} rows/sec)\n`,
+    ].join('');
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Compression formats of the input and output files
+ * @module Compression
+ */
+
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+/**
+ * @typedef {'gzip'|'brotli'|'deflate'} CompressionName
+ */
+
+const COMPRESSIONS = ['gzip', 'brotli', 'deflate'];
+const EXTENSIONS = {
+  '.gz': 'gzip',
+  '.gzip': 'gzip',
+  '.br': 'brotli',
+  '.deflate': 'deflate',
+  '.zz': 'deflate',
+};
+const BROTLI_QUALITY = 5; // Close to gzip in speed, with smaller outputs
+
+/**
+ * Detects, compresses and decompresses the compression formats of
+ * `node:zlib`: gzip, brotli and deflate (in its zlib wrapper, as written by
+ * `zlib.createDeflate()`). Data is compressed and decompressed as streams,
+ * so a file is never held in memory whole.
+ *
+ * @class Compression
+ * @example
+ * const compression =
+ *   Compression.fromPath('export.csv.gz') ?? Compression.detect(firstBytes);
+ * await pipeline(
+ *   createReadStream('export.csv.gz'),
+ *   Compression.createDecompressor(compression),
+ *   process.stdout
+ * );
+ */
+export class Compression {
+  /**
+   * Resolves a compression option
+   * @param {CompressionName|'none'|'auto'|null} compression - The option
+   * @param {boolean} allowAuto - Whether `auto` is accepted
+   * @throws {TypeError} If the compression is not supported
+   * @returns {CompressionName|'auto'|null} - null for no compression
+   */
+  static resolve(compression, allowAuto) {
+    if (compression === null || compression === 'none') return null;
+    if (
+      COMPRESSIONS.includes(compression) ||
+      (allowAuto && compression === 'auto')
+    ) {
+      return compression;
+    }
+    throw new TypeError(
+      `unsupported compression "${compression}", expected ${allowAuto ? 'auto, ' : ''}${COMPRESSIONS.join(', ')}, none`
+    );
+  }
+
+  /**
+   * Infers the compression of a file from its extension
+   * @param {string} filePath - The path to the file
+   * @returns {CompressionName|null} - `gzip` for `.gz` and `.gzip` files,
+   * `brotli` for `.br`, `deflate` for `.deflate` and `.zz`, null otherwise
+   */
+  static fromPath(filePath) {
+    return EXTENSIONS[path.extname(filePath).toLowerCase()] ?? null;
+  }
+
+  /**
+   * Removes the compression extension of a file, if it has one, to infer
+   * the format of its content: `users.csv.gz` gives `users.csv`
+   * @param {string} filePath - The path to the file
+   * @returns {string}
+   */
+  static stripExtension(filePath) {
+    return Compression.fromPath(filePath)
+      ? filePath.slice(0, -path.extname(filePath).length)
+      : filePath;
+  }
+
+  /**
+   * Detects the compression of the first bytes of an input from their magic
+   * bytes: `1f 8b` for gzip, and a valid zlib header for deflate. Brotli has
+   * no magic bytes, it is only recognized by its extension.
+   * @param {Buffer|Uint8Array} sample - The first bytes of the input
+   * @returns {CompressionName|null} - null if the input is not compressed
+   */
+  static detect(sample) {
+    if (sample.length < 2) return null;
+    if (sample[0] === 0x1f && sample[1] === 0x8b) return 'gzip';
+    // Deflate with a 32K window, no preset dictionary and a valid checksum;
+    // CSV text starting with "x" followed by one of these bytes is unlikely
+    if (
+      sample[0] === 0x78 &&
+      (sample[1] & 0x20) === 0 &&
+      ((sample[0] << 8) | sample[1]) % 31 === 0
+    ) {
+      return 'deflate';
+    }
+    return null;
+  }
+
+  /**
+   * Creates a stream decompressing its input
+   * @param {CompressionName} compression - The compression of the input
+   * @returns {import('node:stream').Transform}
+   */
+  static createDecompressor(compression) {
+    switch (compression) {
+      case 'gzip':
+        return zlib.createGunzip();
+      case 'brotli':
+        return zlib.createBrotliDecompress();
+      case 'deflate':
+        return zlib.createInflate();
+      default:
+        throw new TypeError(`unsupported compression "${compression}"`);
+    }
+  }
+
+  /**
+   * Creates a stream compressing its input
+   * @param {CompressionName} compression - The compression of the output
+   * @returns {import('node:stream').Transform}
+   */
+  static createCompressor(compression) {
+    switch (compression) {
+      case 'gzip':
+        return zlib.createGzip();
+      case 'brotli':
+        return zlib.createBrotliCompress({
+          params: {
+            [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+            // The default quality, 11, is far too slow for large outputs
+            [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+          },
+        });
+      case 'deflate':
+        return zlib.createDeflate();
+      default:
+        throw new TypeError(`unsupported compression "${compression}"`);
+    }
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Sidecar file recording how far a run got, to resume it
+ * @module CsvCheckpoint
+ */
+
+import fs from 'node:fs/promises';
+import { syncDirectory, syncFile } from './file-sync.mjs';
+
+const VERSION = 1;
+
+/**
+ * @typedef {Object} CsvCheckpointState
+ * @property {number} inputOffset - Byte offset of the first record not
+ * processed yet
+ * @property {number} line - The 1-based line number of that record
+ * @property {string} tempPath - The temporary file the output is written to
+ * @property {number} outputOffset - Length of the temporary output, in bytes,
+ * once the processed records are written
+ * @property {number} rejectsOffset - Length of the rejects file, in bytes
+ * @property {Object} stats - The statistics of the records processed, as
+ * returned by {@link Stats#toJSON}
+ */
+
+/**
+ * Saves and loads the checkpoints of a run: how much of the input was
+ * processed, how much output it gave and the statistics so far, so a run
+ * that crashed can resume from there.
+ *
+ * Every checkpoint replaces the previous one atomically, by renaming a
+ * temporary file, so a crash while saving leaves the previous one intact.
+ * The size and modification time of the input are saved along, so a
+ * checkpoint is never used for another input.
+ *
+ * @class CsvCheckpoint
+ * @example
+ * const checkpoint = new CsvCheckpoint('output.csv.checkpoint');
+ * const input = await fs.stat('input.csv');
+ * const tempPath = '.output.csv.3f9a2c41d0e7.tmp';
+ * const state = { inputOffset: 1024, line: 31, tempPath, outputOffset: 980, rejectsOffset: 0, stats };
+ * await checkpoint.save(input, state);
+ * await checkpoint.load(input); // state
+ */
+export class CsvCheckpoint {
+  #filePath;
+  #interval;
+
+  /**
+   * Creates a new CsvCheckpoint instance
+   * @param {string} filePath - The path to the checkpoint file
+   * @param {Object} [options] - Checkpoint options
+   * @param {number} [options.interval=100000] - Number of records between two
+   * checkpoints
+   * @throws {RangeError} If the interval is not a positive integer
+   */
+  constructor(filePath, { interval = 100_000 } = {}) {
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new RangeError('checkpoint interval must be a positive integer');
+    }
+    this.#filePath = filePath;
+    this.#interval = interval;
+  }
+
+  /**
+   * Gets the path to the checkpoint file
+   * @readonly
+   * @type {string}
+   */
+  get filePath() {
+    return this.#filePath;
+  }
+
+  /**
+   * Gets the number of records between two checkpoints
+   * @readonly
+   * @type {number}
+   */
+  get interval() {
+    return this.#interval;
+  }
+
+  /**
+   * Loads the last checkpoint saved
+   * @param {import('node:fs').Stats} input - The file stats of the input
+   * @throws {Error} If the checkpoint was saved for another input, or by an
+   * incompatible version
+   * @returns {Promise<CsvCheckpointState|null>} - The checkpoint, or null if
+   * there is none
+   */
+  async load(input) {
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(this.#filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (json.version !== VERSION) {
+      throw new Error(
+        `unsupported checkpoint version ${json.version} in ${this.#filePath}`
+      );
+    }
+    if (
+      json.input.size !== input.size ||
+      json.input.mtimeMs !== input.mtimeMs
+    ) {
+      throw new Error(
+        `the input changed since the checkpoint ${this.#filePath} was saved`
+      );
+    }
+    return json.state;
+  }
+
+  /**
+   * Saves a checkpoint, replacing the previous one. The checkpoint and the
+   * rename are synced to disk, so it survives a power loss.
+   * @param {import('node:fs').Stats} input - The file stats of the input
+   * @param {CsvCheckpointState} state - How far the run got
+   * @returns {Promise<void>}
+   */
+  async save(input, state) {
+    const json = {
+      version: VERSION,
+      input: { size: input.size, mtimeMs: input.mtimeMs },
+      state,
+    };
+    const tempPath = `${this.#filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(json));
+    await syncFile(tempPath);
+    await fs.rename(tempPath, this.#filePath);
+    await syncDirectory(this.#filePath);
+  }
+
+  /**
+   * Deletes the checkpoint, once the run is done
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.rm(this.#filePath, { force: true });
+  }
+}
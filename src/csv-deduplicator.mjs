@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Detection of duplicate records by key, in bounded memory
+ * @module CsvDeduplicator
+ */
+
+/**
+ * @typedef {Object} CsvDedupOptions
+ * @property {string|string[]} [keys='email'] - The columns the records are
+ * compared on, before renaming. Strings are compared trimmed and regardless
+ * of case.
+ * @property {'first'|'last'} [keep='first'] - Which record of a key is kept
+ * @property {number} [maxKeys=1000000] - Number of keys kept in memory as
+ * they are; beyond it, a Bloom filter is used instead. Also the most keys
+ * that may repeat when keeping the last records.
+ * @property {number} [capacity=10000000] - Number of keys the Bloom filter is
+ * sized for; its false-positive rate grows past it
+ * @property {number} [falsePositiveRate=0.001] - Probability that the Bloom
+ * filter takes a new key for a key already seen
+ */
+
+/**
+ * Hashes a string with 32-bit FNV-1a
+ * @param {string} text - The string to hash
+ * @param {number} seed - The initial hash, so several hashes can be derived
+ * @returns {number} - An unsigned 32-bit hash
+ */
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalizes a key value, so keys match whatever their case and the spaces
+ * around them
+ * @param {any} value - The value of a key column
+ * @returns {string}
+ */
+function normalizeKey(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Checks the options of a Bloom filter
+ * @param {number} capacity - Number of strings the filter is sized for
+ * @param {number} falsePositiveRate - Probability of a false positive
+ * @throws {RangeError} If the capacity or the rate are out of range
+ */
+function checkFilterOptions(capacity, falsePositiveRate) {
+  if (!(capacity >= 1)) {
+    throw new RangeError('capacity must be at least 1');
+  }
+  if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+    throw new RangeError('falsePositiveRate must be between 0 and 1');
+  }
+}
+
+/**
+ * Set of strings in a fixed amount of memory. It never misses a string that
+ * was added, but may wrongly report one that was not, with the
+ * false-positive rate it was sized for: `m = -n ln(p) / ln(2)²` bits and
+ * `k = (m / n) ln(2)` hashes for `n` strings at rate `p`.
+ *
+ * @class BloomFilter
+ * @example
+ * const filter = new BloomFilter(1_000_000, 0.001); // 1.8 MB
+ * filter.add('john@example.com');
+ * filter.has('john@example.com'); // true
+ */
+export class BloomFilter {
+  #bits;
+  #size;
+  #hashes;
+
+  /**
+   * Creates a new BloomFilter instance
+   * @param {number} capacity - Number of strings the filter is sized for
+   * @param {number} falsePositiveRate - Probability of a false positive once
+   * the filter holds `capacity` strings, between 0 and 1
+   * @throws {RangeError} If the capacity or the rate are out of range
+   */
+  constructor(capacity, falsePositiveRate) {
+    checkFilterOptions(capacity, falsePositiveRate);
+    this.#size = Math.ceil(
+      (-capacity * Math.log(falsePositiveRate)) / Math.LN2 ** 2
+    );
+    this.#hashes = Math.max(1, Math.round((this.#size / capacity) * Math.LN2));
+    this.#bits = new Uint8Array(Math.ceil(this.#size / 8));
+  }
+
+  /**
+   * Gets the memory used by the filter, in bytes
+   * @readonly
+   * @type {number}
+   */
+  get byteLength() {
+    return this.#bits.length;
+  }
+
+  /**
+   * Adds a string
+   * @param {string} value - The string to add
+   * @returns {boolean} - Whether the string was (probably) added before
+   */
+  add(value) {
+    let found = true;
+    for (const bit of this.#positions(value)) {
+      const mask = 1 << (bit & 7);
+      if (!(this.#bits[bit >>> 3] & mask)) {
+        found = false;
+        this.#bits[bit >>> 3] |= mask;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Checks whether a string was (probably) added
+   * @param {string} value - The string to look for
+   * @returns {boolean}
+   */
+  has(value) {
+    for (const bit of this.#positions(value)) {
+      if (!(this.#bits[bit >>> 3] & (1 << (bit & 7)))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Gets the bits of a string, by double hashing
+   * @private
+   * @param {string} value - The string
+   * @returns {Generator<number>}
+   */
+  *#positions(value) {
+    const first = fnv1a(value, 0x811c9dc5);
+    const second = fnv1a(value, 0x01000193) | 1;
+    for (let i = 0; i < this.#hashes; i++) {
+      yield ((first + Math.imul(i, second)) >>> 0) % this.#size;
+    }
+  }
+}
+
+/**
+ * Tells which records duplicate another one with the same key.
+ *
+ * Keys are kept in a `Set` up to `maxKeys`, then moved to a
+ * {@link BloomFilter}, so memory stays bounded on any input. Past that
+ * point, a record with a new key is dropped as a duplicate at the
+ * false-positive rate of the filter (0.1% by default, as long as there are
+ * fewer keys than its capacity).
+ *
+ * Keeping the first record of every key takes a single pass. Keeping the
+ * last one takes two: {@link CsvDeduplicator#scan} first sees every record,
+ * remembering the line of the last record of every key seen more than once;
+ * {@link CsvDeduplicator#isDuplicate} then drops the others. That is exact,
+ * even with the Bloom filter: a false positive only makes a unique key
+ * remembered. Those lines take memory in proportion to the number of keys
+ * seen more than once, so the scan fails past `maxKeys` of them rather than
+ * growing without bound.
+ *
+ * @class CsvDeduplicator
+ * @example
+ * const dedup = new CsvDeduplicator({ keys: ['email'] });
+ * dedup.isDuplicate({ email: 'John@Example.com' }, 2); // false
+ * dedup.isDuplicate({ email: 'john@example.com ' }, 3); // true
+ */
+export class CsvDeduplicator {
+  #keys;
+  #keep;
+  #maxKeys;
+  #capacity;
+  #falsePositiveRate;
+  #seen;
+  #filter;
+  #lastLines;
+
+  /**
+   * Creates a new CsvDeduplicator instance
+   * @param {CsvDedupOptions} [options] - Deduplication options
+   * @throws {TypeError} If there is no key or the keep policy is unknown
+   * @throws {RangeError} If the Bloom filter options are out of range
+   */
+  constructor({
+    keys = 'email',
+    keep = 'first',
+    maxKeys = 1_000_000,
+    capacity = 10_000_000,
+    falsePositiveRate = 0.001,
+  } = {}) {
+    this.#keys = [keys].flat();
+    if (this.#keys.length === 0) {
+      throw new TypeError('dedup needs at least one key column');
+    }
+    if (keep !== 'first' && keep !== 'last') {
+      throw new TypeError(
+        `unknown keep policy "${keep}", expected first, last`
+      );
+    }
+    this.#keep = keep;
+    this.#maxKeys = maxKeys;
+    this.#capacity = Math.max(capacity, maxKeys);
+    this.#falsePositiveRate = falsePositiveRate;
+    checkFilterOptions(this.#capacity, falsePositiveRate);
+    this.clear();
+  }
+
+  /**
+   * Gets the columns the records are compared on
+   * @readonly
+   * @type {string[]}
+   */
+  get keys() {
+    return this.#keys;
+  }
+
+  /**
+   * Gets which record of a key is kept
+   * @readonly
+   * @type {'first'|'last'}
+   */
+  get keep() {
+    return this.#keep;
+  }
+
+  /**
+   * Gets whether the keys were moved to the Bloom filter, so duplicates may
+   * include false positives
+   * @readonly
+   * @type {boolean}
+   */
+  get probabilistic() {
+    return this.#filter !== null;
+  }
+
+  /**
+   * Forgets every key, before another run
+   */
+  clear() {
+    this.#seen = new Set();
+    this.#filter = null;
+    this.#lastLines = new Map();
+  }
+
+  /**
+   * Sees a record before processing, to keep the last record of every key
+   * @param {Object} record - A valid record
+   * @param {number} line - The line of the record, unique to it
+   * @throws {RangeError} If more than `maxKeys` keys are seen more than once
+   */
+  scan(record, line) {
+    const key = this.#key(record);
+    if (this.#lastLines.has(key)) {
+      this.#lastLines.set(key, line);
+    } else if (this.#add(key)) {
+      if (this.#lastLines.size >= this.#maxKeys) {
+        throw new RangeError(
+          `more than ${this.#maxKeys} keys are repeated, raise maxKeys to keep the last records`
+        );
+      }
+      this.#lastLines.set(key, line);
+    }
+  }
+
+  /**
+   * Checks whether a record is a duplicate to drop
+   * @param {Object} record - A valid record
+   * @param {number} line - The line of the record, as given to `scan`
+   * @returns {boolean}
+   */
+  isDuplicate(record, line) {
+    const key = this.#key(record);
+    if (this.#keep === 'first') {
+      return this.#add(key);
+    }
+    const lastLine = this.#lastLines.get(key);
+    return lastLine !== undefined && lastLine !== line;
+  }
+
+  /**
+   * Builds the key of a record from its normalized key values
+   * @private
+   * @param {Object} record - The record
+   * @returns {string}
+   */
+  #key(record) {
+    if (this.#keys.length === 1) return normalizeKey(record[this.#keys[0]]);
+    return this.#keys.map((name) => normalizeKey(record[name])).join('\u001f');
+  }
+
+  /**
+   * Adds a key, moving the keys to the Bloom filter past `maxKeys`
+   * @private
+   * @param {string} key - The key
+   * @returns {boolean} - Whether the key was (probably) added before
+   */
+  #add(key) {
+    if (this.#filter) {
+      return this.#filter.add(key);
+    }
+    if (this.#seen.has(key)) {
+      return true;
+    }
+    this.#seen.add(key);
+    if (this.#seen.size > this.#maxKeys) {
+      this.#filter = new BloomFilter(this.#capacity, this.#falsePositiveRate);
+      for (const seen of this.#seen) {
+        this.#filter.add(seen);
+      }
+      this.#seen = new Set();
+    }
+    return false;
+  }
+}
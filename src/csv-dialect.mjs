@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Dialect describing how a CSV file is delimited and quoted
+ * @module CsvDialect
+ */
+
+import { EOL } from 'node:os';
+
+const LINE_TERMINATORS = ['\n', '\r\n', '\r'];
+
+/**
+ * Describes the syntax of a CSV file: the field delimiter, the quote and
+ * escape characters, and the line terminators used to read and write it.
+ * The same dialect is used to read the records, parse the header and write
+ * the output, so they always agree.
+ *
+ * @class CsvDialect
+ * @example
+ * // Semicolon-separated file with backslash-escaped quotes, written with CRLF
+ * const dialect = new CsvDialect({
+ *   delimiter: ';',
+ *   escape: '\\',
+ *   outputLineTerminator: '\r\n',
+ * });
+ */
+export class CsvDialect {
+  /**
+   * Creates a new CsvDialect instance
+   * @param {Object} [options] - Dialect options
+   * @param {string} [options.delimiter=','] - Field delimiter, such as `;`,
+   * `\t` or `|`
+   * @param {string} [options.quote='"'] - Character quoting a field
+   * @param {string} [options.escape] - Character escaping a quote (or
+   * itself) inside a quoted field (default: the quote, that is `""` as in
+   * RFC 4180)
+   * @param {'auto'|'\n'|'\r\n'|'\r'} [options.lineTerminator='auto'] - Line
+   * terminator of the input, detected from its first line break by default
+   * @param {'\n'|'\r\n'|'\r'} [options.outputLineTerminator] - Line terminator
+   * of the output (default: the one of the operating system)
+   * @throws {TypeError} If an option is not valid
+   */
+  constructor({
+    delimiter = ',',
+    quote = '"',
+    escape = quote,
+    lineTerminator = 'auto',
+    outputLineTerminator = EOL,
+  } = {}) {
+    if (typeof delimiter !== 'string' || !delimiter) {
+      throw new TypeError('delimiter must be a non-empty string');
+    }
+    if (typeof quote !== 'string' || quote.length !== 1) {
+      throw new TypeError('quote must be a single character');
+    }
+    if (typeof escape !== 'string' || escape.length !== 1) {
+      throw new TypeError('escape must be a single character');
+    }
+    if (
+      /[\r\n]/.test(delimiter + quote + escape) ||
+      delimiter.includes(quote)
+    ) {
+      throw new TypeError(
+        'delimiter, quote and escape must not contain line breaks, and the delimiter must not contain the quote'
+      );
+    }
+    if (
+      lineTerminator !== 'auto' &&
+      !LINE_TERMINATORS.includes(lineTerminator)
+    ) {
+      throw new TypeError(
+        'lineTerminator must be "auto", "\\n", "\\r\\n" or "\\r"'
+      );
+    }
+    if (!LINE_TERMINATORS.includes(outputLineTerminator)) {
+      throw new TypeError(
+        'outputLineTerminator must be "\\n", "\\r\\n" or "\\r"'
+      );
+    }
+
+    /**
+     * Field delimiter
+     * @type {string}
+     */
+    this.delimiter = delimiter;
+    /**
+     * Character quoting a field
+     * @type {string}
+     */
+    this.quote = quote;
+    /**
+     * Character escaping a quote inside a quoted field
+     * @type {string}
+     */
+    this.escape = escape;
+    /**
+     * Line terminator of the input, or `auto` to detect it
+     * @type {'auto'|'\n'|'\r\n'|'\r'}
+     */
+    this.lineTerminator = lineTerminator;
+    /**
+     * Line terminator of the output
+     * @type {'\n'|'\r\n'|'\r'}
+     */
+    this.outputLineTerminator = outputLineTerminator;
+    Object.freeze(this);
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Decoding and encoding of CSV text in the usual file encodings
+ * @module CsvEncoding
+ */
+
+import { StringDecoder } from 'node:string_decoder';
+
+/**
+ * @typedef {'utf-8'|'utf-16le'|'utf-16be'|'latin1'|'windows-1252'} CsvEncodingName
+ */
+
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1', 'windows-1252'];
+const ALIASES = {
+  utf8: 'utf-8',
+  utf16le: 'utf-16le',
+  utf16be: 'utf-16be',
+  'iso-8859-1': 'latin1',
+  cp1252: 'windows-1252',
+};
+const DETECTION_SIZE = 4096; // Bytes buffered to detect the encoding
+
+// Characters of the bytes 0x80-0x9F in windows-1252, where latin1 has control
+// characters; the five unassigned bytes keep their latin1 meaning
+const WINDOWS_1252 =
+  '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+  '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+const WINDOWS_1252_BYTES = new Map(
+  [...WINDOWS_1252].map((char, index) => [char, 0x80 + index])
+);
+
+/**
+ * Resolves an encoding name or alias
+ * @param {string} encoding - The name, case-insensitive
+ * @param {boolean} allowAuto - Whether `auto` is accepted
+ * @throws {TypeError} If the encoding is not supported
+ * @returns {CsvEncodingName|'auto'}
+ */
+function resolveEncoding(encoding, allowAuto) {
+  const name = String(encoding).toLowerCase();
+  const resolved = ALIASES[name] ?? name;
+  if (ENCODINGS.includes(resolved) || (allowAuto && resolved === 'auto')) {
+    return resolved;
+  }
+  throw new TypeError(
+    `unsupported encoding "${encoding}", expected ${allowAuto ? 'auto, ' : ''}${ENCODINGS.join(', ')}`
+  );
+}
+
+/**
+ * Decodes the chunks of a CSV input into text. Multi-byte characters split
+ * across chunks are decoded whole, and a byte order mark (BOM) at the start
+ * of the input is dropped, so it never sticks to the first header.
+ *
+ * With the `auto` encoding, the first bytes are buffered until the encoding
+ * is detected (see {@link CsvDecoder.detect}).
+ *
+ * @class CsvDecoder
+ * @example
+ * const decoder = new CsvDecoder('auto');
+ * for await (const chunk of input) {
+ *   yield decoder.write(chunk);
+ * }
+ * yield decoder.end();
+ */
+export class CsvDecoder {
+  #encoding;
+  #decoder = null;
+  #stripBom;
+  #pending = [];
+  #pendingLength = 0;
+  #started = false;
+
+  /**
+   * Creates a new CsvDecoder instance
+   * @param {CsvEncodingName|'auto'} [encoding='utf-8'] - Encoding of the input
+   * @param {Object} [options] - Decoder options
+   * @param {boolean} [options.stripBom=true] - Whether to drop a BOM at the
+   * start of the input; disable it when decoding from the middle of a file
+   * @throws {TypeError} If the encoding is not supported
+   */
+  constructor(encoding = 'utf-8', { stripBom = true } = {}) {
+    this.#encoding = resolveEncoding(encoding, true);
+    this.#stripBom = stripBom;
+    if (this.#encoding !== 'auto') {
+      this.#createDecoder();
+    }
+  }
+
+  /**
+   * Gets the encoding of the input, `auto` until it has been detected
+   * @readonly
+   * @type {CsvEncodingName|'auto'}
+   */
+  get encoding() {
+    return this.#encoding;
+  }
+
+  /**
+   * Detects the encoding of the first bytes of an input: from its BOM if it
+   * has one, as UTF-16 if every other byte is zero, as UTF-8 if the bytes are
+   * valid UTF-8, and as windows-1252 (the "ANSI" of Excel exports) otherwise
+   * @param {Buffer|Uint8Array} sample - The first bytes of the input
+   * @returns {CsvEncodingName}
+   */
+  static detect(sample) {
+    if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+      return 'utf-8';
+    }
+    if (sample[0] === 0xff && sample[1] === 0xfe) return 'utf-16le';
+    if (sample[0] === 0xfe && sample[1] === 0xff) return 'utf-16be';
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let index = 0; index < sample.length; index++) {
+      if (sample[index] === 0) {
+        if (index % 2 === 0) evenZeros++;
+        else oddZeros++;
+      }
+    }
+    const pairs = sample.length / 2;
+    if (oddZeros > pairs / 2 && evenZeros === 0) return 'utf-16le';
+    if (evenZeros > pairs / 2 && oddZeros === 0) return 'utf-16be';
+
+    try {
+      // A character cut at the end of the sample is not an error when streaming
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, {
+        stream: true,
+      });
+      return 'utf-8';
+    } catch {
+      return 'windows-1252';
+    }
+  }
+
+  /**
+   * Decodes a chunk. Strings are returned as they are, without their BOM.
+   * @param {Buffer|Uint8Array|string} chunk - The chunk to decode
+   * @returns {string} - The text decoded so far, possibly empty
+   */
+  write(chunk) {
+    if (typeof chunk === 'string') {
+      return this.#strip(chunk);
+    }
+    if (!this.#decoder) {
+      this.#pending.push(chunk);
+      this.#pendingLength += chunk.length;
+      return this.#pendingLength >= DETECTION_SIZE ? this.#flushPending() : '';
+    }
+    return this.#strip(this.#decode(chunk, true));
+  }
+
+  /**
+   * Decodes the bytes left at the end of the input
+   * @returns {string}
+   */
+  end() {
+    const text = this.#decoder ? '' : this.#flushPending();
+    return text + this.#strip(this.#decode(new Uint8Array(0), false));
+  }
+
+  /**
+   * Detects the encoding from the buffered bytes and decodes them
+   * @private
+   * @returns {string}
+   */
+  #flushPending() {
+    const pending = Buffer.concat(this.#pending);
+    this.#pending = [];
+    this.#encoding = CsvDecoder.detect(pending);
+    this.#createDecoder();
+    return this.#strip(this.#decode(pending, true));
+  }
+
+  /**
+   * Creates the decoder of the encoding
+   * @private
+   */
+  #createDecoder() {
+    switch (this.#encoding) {
+      case 'utf-8':
+      case 'utf-16le': {
+        // StringDecoder is much faster than a streaming TextDecoder
+        const decoder = new StringDecoder(
+          this.#encoding === 'utf-8' ? 'utf8' : 'utf16le'
+        );
+        this.#decoder = {
+          decode: (bytes, { stream }) =>
+            stream ? decoder.write(bytes) : decoder.end(bytes),
+        };
+        break;
+      }
+      case 'utf-16be':
+        this.#decoder = new TextDecoder('utf-16be', { ignoreBOM: true });
+        break;
+      default:
+        // TextDecoder decodes latin1 as windows-1252, and single-byte
+        // encodings need no state between chunks anyway
+        this.#decoder = { decode: (bytes) => this.#decodeSingleByte(bytes) };
+    }
+  }
+
+  /**
+   * Decodes latin1 or windows-1252 bytes
+   * @private
+   * @param {Buffer|Uint8Array} bytes - The bytes to decode
+   * @returns {string}
+   */
+  #decodeSingleByte(bytes) {
+    const text = Buffer.from(
+      bytes.buffer,
+      bytes.byteOffset,
+      bytes.length
+    ).toString('latin1');
+    return this.#encoding === 'windows-1252'
+      ? text.replace(
+          /[\x80-\x9f]/g,
+          (char) => WINDOWS_1252[char.charCodeAt(0) - 0x80]
+        )
+      : text;
+  }
+
+  /**
+   * Decodes bytes with the decoder of the encoding
+   * @private
+   * @param {Buffer|Uint8Array} bytes - The bytes to decode
+   * @param {boolean} stream - Whether more bytes will follow
+   * @returns {string}
+   */
+  #decode(bytes, stream) {
+    return this.#decoder.decode(bytes, { stream });
+  }
+
+  /**
+   * Drops the BOM from the first text decoded
+   * @private
+   * @param {string} text - The decoded text
+   * @returns {string}
+   */
+  #strip(text) {
+    if (this.#started || !text) return text;
+    this.#started = true;
+    return this.#stripBom && text.startsWith('\ufeff') ? text.slice(1) : text;
+  }
+}
+
+/**
+ * Encodes output text in one of the supported encodings. Characters the
+ * encoding cannot represent are replaced with `?`.
+ *
+ * @class CsvEncoder
+ * @example
+ * const encoder = new CsvEncoder('utf-16le', { bom: true });
+ * await sink.write(encoder.bom);
+ * await sink.write(encoder.encode('name,email,age'));
+ */
+export class CsvEncoder {
+  #encoding;
+  #bom;
+
+  /**
+   * Creates a new CsvEncoder instance
+   * @param {CsvEncodingName} [encoding='utf-8'] - Encoding of the output
+   * @param {Object} [options] - Encoder options
+   * @param {boolean} [options.bom=false] - Whether the output starts with a
+   * BOM (only written by Unicode encodings)
+   * @throws {TypeError} If the encoding is not supported
+   */
+  constructor(encoding = 'utf-8', { bom = false } = {}) {
+    this.#encoding = resolveEncoding(encoding, false);
+    this.#bom =
+      bom && this.#encoding.startsWith('utf')
+        ? this.encode('\ufeff')
+        : Buffer.alloc(0);
+  }
+
+  /**
+   * Gets the encoding of the output
+   * @readonly
+   * @type {CsvEncodingName}
+   */
+  get encoding() {
+    return this.#encoding;
+  }
+
+  /**
+   * Gets the BOM to write at the start of the output, empty without one
+   * @readonly
+   * @type {Buffer}
+   */
+  get bom() {
+    return this.#bom;
+  }
+
+  /**
+   * Encodes text
+   * @param {string} text - The text to encode
+   * @returns {Buffer}
+   */
+  encode(text) {
+    switch (this.#encoding) {
+      case 'utf-8':
+        return Buffer.from(text, 'utf8');
+      case 'utf-16le':
+        return Buffer.from(text, 'utf16le');
+      case 'utf-16be':
+        return Buffer.from(text, 'utf16le').swap16();
+      default:
+        return this.#encodeSingleByte(text);
+    }
+  }
+
+  /**
+   * Gets the length of text once encoded, without encoding it
+   * @param {string} text - The text
+   * @returns {number} - The number of bytes
+   */
+  byteLength(text) {
+    switch (this.#encoding) {
+      case 'utf-8':
+        return Buffer.byteLength(text, 'utf8');
+      case 'utf-16le':
+      case 'utf-16be':
+        return text.length * 2;
+      default:
+        return this.encode(text).length;
+    }
+  }
+
+  /**
+   * Encodes text in latin1 or windows-1252, one byte per character
+   * @private
+   * @param {string} text - The text to encode
+   * @returns {Buffer}
+   */
+  #encodeSingleByte(text) {
+    // ASCII text is one UTF-8 byte per character, and the same in latin1
+    if (Buffer.byteLength(text, 'utf8') === text.length) {
+      return Buffer.from(text, 'latin1');
+    }
+    const bytes = [];
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (this.#encoding === 'windows-1252' && WINDOWS_1252_BYTES.has(char)) {
+        bytes.push(WINDOWS_1252_BYTES.get(char));
+      } else if (
+        code <= 0xff &&
+        (this.#encoding === 'latin1' || code < 0x80 || code >= 0xa0)
+      ) {
+        bytes.push(code);
+      } else {
+        bytes.push(0x3f); // ?
+      }
+    }
+    return Buffer.from(bytes);
+  }
+}
@@ -1,9 +1,39 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
-import { createReadStream } from 'node:fs';
-import * as readline from 'node:readline';
-import { EOL } from 'node:os';
+import { EventEmitter } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { availableParallelism, tmpdir } from 'node:os';
+import { Readable, addAbortSignal, pipeline } from 'node:stream';
+import { buffer } from 'node:stream/consumers';
 import { Stats } from './stats.mjs';
+import { CsvRecordReader } from './csv-record-reader.mjs';
+import { CsvRecordProcessor } from './csv-record-processor.mjs';
+import { USER_SCHEMA } from './csv-schema.mjs';
+import { CsvTransform } from './csv-transform.mjs';
+import { CsvDialect } from './csv-dialect.mjs';
+import { CsvSniffer } from './csv-sniffer.mjs';
+import { CsvDecoder, CsvEncoder } from './csv-encoding.mjs';
+import {
+  AppendFileSink,
+  CompressionSink,
+  EncodingSink,
+  StreamSink,
+} from './output-sink.mjs';
+import { RejectsWriter } from './rejects-writer.mjs';
+import { OutputFormat } from './output-format.mjs';
+import { OutputWriter } from './output-writer.mjs';
+import { CsvSplitter } from './csv-splitter.mjs';
+import { WorkerPool } from './worker-pool.mjs';
+import { CsvCheckpoint } from './csv-checkpoint.mjs';
+import { OutputFile } from './output-file.mjs';
+import { Progress } from './progress.mjs';
+import { ErrorPolicy } from './error-policy.mjs';
+import { Compression } from './compression.mjs';
+import { AbortError } from './errors.mjs';
+
+const MIN_RANGE_SIZE = 1024 * 1024; // Smallest range sent to a worker thread
+const SNIFF_SAMPLE_SIZE = 64 * 1024; // Bytes read to detect the dialect
+const MAGIC_SIZE = 2; // Bytes read to detect the compression
 
 /**
  * @typedef {Object} User
@@ -12,208 +42,1582 @@ import { Stats } from './stats.mjs';
  * @property {number} age - User's age
  */
 
-export class CsvParser {
-  #USER_HEADERS = ['name', 'email', 'age'];
-  #nameIndex = -1;
-  #emailIndex = -1;
-  #ageIndex = -1;
+/**
+ * @typedef {import('./csv-record-reader.mjs').CsvRecord} CsvRecord
+ */
+
+/**
+ * How far a checkpointed run read its input
+ * @typedef {Object} RunPosition
+ * @property {number} offset - Byte offset of the first record not read yet
+ * @property {number} line - The 1-based line number of that record
+ * @property {boolean} [boundary] - Whether the last record yielded ends at
+ * the position, so a checkpoint can be saved once it is processed
+ */
+
+/**
+ * @typedef {Object} RunCheckpoints
+ * @property {CsvCheckpoint} checkpoint - Where to save the checkpoints
+ * @property {import('node:fs').Stats} input - The file stats of the input
+ * @property {import('./csv-checkpoint.mjs').CsvCheckpointState|null} state -
+ * The checkpoint the run resumes from, if any
+ * @property {RunPosition} position - How far the input was read
+ */
+
+/**
+ * A record yielded by {@link CsvParser#records} when rejects are included
+ * @typedef {{type: 'user', user: User, line: number}|{type: 'reject', reject: import('./csv-transform.mjs').CsvReject}} CsvRecordResult
+ */
+
+/**
+ * @typedef {Object} CsvParserOptions
+ * @property {import('./csv-schema.mjs').CsvSchema|import('./csv-schema.mjs').ColumnDefinition[]} [schema] -
+ * Columns to validate and transform (default: name, email and age of a user)
+ * @property {'stream'|'appendFile'} [writeStrategy='stream'] - How output is
+ * written: through a single write stream, or with one `fs.appendFile` call per
+ * write (slower, only kept for benchmarking)
+ * @property {import('./output-format.mjs').OutputFormatName|OutputFormat} [outputFormat] -
+ * Format of the output: `csv`, `tsv`, `ndjson`, `json` (an array), or a
+ * custom {@link OutputFormat} (default: inferred from the extension of the
+ * output file, `csv` for streams)
+ * @property {string} [rejectsFilePath] - Path to a file where rejected rows are
+ * written with their line number and reason code (default: none)
+ * @property {'csv'|'ndjson'} [rejectsFormat] - Format of the rejects file
+ * (default: inferred from its extension, `ndjson` for `.ndjson` and `.jsonl`)
+ * @property {string} [delimiter=','] - Field delimiter of the input and output,
+ * a shorthand for `dialect.delimiter`
+ * @property {CsvDialect|Object} [dialect] - Syntax of the input and output:
+ * delimiter, quote, escape and line terminators (see {@link CsvDialect})
+ * @property {import('./csv-encoding.mjs').CsvEncodingName|'auto'} [encoding='utf-8'] -
+ * Encoding of the input: `utf-8`, `utf-16le`, `utf-16be`, `latin1`,
+ * `windows-1252`, or `auto` to detect it. A BOM at the start is dropped.
+ * @property {import('./csv-encoding.mjs').CsvEncodingName} [outputEncoding='utf-8'] -
+ * Encoding of the output file (the rejects file is always UTF-8)
+ * @property {boolean} [outputBom=false] - Whether to start the output with a
+ * BOM, which Excel needs to open UTF-8 files correctly
+ * @property {import('./compression.mjs').CompressionName|'auto'|'none'} [compression='auto'] -
+ * Compression of the input: `gzip`, `brotli`, `deflate`, or `auto` to detect
+ * it from the extension of the input file or from its first bytes (brotli
+ * only from the `.br` extension). The input is decompressed as it is read.
+ * @property {import('./compression.mjs').CompressionName|'none'} [outputCompression] -
+ * Compression of the output (default: inferred from the extension of the
+ * output file, `.gz`, `.br`, `.deflate` or `.zz`, none for streams)
+ * @property {boolean} [hasHeader=true] - Whether the first row of the input
+ * is a header; without one, the columns are expected in schema order
+ * @property {Record<string, string[]>} [aliases] - More header names of every
+ * column, by column name, e.g. `{ email: ['Courriel'] }`; headers are matched
+ * regardless of case and spaces
+ * @property {Record<string, number>} [columnIndexes] - The 0-based index of
+ * every column, by column name, for files without a header; a header is then
+ * skipped rather than mapped
+ * @property {string[]} [outputColumns] - The columns to output, in order, among
+ * the schema, passthrough and computed columns (default: all of them)
+ * @property {Record<string, string>} [rename] - The output name of columns,
+ * by column name
+ * @property {Record<string, import('./csv-projection.mjs').ComputedColumn>} [computed] -
+ * Columns added to every record, computed from its other columns
+ * @property {boolean} [passthrough=false] - Output the input columns that are
+ * not in the schema unchanged, after the schema columns
+ * @property {import('./csv-deduplicator.mjs').CsvDedupOptions|boolean} [dedup] -
+ * Drop the records whose key columns match an earlier record, `true` to
+ * compare emails; keeping the last record of every key needs an input file,
+ * read twice
+ * @property {boolean} [sniff=false] - Detect the delimiter, quote, line
+ * terminator and header of the input from its first bytes before processing
+ * it, overriding the `dialect` and `hasHeader` options (see
+ * {@link CsvParser.sniff})
+ * @property {boolean} [endOutput=true] - Whether to end an output stream once
+ * the processing is done, as `readable.pipe()` does
+ * @property {import('./output-file.mjs').ExistingOutputPolicy} [ifExists='overwrite'] -
+ * What to do with an existing output file: replace it, fail, or append the
+ * records to it without a header (not for `json` outputs). The output is
+ * written to a temporary file renamed over it once the run succeeded.
+ * Compressed outputs cannot be appended to.
+ * @property {boolean|{filePath?: string, interval?: number}} [checkpoint] -
+ * Save a checkpoint every `interval` records (default: 100,000) to
+ * `filePath` (default: the output path followed by `.checkpoint`), so a run
+ * that crashed can be resumed. Needs uncompressed input and output files, and
+ * the stream processing methods.
+ * @property {boolean} [resume=false] - Resume from the last checkpoint, if
+ * any, with the same options; implies `checkpoint`
+ * @property {AbortSignal} [signal] - Stops the processing when aborted: the
+ * output is discarded, or kept for resuming with checkpoints, and the run
+ * rejects with an {@link AbortError}
+ * @property {number} [progressInterval=1000] - Minimum time between two
+ * `progress` events, in milliseconds
+ * @property {number|string} [maxErrors] - Most rejected rows allowed before
+ * the run fails with a {@link CsvValidationError}, as a count (`100`) or a
+ * percentage of the rows (`'5%'`, checked once all the rows are read)
+ * @property {boolean} [failFast=false] - Fail the run on the first rejected row
+ * @property {boolean} [strict=false] - Fail the run on the first malformed
+ * row: an unterminated quote, or a column count other than the header's
+ * @property {number} [errorSampleSize=10] - Number of rejected rows kept for
+ * the {@link CsvValidationError}
+ * @property {CsvLogger} [logger] - Where to report the problems that do not
+ * fail the run, such as a file that could not be cleaned up (default: none)
+ */
+
+/**
+ * Receives the warnings of the parser; `console` is one
+ * @typedef {Object} CsvLogger
+ * @property {(message: string, error?: Error) => void} warn - Reports a warning
+ */
+
+/**
+ * Anything the parser can read CSV text from: a `Readable` (an HTTP request,
+ * a gunzip stream...) or any iterable of Buffers or strings.
+ * @typedef {import('node:stream').Readable|AsyncIterable<Buffer|Uint8Array|string>|Iterable<Buffer|Uint8Array|string>} CsvSource
+ */
+
+/**
+ * Validates and transforms CSV files of users, or of any schema.
+ *
+ * Emits `progress` events with a {@link import('./progress.mjs').ProgressEvent}
+ * while processing, at most one every `progressInterval` milliseconds, and a
+ * last one once done. Every rejected row is emitted as a `reject` event with
+ * its {@link import('./csv-transform.mjs').CsvReject} and a
+ * {@link CsvSyntaxError} or {@link CsvFieldError} telling where it is wrong;
+ * rows rejected on worker threads are not.
+ *
+ * @class CsvParser
+ * @extends EventEmitter
+ * @example
+ * const parser = new CsvParser('input.csv', 'output.csv', { signal });
+ * parser.on('progress', ({ percent }) => console.log(`${percent}%`));
+ * parser.on('reject', (reject, error) => console.warn(error.message));
+ * await parser.processUsersAsStream();
+ */
+export class CsvParser extends EventEmitter {
+  #schemaOption;
+  #processor;
+  #writeStrategy;
+  #rejectsFormat;
+  #dialect;
+  #dialectOptions;
+  #headerMapping;
+  #projection;
+  #dedup;
+  #outputFormat;
+  #format;
+  #encoding;
+  #encoder;
+  #compression;
+  #outputCompression;
+  #sniff;
+  #inputSource = null;
+  #outputStream = null;
+  #endOutput;
+  #outputFile = null;
+  #checkpoint = null;
+  #resume;
+  #signal;
+  #progress;
+  #errorPolicy;
+  #logger;
 
   /**
    * Creates a new CsvParser instance
-   * @param {string} inputFilePath - Path to the input CSV file
-   * @param {string} [outputFilePath] - Path to the output file (default: output.csv in same directory as input)
+   * @param {string|CsvSource} input - Path to the input CSV file, or a source to read it from
+   * @param {string|import('node:stream').Writable} [output] - Path to the output file (default: output.csv in same directory as input), or a stream to write it to
+   * @param {CsvParserOptions} [options] - Parsing options
+   * @throws {TypeError} If the input is not a path or a source, the last
+   * duplicates are kept or checkpoints saved without an input file, a JSON
+   * or compressed output is appended to, checkpoints are saved to a
+   * compressed output, or the compression is not supported
+   * @throws {RangeError} If `maxErrors` is not a count or a percentage
+   */
+  constructor(
+    input,
+    output,
+    {
+      schema = USER_SCHEMA,
+      writeStrategy = 'stream',
+      outputFormat,
+      rejectsFilePath,
+      rejectsFormat,
+      delimiter = ',',
+      dialect,
+      encoding = 'utf-8',
+      outputEncoding = 'utf-8',
+      outputBom = false,
+      compression = 'auto',
+      outputCompression,
+      hasHeader = true,
+      aliases,
+      columnIndexes,
+      outputColumns,
+      rename,
+      computed,
+      passthrough,
+      dedup,
+      sniff = false,
+      endOutput = true,
+      ifExists = 'overwrite',
+      checkpoint,
+      resume = false,
+      signal,
+      progressInterval = 1000,
+      maxErrors,
+      failFast = false,
+      strict = false,
+      errorSampleSize,
+      logger,
+    } = {}
+  ) {
+    super();
+    if (typeof input === 'string') {
+      this.inputFilePath = input;
+    } else if (
+      typeof input?.[Symbol.asyncIterator] === 'function' ||
+      typeof input?.[Symbol.iterator] === 'function'
+    ) {
+      this.inputFilePath = null;
+      this.#inputSource = input;
+    } else {
+      throw new TypeError('input must be a file path, a stream or an iterable');
+    }
+
+    if (output && typeof output !== 'string') {
+      this.outputFilePath = null;
+      this.#outputStream = output;
+    } else if (output) {
+      this.outputFilePath = output;
+    } else if (this.inputFilePath) {
+      this.outputFilePath = path.join(
+        path.dirname(this.inputFilePath),
+        'output.csv'
+      );
+    } else {
+      // Only records() can be used without an output
+      this.outputFilePath = null;
+    }
+
+    this.#endOutput = endOutput;
+    this.#schemaOption = schema;
+    this.#dialectOptions = { delimiter, ...dialect };
+    this.#headerMapping = { aliases, columnIndexes };
+    this.#projection = { outputColumns, rename, computed, passthrough };
+    if (dedup?.keep === 'last' && !this.inputFilePath) {
+      throw new TypeError('keeping the last duplicates needs an input file');
+    }
+    this.#dedup = dedup;
+    if (checkpoint || resume) {
+      if (!this.inputFilePath || !this.outputFilePath) {
+        throw new TypeError('checkpoints need an input and an output file');
+      }
+      const { filePath = `${this.outputFilePath}.checkpoint`, interval } =
+        typeof checkpoint === 'object' ? checkpoint : {};
+      this.#checkpoint = new CsvCheckpoint(filePath, { interval });
+    }
+    this.#resume = resume;
+    this.#signal = signal;
+    this.#progress = new Progress({ interval: progressInterval });
+    this.#errorPolicy = new ErrorPolicy({
+      maxErrors,
+      failFast,
+      strict,
+      sampleSize: errorSampleSize,
+    });
+    this.#logger = logger;
+    this.#outputFormat =
+      outputFormat ??
+      (this.outputFilePath
+        ? OutputFormat.nameFromPath(this.outputFilePath)
+        : 'csv');
+    if (this.outputFilePath) {
+      this.#outputFile = new OutputFile(this.outputFilePath, { ifExists });
+    }
+    if (ifExists === 'append' && this.#outputFormat === 'json') {
+      throw new TypeError('a json output cannot be appended to');
+    }
+    this.#compression = Compression.resolve(compression, true);
+    this.#outputCompression =
+      outputCompression === undefined
+        ? this.outputFilePath && Compression.fromPath(this.outputFilePath)
+        : Compression.resolve(outputCompression, false);
+    if (this.#outputCompression && ifExists === 'append') {
+      throw new TypeError('a compressed output cannot be appended to');
+    }
+    if (this.#outputCompression && this.#checkpoint) {
+      throw new TypeError('checkpoints need an uncompressed output');
+    }
+    this.#encoding = new CsvDecoder(encoding).encoding;
+    this.#encoder = new CsvEncoder(outputEncoding, { bom: outputBom });
+    this.#sniff = sniff;
+    this.#configure(this.#dialectOptions, hasHeader);
+    this.#writeStrategy = writeStrategy;
+    this.rejectsFilePath = rejectsFilePath;
+    this.#rejectsFormat =
+      rejectsFormat ??
+      (rejectsFilePath && RejectsWriter.formatFromPath(rejectsFilePath));
+  }
+
+  /**
+   * Creates a parser that reads from a stream or iterable and writes to a
+   * stream, so it can run inside a `stream.pipeline()` without temp files.
+   * @param {CsvSource} source - Where to read the CSV text from
+   * @param {import('node:stream').Writable} destination - Where to write the output
+   * @param {CsvParserOptions} [options] - Parsing options
+   * @returns {CsvParser}
+   * @example
+   * // Validate a gzipped upload and send the result back
+   * await pipeline(request, zlib.createGunzip(), (source) =>
+   *   CsvParser.fromStream(source, response).processUsersAsStream()
+   * );
+   */
+  static fromStream(source, destination, options) {
+    if (typeof source === 'string' || typeof destination === 'string') {
+      throw new TypeError(
+        'fromStream expects a source and a destination stream'
+      );
+    }
+    return new CsvParser(source, destination, options);
+  }
+
+  /**
+   * Creates a Transform stream that takes raw CSV chunks and emits the
+   * records validated and transformed by the same rules as the parser
+   * @param {import('./csv-transform.mjs').CsvTransformOptions} [options] - Transform options
+   * @returns {CsvTransform}
+   * @example
+   * const transform = CsvParser.createTransform({ objectMode: false });
+   * transform.on('stats', (stats) => console.log(stats.toJSON()));
+   * await pipeline(createReadStream('input.csv'), transform, response);
    */
-  constructor(inputFilePath, outputFilePath) {
-    this.inputFilePath = inputFilePath;
-    this.outputFilePath =
-      outputFilePath || path.join(path.dirname(inputFilePath), 'output.csv');
+  static createTransform(options) {
+    return new CsvTransform(options);
+  }
+
+  /**
+   * Detects the encoding, dialect, header and column types of a CSV file from
+   * its first bytes, once decompressed if it is compressed. The result can be
+   * passed as is to the parser options.
+   * @param {string|Buffer} input - Path to the CSV file, or its content
+   * @param {Object} [options] - Sniffing options
+   * @param {number} [options.sampleSize=65536] - Number of bytes to read
+   * @param {string} [options.encoding='auto'] - Encoding of the input, if known
+   * @param {import('./compression.mjs').CompressionName|'auto'|'none'} [options.compression='auto'] -
+   * Compression of the input, if known
+   * @returns {Promise<import('./csv-sniffer.mjs').CsvSniffResult & {encoding: import('./csv-encoding.mjs').CsvEncodingName}>}
+   * @example
+   * const sniffed = await CsvParser.sniff('partner.csv');
+   * const parser = new CsvParser('partner.csv', 'output.csv', sniffed);
+   */
+  static async sniff(
+    input,
+    {
+      sampleSize = SNIFF_SAMPLE_SIZE,
+      encoding = 'auto',
+      compression = 'auto',
+    } = {}
+  ) {
+    compression = Compression.resolve(compression, true);
+    if (compression === 'auto') {
+      compression = Buffer.isBuffer(input)
+        ? Compression.detect(input)
+        : await CsvParser.#detectFileCompression(input);
+    }
+    let sample;
+    if (!Buffer.isBuffer(input)) {
+      sample = await CsvParser.#readSample(input, sampleSize, compression);
+    } else if (compression) {
+      sample = await CsvParser.#decompressSample(
+        [input],
+        compression,
+        sampleSize
+      );
+    } else {
+      sample = {
+        sample: input.subarray(0, sampleSize),
+        complete: input.length <= sampleSize,
+      };
+    }
+    return CsvParser.#sniffSample(sample.sample, {
+      complete: sample.complete,
+      encoding,
+    });
+  }
+
+  /**
+   * Detects the compression of a file from its extension, or else from its
+   * first bytes
+   * @private
+   * @param {string} filePath - The path to the file
+   * @returns {Promise<import('./compression.mjs').CompressionName|null>}
+   */
+  static async #detectFileCompression(filePath) {
+    return (
+      Compression.fromPath(filePath) ??
+      Compression.detect(
+        (await CsvParser.#readSample(filePath, MAGIC_SIZE)).sample
+      )
+    );
+  }
+
+  /**
+   * Reads the first bytes of a file, once decompressed if it is compressed
+   * @private
+   * @param {string} filePath - The path to the file
+   * @param {number} size - The number of bytes to read
+   * @param {import('./compression.mjs').CompressionName|null} [compression] -
+   * The compression of the file, if any
+   * @returns {Promise<{sample: Buffer, complete: boolean}>} - The bytes read,
+   * and whether they are the whole file
+   */
+  static async #readSample(filePath, size, compression = null) {
+    if (compression) {
+      return CsvParser.#decompressSample(
+        createReadStream(filePath),
+        compression,
+        size
+      );
+    }
+    const file = await fs.open(filePath);
+    try {
+      const sample = Buffer.alloc(size);
+      const { bytesRead } = await file.read(sample, 0, size, 0);
+      return {
+        sample: sample.subarray(0, bytesRead),
+        complete: bytesRead < size,
+      };
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Decompresses the first bytes of a compressed input, stopping there. An
+   * input cut short, such as a Buffer holding the start of a file, gives the
+   * bytes decompressed before the cut.
+   * @private
+   * @param {CsvSource} source - The compressed input
+   * @param {import('./compression.mjs').CompressionName} compression - Its compression
+   * @param {number} size - The number of bytes to decompress
+   * @throws {Error} If the input is not compressed that way
+   * @returns {Promise<{sample: Buffer, complete: boolean}>} - The bytes
+   * decompressed, and whether they are the whole input
+   */
+  static async #decompressSample(source, compression, size) {
+    const chunks = [];
+    let length = 0;
+    let complete = true;
+    try {
+      const decompressor = Compression.createDecompressor(compression);
+      for await (const chunk of pipeline(source, decompressor, () => {})) {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= size) {
+          complete = false;
+          break;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'Z_BUF_ERROR' || length === 0) throw error;
+      complete = false;
+    }
+    const sample = Buffer.concat(chunks);
+    return { sample: sample.subarray(0, size), complete };
+  }
+
+  /**
+   * Detects the encoding, dialect, header and column types of a sample
+   * @private
+   * @param {Buffer} sample - The first bytes of the input
+   * @param {Object} options - Sniffing options
+   * @param {boolean} options.complete - Whether the sample is the whole input
+   * @param {string} options.encoding - Encoding of the input, or `auto`
+   * @returns {import('./csv-sniffer.mjs').CsvSniffResult & {encoding: import('./csv-encoding.mjs').CsvEncodingName}}
+   */
+  static #sniffSample(sample, { complete, encoding }) {
+    const decoder = new CsvDecoder(
+      encoding === 'auto' ? CsvDecoder.detect(sample) : encoding
+    );
+    // Without end(), a character cut at the end of the sample is left out
+    const text = decoder.write(sample) + (complete ? decoder.end() : '');
+    return {
+      encoding: decoder.encoding,
+      ...new CsvSniffer().sniff(text, { complete }),
+    };
   }
 
   /**
    * Processes a CSV file of users line by line
+   * @throws {AbortError} If the signal is aborted
+   * @throws {CsvValidationError} If the rejected rows break the error policy
    * @returns {Promise<Stats>} - Processing statistics
    */
   async processUsers() {
-    const stats = new Stats();
+    this.#assertNoCheckpoint();
+    const stats = new Stats().start();
+    await this.#sniffInput();
+    await this.#prepareDedup();
+    const compression = await this.#detectCompression();
+    let input = this.#inputSource
+      ? await buffer(this.#inputSource)
+      : await fs.readFile(this.inputFilePath);
+    stats.bytesRead = input.length;
+    if (compression) {
+      input = await buffer(
+        Readable.from([input]).pipe(Compression.createDecompressor(compression))
+      );
+    }
 
-    try {
-      const csv = await fs.readFile(this.inputFilePath, 'utf8');
-      if (!csv.trim()) {
-        return stats;
-      }
+    const decoder = new CsvDecoder(this.#encoding);
+    const csv = decoder.write(input) + decoder.end();
+    if (!csv.trim()) {
+      return stats.end();
+    }
+
+    const reader = new CsvRecordReader({
+      ...this.#dialect,
+      encoding: decoder.encoding,
+    });
+    const records = [...reader.push(csv), ...reader.flush()];
+    return this.#run(records.values(), stats);
+  }
 
-      await fs.writeFile(this.outputFilePath, this.#USER_HEADERS.join(','));
-      const [headers, ...lines] = csv.split(EOL);
-      this.#processHeaders(headers);
+  /**
+   * Reads the input as a stream and yields the valid records, without writing
+   * any output or rejects file. The input is only read as fast as the records
+   * are consumed, so a slow consumer does not make memory grow.
+   * @param {Object} [options] - Iteration options
+   * @param {boolean} [options.includeRejects=false] - Also yield the rejected
+   * rows, tagging every result with its type
+   * @throws {AbortError} If the signal is aborted
+   * @throws {CsvValidationError} If the rejected rows break the error policy
+   * @returns {AsyncGenerator<User|CsvRecordResult, Stats>} - The records; the
+   * generator returns the processing statistics once done
+   * @example
+   * for await (const user of parser.records()) {
+   *   await db.insert(user);
+   * }
+   *
+   * for await (const result of parser.records({ includeRejects: true })) {
+   *   if (result.type === 'reject') console.warn(result.reject.reason);
+   * }
+   */
+  async *records({ includeRejects = false } = {}) {
+    const stats = new Stats().start();
+    await this.#sniffInput();
+    await this.#prepareDedup();
+    await this.#startProgress();
+    this.#errorPolicy.start();
+    let headerRead = !this.#processor.hasHeader;
 
-      for (const line of lines) {
-        await this.#processUsersLine(line, stats);
+    for await (const record of this.#abortable(this.#getLines(stats), stats)) {
+      this.#reportProgress(stats);
+      if (!headerRead) {
+        headerRead = true;
+        this.#processor.processHeaders(record);
+        continue;
       }
-    } catch (error) {
-      await this.#safeDelete(this.outputFilePath);
-      throw error;
-    }
 
-    if (stats.processed === 0) {
-      await this.#safeDelete(this.outputFilePath);
+      const result = this.#processor.process(record, stats);
+      if (result?.record) {
+        yield includeRejects
+          ? { type: 'user', user: result.record, line: record.line }
+          : result.record;
+      } else if (result) {
+        const reject = this.#reject(record, result, stats);
+        if (includeRejects) yield { type: 'reject', reject };
+      }
     }
 
-    return stats;
+    this.#errorPolicy.finish(stats);
+    this.#reportProgress(stats, true);
+    return stats.end();
   }
 
   /**
    * Processes a CSV file of users line by line (performant version using streams)
+   * @throws {AbortError} If the signal is aborted
+   * @throws {CsvValidationError} If the rejected rows break the error policy
    * @returns {Promise<Stats>} - Processing statistics
    */
   async processUsersAsStream() {
-    const stats = new Stats();
-    const lines = this.#getLines();
+    const stats = new Stats().start();
+    await this.#sniffInput();
+    await this.#prepareDedup();
+    if (this.#checkpoint) {
+      return this.#runWithCheckpoints(stats);
+    }
+    return this.#run(this.#getLines(stats), stats);
+  }
+
+  /**
+   * Processes a CSV file of users line by line (performant version using streams and batched writes)
+   * This method reads the input file line by line, processes each user, and writes valid users to the output file.
+   * Processed lines are grouped in batches, so each batch reaches the output stream with a single write.
+   * @throws {AbortError} If the signal is aborted
+   * @throws {CsvValidationError} If the rejected rows break the error policy
+   * @returns {Promise<Stats>} - Processing statistics
+   */
+  async processUsersAsStreamAndConcurrency() {
+    const batchSize = 1000; // Number of lines written at once
+    const stats = new Stats().start();
+    await this.#sniffInput();
+    await this.#prepareDedup();
+    if (this.#checkpoint) {
+      return this.#runWithCheckpoints(stats, batchSize);
+    }
+    return this.#run(this.#getLines(stats), stats, batchSize);
+  }
+
+  /**
+   * Processes a CSV file of users on worker threads. The file is split into
+   * byte ranges aligned to record boundaries and every range is validated and
+   * transformed by a worker into a temporary file. The temporary files are
+   * then appended to the output in the original order, and the statistics of
+   * every range are merged.
+   *
+   * Only uncompressed file inputs can be split. The schema is rebuilt in every worker, so
+   * it must be the default user schema or plain column definitions, without
+   * functions, and computed columns and deduplication are not supported, as
+   * every worker only sees its own range. The file is split on
+   * ASCII characters, so UTF-16 is not supported. Workers write the built-in
+   * output formats only.
+   * @param {Object} [options] - Parallel processing options
+   * @param {number} [options.workers] - Number of worker threads (default:
+   * the available parallelism)
+   * @param {number} [options.rangeSize] - Minimum size of a range in bytes
+   * (default: four ranges per worker, of at least 1 MiB)
+   * @throws {TypeError} If the input is not a file, or is compressed or
+   * UTF-16, or the schema, computed columns or output format cannot be sent
+   * to the workers, or deduplication or checkpoints are enabled
+   * @throws {AbortError} If the signal is aborted
+   * @throws {CsvValidationError} If the rejected rows break the error policy
+   * @returns {Promise<Stats>} - Processing statistics
+   */
+  async processUsersInParallel({
+    workers = availableParallelism(),
+    rangeSize,
+  } = {}) {
+    this.#assertNoCheckpoint();
+    if (!this.inputFilePath) {
+      throw new TypeError('parallel processing needs an input file');
+    }
+    const schema = this.#getWorkerSchema();
+    if (this.#outputFormat instanceof OutputFormat) {
+      throw new TypeError('parallel processing needs a built-in output format');
+    }
+    const { computed, ...projection } = this.#projection;
+    if (computed && Object.keys(computed).length > 0) {
+      throw new TypeError(
+        'parallel processing does not support computed columns'
+      );
+    }
+    if (this.#dedup) {
+      throw new TypeError('parallel processing does not support deduplication');
+    }
+    if (await this.#detectCompression()) {
+      throw new TypeError(
+        'parallel processing does not support compressed input'
+      );
+    }
+    const stats = new Stats().start();
+    await this.#sniffInput();
+    await this.#detectEncoding();
+    if (this.#encoding.startsWith('utf-16')) {
+      throw new TypeError('parallel processing does not support UTF-16 input');
+    }
+
+    const { header, lineTerminator } = await this.#readHeader();
+    if (header === undefined) {
+      return this.#run([].values(), stats);
+    }
+    const { hasHeader } = this.#processor;
+    if (hasHeader) {
+      this.#processor.processHeaders(header);
+    }
+    // Every range must be read with the terminator detected from the header
+    const dialect = { ...this.#dialect, lineTerminator };
+
+    const { size } = await fs.stat(this.inputFilePath);
+    this.#progress.start(size);
+    rangeSize ??= Math.max(Math.ceil(size / (workers * 4)), MIN_RANGE_SIZE);
+    const tempDir = await fs.mkdtemp(path.join(tmpdir(), 'csv-parser-'));
+    const pool = new WorkerPool(new URL('./csv-worker.mjs', import.meta.url), {
+      size: workers,
+      workerData: {
+        filePath: this.inputFilePath,
+        header,
+        hasHeader,
+        ...this.#headerMapping,
+        ...projection,
+        schema,
+        dialect,
+        strict: this.#errorPolicy.strict,
+        encoding: this.#encoding,
+        outputEncoding: this.#encoder.encoding,
+        outputFormat: this.#outputFormat,
+        rejectsFormat: this.#rejectsFormat,
+      },
+    });
+    const output = await this.#openWriter();
+    const rejects = this.#openRejects();
+    this.#errorPolicy.start();
+    // Parts start with the delimiter, dropped before the first record
+    const delimiterLength = this.#encoder.encode(this.#format.delimiter).length;
 
     try {
-      await fs.writeFile(this.outputFilePath, this.#USER_HEADERS.join(','));
-      const { value } = await lines.next();
-      this.#processHeaders(value);
+      await output.open();
+      await rejects?.open();
 
-      for await (const line of lines) {
-        await this.#processUsersLine(line, stats);
+      const parts = [];
+      const splitter = new CsvSplitter(dialect);
+      for await (const range of splitter.split(this.inputFilePath, rangeSize)) {
+        const part = path.join(tempDir, String(parts.length));
+        const task = {
+          ...range,
+          skipHeader: hasHeader && range.start === 0,
+          outputPath: `${part}.output`,
+          rejectsPath: rejects ? `${part}.rejects` : undefined,
+        };
+        const result = pool.run(task);
+        result.catch(() => {}); // Awaited in order below
+        parts.push({ task, result });
       }
+
+      for (const { task, result } of parts) {
+        const partStats = Stats.fromJSON(await result);
+        this.#throwIfAborted(stats);
+        stats.merge(partStats);
+        // The rows were rejected by the workers, only their counts are known
+        this.#errorPolicy.check(stats);
+        await this.#appendPart(task.outputPath, (chunks) =>
+          output.appendFragment(chunks, partStats.processed, delimiterLength)
+        );
+        if (rejects) {
+          await this.#appendPart(task.rejectsPath, async (chunks) => {
+            for await (const chunk of chunks) {
+              await rejects.append(chunk);
+            }
+          });
+        }
+        this.#reportProgress(stats);
+      }
+
+      this.#errorPolicy.finish(stats);
+      await output.close();
+      await rejects?.close();
+      stats.bytesWritten = output.bytesWritten;
+      await this.#commitOutput(stats);
     } catch (error) {
-      await this.#safeDelete(this.outputFilePath);
+      await this.#abort(output, rejects);
       throw error;
+    } finally {
+      await pool.close();
+      await fs.rm(tempDir, { recursive: true, force: true });
     }
 
-    if (stats.processed === 0) {
-      await this.#safeDelete(this.outputFilePath);
-    }
-
-    return stats;
+    this.#reportProgress(stats, true);
+    return stats.end();
   }
 
   /**
-   * Processes a CSV file of users line by line (performant version using streams and concurrency)
-   * This method reads the input file line by line, processes each user, and writes valid users to the output file.
-   * It uses a concurrency limit to avoid overwhelming the system with too many simultaneous file operations.
+   * Processes the records of the CSV file and writes the valid ones to the output file.
+   * The first record is the header, if there is one. On failure the output files are discarded,
+   * leaving an existing output as it was; output streams are destroyed instead.
+   * @private
+   * @param {IterableIterator<CsvRecord>|AsyncGenerator<CsvRecord>} records - The records of the CSV file
+   * @param {Stats} stats - The statistics of the current run
+   * @param {number} [batchSize=1] - Number of processed records written at once
+   * @param {RunCheckpoints} [checkpoints] - Where to save the checkpoints of
+   * the run, and the one it resumes from; the temporary output is then kept
+   * on failure
    * @returns {Promise<Stats>} - Processing statistics
    */
-  async processUsersAsStreamAndConcurrency() {
-    const batchSize = 1000; // Number of lines to process concurrently
-    const stats = new Stats();
-    const lines = this.#getLines();
+  async #run(records, stats, batchSize = 1, checkpoints = null) {
+    const resumed = checkpoints?.state ?? null;
+    // Reads the input file, which must fail before any output is created
+    await this.#startProgress();
+    const output = await this.#openWriter(batchSize, resumed);
+    const rejects = this.#openRejects(resumed !== null);
+    this.#errorPolicy.start();
+    let sinceCheckpoint = 0;
 
     try {
-      await fs.writeFile(this.outputFilePath, this.#USER_HEADERS.join(','));
-      const { value } = await lines.next();
-      this.#processHeaders(value);
-      let promises = [];
-
-      for await (const line of lines) {
-        promises.push(this.#processUsersLine(line, stats));
-
-        if (promises.length >= batchSize) {
-          await Promise.allSettled(promises);
-          promises = [];
+      if (this.#processor.hasHeader && !resumed) {
+        const { value: headers, done } = await records.next();
+        if (!done) {
+          this.#processor.processHeaders(headers);
         }
       }
+      // The output columns are known once the headers are processed
+      await output.open();
+      if (!resumed) {
+        await rejects?.open();
+      }
 
-      if (promises.length > 0) {
-        await Promise.allSettled(promises);
+      for await (const record of records) {
+        const user = await this.#processUsersLine(record, stats, rejects);
+        if (user) {
+          await output.write(user);
+        }
+        if (checkpoints) {
+          sinceCheckpoint++;
+          // An abort waits for the next boundary, to save a checkpoint there
+          if (!checkpoints.position.boundary) continue;
+          if (
+            sinceCheckpoint >= checkpoints.checkpoint.interval ||
+            this.#signal?.aborted
+          ) {
+            await this.#saveCheckpoint(checkpoints, output, rejects, stats);
+            sinceCheckpoint = 0;
+          }
+        }
+        this.#throwIfAborted(stats);
+        this.#reportProgress(stats);
       }
+
+      this.#errorPolicy.finish(stats);
+      await output.close();
+      await rejects?.close();
+      stats.bytesWritten =
+        (resumed?.stats.bytesWritten ?? 0) + output.bytesWritten;
+      await this.#commitOutput(stats);
+      await checkpoints?.checkpoint.remove();
     } catch (error) {
-      await this.#safeDelete(this.outputFilePath);
+      if (checkpoints) {
+        // Keep the temporary output for the run to be resumed
+        await output.abort();
+        await rejects?.abort();
+      } else {
+        await this.#abort(output, rejects);
+      }
+      // Aborting a source stream makes it fail with an error of its own
+      if (!(error instanceof AbortError)) this.#throwIfAborted(stats);
       throw error;
     }
 
-    if (stats.processed === 0) {
-      await this.#safeDelete(this.outputFilePath);
+    this.#reportProgress(stats, true);
+    return stats.end();
+  }
+
+  /**
+   * Opens the output and a writer of the output format on it. Output files
+   * are written to a temporary file, which already holds the output when
+   * appending to it or resuming it, so no header is written then.
+   * @private
+   * @param {number} [batchSize=1] - Number of records written at once
+   * @param {import('./csv-checkpoint.mjs').CsvCheckpointState|null} [resumed] -
+   * The checkpoint the output is resumed from, if any
+   * @throws {TypeError} If there is no output
+   * @throws {Error} If the output file exists and must not be replaced
+   * @returns {Promise<OutputWriter>}
+   */
+  async #openWriter(batchSize = 1, resumed = null) {
+    await this.#outputFile?.open(resumed?.tempPath);
+    const append = this.#outputFile?.initialLength > 0;
+    return new OutputWriter(this.#openOutput(append), this.#format, {
+      batchSize,
+      append,
+      recordsWritten: resumed?.stats.processed ?? 0,
+    });
+  }
+
+  /**
+   * Opens the output, using a single write stream unless the legacy
+   * `appendFile` strategy was requested, and encoding and compressing the
+   * text written to it
+   * @private
+   * @param {boolean} [append=false] - Whether to append to the temporary
+   * output file
+   * @throws {TypeError} If there is no output
+   * @returns {StreamSink|AppendFileSink|EncodingSink|CompressionSink}
+   */
+  #openOutput(append = false) {
+    if (!this.outputFilePath && !this.#outputStream) {
+      throw new TypeError('an output is required when reading from a stream');
     }
+    let sink;
+    if (this.#outputStream) {
+      sink = new StreamSink(this.#outputStream, { end: this.#endOutput });
+    } else if (this.#writeStrategy === 'appendFile') {
+      sink = new AppendFileSink(this.#outputFile.tempPath, { append });
+    } else {
+      sink = new StreamSink(
+        createWriteStream(this.#outputFile.tempPath, {
+          flags: append ? 'a' : 'w',
+        })
+      );
+    }
+    if (this.#outputCompression) {
+      sink = new CompressionSink(
+        sink,
+        Compression.createCompressor(this.#outputCompression)
+      );
+    }
+    // UTF-8 text is written as is, which is faster
+    return this.#encoder.encoding === 'utf-8' && !this.#encoder.bom.length
+      ? sink
+      : new EncodingSink(sink, this.#encoder, { append });
+  }
 
-    return stats;
+  /**
+   * Opens the rejects file, if one was requested
+   * @private
+   * @param {boolean} [append=false] - Whether to append to the rejects file
+   * @returns {RejectsWriter|null}
+   */
+  #openRejects(append = false) {
+    if (!this.rejectsFilePath) {
+      return null;
+    }
+    return new RejectsWriter(
+      new StreamSink(
+        createWriteStream(this.rejectsFilePath, { flags: append ? 'a' : 'w' })
+      ),
+      this.#rejectsFormat,
+      { lineTerminator: this.#dialect.outputLineTerminator }
+    );
   }
 
   /**
-   * Creates an async iterator to read lines from the input file
+   * Sets the dialect of the input and output, and the processor and output
+   * format using it
    * @private
-   * @returns {NodeJS.AsyncIterator<string>}
+   * @param {Object} dialectOptions - The options of the {@link CsvDialect}
+   * @param {boolean} hasHeader - Whether the first record is a header
    */
-  #getLines() {
-    const rl = readline.createInterface({
-      input: createReadStream(this.inputFilePath, { encoding: 'utf-8' }),
-      crlfDelay: Infinity,
+  #configure(dialectOptions, hasHeader) {
+    this.#dialect = new CsvDialect(dialectOptions);
+    this.#processor = new CsvRecordProcessor({
+      schema: this.#schemaOption,
+      dialect: this.#dialect,
+      hasHeader,
+      ...this.#headerMapping,
+      ...this.#projection,
+      dedup: this.#dedup,
+      strict: this.#errorPolicy.strict,
     });
-    return rl[Symbol.asyncIterator]();
+    this.#format =
+      this.#outputFormat instanceof OutputFormat
+        ? this.#outputFormat
+        : OutputFormat.create(this.#outputFormat, {
+            columns: this.#processor.projection,
+            dialect: this.#dialect,
+          });
   }
 
   /**
-   * Process user
-   * @param {User} user - User object containing name, email, and age
-   * @returns {string|null} - Processed line or null if invalid
+   * Detects the encoding, dialect and header of the input, if the `sniff` option is
+   * set. Stream inputs are sampled from their first chunks, which are then
+   * read again by the processing.
+   * @private
+   * @returns {Promise<void>}
    */
-  #processUser({ name, email, age }) {
-    if (!email.includes('@')) {
-      return null;
+  async #sniffInput() {
+    if (!this.#sniff) return;
+    this.#sniff = false; // The input is only sniffed once
+
+    const compression = await this.#detectCompression();
+    const { sample, complete } = this.inputFilePath
+      ? await CsvParser.#readSample(
+          this.inputFilePath,
+          SNIFF_SAMPLE_SIZE,
+          compression
+        )
+      : await this.#peekInput(SNIFF_SAMPLE_SIZE);
+    const { encoding, dialect, hasHeader } = CsvParser.#sniffSample(sample, {
+      complete,
+      encoding: this.#encoding,
+    });
+    this.#encoding = encoding;
+    this.#configure({ ...this.#dialectOptions, ...dialect }, hasHeader);
+  }
+
+  /**
+   * Processes the input file, saving checkpoints along the way, from the last
+   * checkpoint when resuming. The temporary output and the rejects file are
+   * then cut back to their length at the checkpoint, and the statistics
+   * restored.
+   * @private
+   * @param {Stats} stats - The statistics of the current run
+   * @param {number} [batchSize=1] - Number of processed records written at once
+   * @throws {TypeError} If the input is compressed, so it cannot be read
+   * from an offset
+   * @throws {Error} If the checkpoint is for another input, or the output is
+   * shorter than at the checkpoint
+   * @returns {Promise<Stats>} - Processing statistics
+   */
+  async #runWithCheckpoints(stats, batchSize = 1) {
+    if (await this.#detectCompression()) {
+      throw new TypeError('checkpoints need an uncompressed input');
+    }
+    await this.#detectEncoding();
+    const input = await fs.stat(this.inputFilePath);
+    const state = this.#resume ? await this.#checkpoint.load(input) : null;
+    const bomLength = await this.#readBomLength();
+    if (!state) {
+      const position = { offset: bomLength, line: 1 };
+      return this.#run(
+        this.#readRecordsFrom(position, stats, bomLength),
+        stats,
+        batchSize,
+        { checkpoint: this.#checkpoint, input, state, position }
+      );
     }
 
-    if (Number.isNaN(age) || age < 0) {
-      return null;
+    await this.#truncate(state.tempPath, state.outputOffset);
+    if (this.rejectsFilePath) {
+      await this.#truncate(this.rejectsFilePath, state.rejectsOffset);
     }
+    if (this.#processor.hasHeader) {
+      this.#processor.processHeaders((await this.#readHeader()).header);
+    }
+    await this.#replayDedup(state.line);
 
-    return [name.toUpperCase(), email, age].join(',');
+    const resumedStats = Stats.fromJSON(state.stats);
+    resumedStats.bytesRead = state.inputOffset;
+    const position = { offset: state.inputOffset, line: state.line };
+    return this.#run(
+      this.#readRecordsFrom(position, resumedStats, bomLength),
+      resumedStats,
+      batchSize,
+      { checkpoint: this.#checkpoint, input, state, position }
+    );
   }
 
-  #safeDelete(filePath) {
-    return fs.unlink(filePath).catch((error) => {
-      if (error.code !== 'ENOENT') {
-        console.error(`Error deleting file ${filePath}:`, error);
+  /**
+   * Reads the records of the input file from a position, moving it along: the
+   * position moves past the last record read from every chunk before it is
+   * yielded, and is then marked as a `boundary`, where a checkpoint can be
+   * saved once that record is processed.
+   * @private
+   * @param {RunPosition} position - Byte offset and line to read from
+   * @param {Stats} stats - The statistics of the current run
+   * @param {number} bomLength - The length of the BOM of the input, not
+   * counted in the byte offsets of the records
+   * @returns {AsyncGenerator<CsvRecord>}
+   */
+  async *#readRecordsFrom(position, stats, bomLength) {
+    const reader = new CsvRecordReader({
+      ...this.#dialect,
+      line: position.line,
+      byteOffset: position.offset - bomLength,
+      encoding: this.#encoding,
+    });
+    const encoder = new CsvEncoder(this.#encoding);
+    let pending = ''; // Text read but not consumed by a record yet
+    let consumed = 0;
+
+    function* advance(records) {
+      for (let i = 0; i < records.length; i++) {
+        position.boundary = i === records.length - 1;
+        if (position.boundary) {
+          const length = reader.offset - consumed;
+          position.offset += encoder.byteLength(pending.slice(0, length));
+          position.line = reader.line;
+          pending = pending.slice(length);
+          consumed = reader.offset;
+        }
+        yield records[i];
       }
+    }
+
+    for await (const text of this.#readInput(stats, position.offset)) {
+      pending += text;
+      yield* advance(reader.push(text));
+    }
+    yield* advance(reader.flush());
+  }
+
+  /**
+   * Syncs the output and the rejects file, then saves a checkpoint of the
+   * records processed so far
+   * @private
+   * @param {RunCheckpoints} checkpoints - Where to save the checkpoint
+   * @param {OutputWriter} output - The output
+   * @param {RejectsWriter|null} rejects - The rejects file, if any
+   * @param {Stats} stats - The statistics of the current run
+   * @returns {Promise<void>}
+   */
+  async #saveCheckpoint(
+    { checkpoint, input, state, position },
+    output,
+    rejects,
+    stats
+  ) {
+    await output.sync();
+    await rejects?.sync();
+    await checkpoint.save(input, {
+      inputOffset: position.offset,
+      line: position.line,
+      tempPath: this.#outputFile.tempPath,
+      outputOffset: this.#outputFile.initialLength + output.bytesWritten,
+      rejectsOffset: (state?.rejectsOffset ?? 0) + (rejects?.bytesWritten ?? 0),
+      stats: {
+        ...stats.toJSON(),
+        bytesWritten: (state?.stats.bytesWritten ?? 0) + output.bytesWritten,
+      },
     });
   }
 
   /**
-   * Processes the headers of the CSV file to find the indices of name, email, and age
+   * Cuts a file back to its length at a checkpoint
+   * @private
+   * @param {string} filePath - The output or rejects file
+   * @param {number} length - Its length at the checkpoint
+   * @throws {Error} If the file is shorter than that
+   * @returns {Promise<void>}
+   */
+  async #truncate(filePath, length) {
+    const { size } = await fs.stat(filePath);
+    if (size < length) {
+      throw new Error(`${filePath} is shorter than at the checkpoint`);
+    }
+    await fs.truncate(filePath, length);
+  }
+
+  /**
+   * Passes the records before a checkpoint to the deduplicator again, so the
+   * resumed run drops the same duplicates as an uninterrupted one
+   * @private
+   * @param {number} line - The line of the first record after the checkpoint
+   * @returns {Promise<void>}
+   */
+  async #replayDedup(line) {
+    if (this.#processor.deduplicator?.keep !== 'first') return;
+    let headerRead = !this.#processor.hasHeader;
+    for await (const record of this.#getLines(new Stats())) {
+      if (record.line >= line) break;
+      if (!headerRead) {
+        headerRead = true;
+        continue;
+      }
+      this.#processor.process(record, new Stats());
+    }
+  }
+
+  /**
+   * Gets the length of the BOM the input file starts with, if any
+   * @private
+   * @returns {Promise<number>}
+   */
+  async #readBomLength() {
+    const { bom } = new CsvEncoder(this.#encoding, { bom: true });
+    const { sample } = await CsvParser.#readSample(
+      this.inputFilePath,
+      bom.length
+    );
+    return sample.equals(bom) ? bom.length : 0;
+  }
+
+  /**
+   * Detects the encoding of the input file from its first bytes, if it is
+   * `auto`, for the methods that read the file from several offsets
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #detectEncoding() {
+    if (this.#encoding !== 'auto') return;
+    const { sample } = await CsvParser.#readSample(
+      this.inputFilePath,
+      SNIFF_SAMPLE_SIZE
+    );
+    this.#encoding = CsvDecoder.detect(sample);
+  }
+
+  /**
+   * Detects the compression of the input, if it is `auto`: from the extension
+   * of an input file or else from its first bytes, and from the first bytes
+   * of a stream input. A compressed stream input is replaced with a stream
+   * decompressing it, leaving nothing to decompress.
+   * @private
+   * @returns {Promise<import('./compression.mjs').CompressionName|null>} -
+   * The compression of the input file, null if it is not compressed
+   */
+  async #detectCompression() {
+    if (this.#compression === 'auto') {
+      this.#compression = this.inputFilePath
+        ? await CsvParser.#detectFileCompression(this.inputFilePath)
+        : Compression.detect((await this.#peekInput(MAGIC_SIZE)).sample);
+    }
+    if (this.#compression && this.#inputSource) {
+      const decompressor = Compression.createDecompressor(this.#compression);
+      this.#inputSource = pipeline(this.#inputSource, decompressor, () => {});
+      this.#compression = null;
+    }
+    return this.#compression;
+  }
+
+  /**
+   * Throws if checkpoints are enabled, for the methods that do not save them
    * @private
-   * @param line - The header line of the CSV file
-   * @throws {Error} If the required headers are not found
-   * @returns {void}
+   * @throws {TypeError} If checkpoints are enabled
    */
-  #processHeaders(line) {
-    const headers = line.split(',');
-    this.#nameIndex = headers.indexOf('name');
-    this.#emailIndex = headers.indexOf('email');
-    this.#ageIndex = headers.indexOf('age');
+  #assertNoCheckpoint() {
+    if (this.#checkpoint) {
+      throw new TypeError(
+        'checkpoints need processUsersAsStream or processUsersAsStreamAndConcurrency'
+      );
+    }
+  }
+
+  /**
+   * Forgets the keys seen by a previous run and, when the last record of
+   * every key is kept, reads the input once to find them
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #prepareDedup() {
+    const deduplicator = this.#processor.deduplicator;
+    if (!deduplicator) return;
+    deduplicator.clear();
+    if (deduplicator.keep !== 'last') return;
+
+    let headerRead = !this.#processor.hasHeader;
+    for await (const record of this.#getLines(new Stats())) {
+      if (!headerRead) {
+        headerRead = true;
+        this.#processor.processHeaders(record);
+        continue;
+      }
+      this.#processor.scan(record);
+    }
+  }
+
+  /**
+   * Reads the first chunks of a stream input, and replaces the input with one
+   * that yields them again before the rest of the stream
+   * @private
+   * @param {number} size - The number of bytes to read, at least
+   * @returns {Promise<{sample: Buffer, complete: boolean}>} - The chunks read,
+   * and whether they are the whole input
+   */
+  async #peekInput(size) {
+    const source = this.#inputSource;
+    // The input replacing the source is no stream the signal can abort
+    if (this.#signal && source instanceof Readable) {
+      addAbortSignal(this.#signal, source);
+    }
+    const iterator =
+      source[Symbol.asyncIterator]?.() ?? source[Symbol.iterator]();
+    const chunks = [];
+    let length = 0;
+    let complete = false;
+
+    while (length < size) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        complete = true;
+        break;
+      }
+      const chunk = typeof value === 'string' ? Buffer.from(value) : value;
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    this.#inputSource = (async function* () {
+      yield* chunks;
+      if (complete) return;
+      try {
+        let next;
+        while (!(next = await iterator.next()).done) {
+          yield next.value;
+        }
+      } finally {
+        await iterator.return?.();
+      }
+    })();
+    return { sample: Buffer.concat(chunks), complete };
+  }
+
+  /**
+   * Reads the header record of the input and detects its line terminator
+   * @private
+   * @returns {Promise<{header: string|undefined, lineTerminator: string}>} -
+   * The header, undefined if the input is empty, and the line terminator
+   */
+  async #readHeader() {
+    const reader = new CsvRecordReader(this.#dialect);
+    let header;
+    for await (const record of reader.read(this.#readInput(new Stats()))) {
+      header = record.text;
+      break;
+    }
+    return { header, lineTerminator: reader.lineTerminator ?? '\n' };
+  }
+
+  /**
+   * Gets the schema to send to the worker threads
+   * @private
+   * @throws {TypeError} If the schema cannot be sent to the workers
+   * @returns {import('./csv-schema.mjs').ColumnDefinition[]|null} - The
+   * column definitions, or null for the default user schema
+   */
+  #getWorkerSchema() {
+    if (this.#schemaOption === USER_SCHEMA) {
+      return null;
+    }
+    if (Array.isArray(this.#schemaOption)) {
+      try {
+        return structuredClone(this.#schemaOption);
+      } catch {
+        // Functions cannot be sent to a worker
+      }
+    }
+    throw new TypeError(
+      'parallel processing needs the default schema or column definitions without functions'
+    );
+  }
+
+  /**
+   * Copies a file written by a worker thread to an output, then deletes it
+   * @private
+   * @param {string} filePath - The file written by the worker
+   * @param {(chunks: AsyncIterable<Buffer>) => Promise<void>} append - Appends
+   * the chunks of the file to the output
+   * @returns {Promise<void>}
+   */
+  async #appendPart(filePath, append) {
+    await append(createReadStream(filePath));
+    await fs.unlink(filePath);
+  }
+
+  /**
+   * Discards the output and the rejects file after a failure. The temporary
+   * output file is deleted, leaving an existing output as it was; output
+   * streams are destroyed instead.
+   * @private
+   * @param {OutputWriter} output - The output
+   * @param {RejectsWriter|null} rejects - The rejects file, if any
+   * @returns {Promise<void>}
+   */
+  async #abort(output, rejects) {
+    await output.abort();
+    await rejects?.abort();
+    await this.#outputFile?.discard();
+    if (rejects) {
+      await this.#safeDelete(this.rejectsFilePath);
+    }
+  }
+
+  /**
+   * Starts reporting the progress of a run, against the size of the input
+   * file if there is one
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #startProgress() {
+    const totalBytes = this.inputFilePath
+      ? (await fs.stat(this.inputFilePath)).size
+      : null;
+    this.#progress.start(totalBytes);
+  }
+
+  /**
+   * Emits a `progress` event if anyone listens and the interval elapsed
+   * @private
+   * @param {Stats} stats - The statistics of the current run
+   * @param {boolean} [last=false] - Whether the run is done, so the event is
+   * emitted regardless of the interval
+   */
+  #reportProgress(stats, last = false) {
+    if (this.listenerCount('progress') === 0) return;
+    const event = last
+      ? this.#progress.report(stats)
+      : this.#progress.poll(stats);
+    if (event) this.emit('progress', event);
+  }
+
+  /**
+   * Yields the records until the signal of the run is aborted
+   * @private
+   * @param {AsyncIterable<CsvRecord>} records - The records of the input
+   * @param {Stats} stats - The statistics of the current run
+   * @throws {AbortError} If the signal was aborted
+   * @returns {AsyncGenerator<CsvRecord>}
+   */
+  async *#abortable(records, stats) {
+    try {
+      for await (const record of records) {
+        this.#throwIfAborted(stats);
+        yield record;
+      }
+    } catch (error) {
+      // Aborting a source stream makes it fail with an error of its own
+      if (!(error instanceof AbortError)) this.#throwIfAborted(stats);
+      throw error;
+    }
+  }
+
+  /**
+   * Stops the run if its signal was aborted
+   * @private
+   * @param {Stats} stats - The statistics of the current run
+   * @throws {AbortError} If the signal was aborted
+   */
+  #throwIfAborted(stats) {
+    if (this.#signal?.aborted) {
+      throw new AbortError(stats.end(), { cause: this.#signal.reason });
+    }
+  }
+
+  /**
+   * Creates an async iterator to read logical records from the input file.
+   * A quoted field may span several physical lines.
+   * @private
+   * @param {Stats} stats - The statistics of the current run
+   * @returns {AsyncGenerator<CsvRecord>}
+   */
+  #getLines(stats) {
+    return new CsvRecordReader({
+      ...this.#dialect,
+      encoding: this.#encoding,
+    }).read(this.#readInput(stats));
+  }
+
+  /**
+   * Reads the input as text chunks, decompressing a compressed input file,
+   * and keeping count of the bytes read, before decompression
+   * @private
+   * @param {Stats} stats - The statistics of the current run
+   * @param {number} [start=0] - Byte offset to read the input file from
+   * @returns {AsyncGenerator<string>}
+   */
+  async *#readInput(stats, start = 0) {
+    const compression = await this.#detectCompression();
+    let input =
+      this.#inputSource ?? createReadStream(this.inputFilePath, { start });
+    if (compression) {
+      yield* this.#readCompressedInput(input, compression, stats);
+      return;
+    }
+    // A source may keep the run waiting for its next chunk, unlike a file
     if (
-      this.#nameIndex === -1 ||
-      this.#emailIndex === -1 ||
-      this.#ageIndex === -1
+      this.#signal &&
+      input instanceof Readable &&
+      input === this.#inputSource
     ) {
-      console.error('Error in header line', line);
-      throw new Error(
-        'CSV file must contain "name", "email", and "age" headers'
-      );
+      input = addAbortSignal(this.#signal, input);
     }
+    // Only the start of the input may have a BOM
+    const decoder = new CsvDecoder(this.#encoding, { stripBom: start === 0 });
+
+    for await (const chunk of input) {
+      stats.bytesRead +=
+        typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length;
+      yield decoder.write(chunk);
+    }
+
+    const rest = decoder.end();
+    if (rest) yield rest;
   }
 
-  async #processUsersLine(line, stats) {
-    if (!line.trim()) return; // Skip empty lines
+  /**
+   * Reads a compressed input file as text chunks, counting the compressed
+   * bytes read, as the size of the file is
+   * @private
+   * @param {import('node:stream').Readable} file - The input file stream
+   * @param {import('./compression.mjs').CompressionName} compression - Its compression
+   * @param {Stats} stats - The statistics of the current run
+   * @returns {AsyncGenerator<string>}
+   */
+  async *#readCompressedInput(file, compression, stats) {
+    const decompressor = Compression.createDecompressor(compression);
+    const decoder = new CsvDecoder(this.#encoding);
+    const bytesRead = stats.bytesRead;
+
+    for await (const chunk of pipeline(file, decompressor, () => {})) {
+      stats.bytesRead = bytesRead + decompressor.bytesWritten;
+      yield decoder.write(chunk);
+    }
+
+    stats.bytesRead = bytesRead + decompressor.bytesWritten;
+    const rest = decoder.end();
+    if (rest) yield rest;
+  }
 
-    const values = line.split(',');
-    const name = values[this.#nameIndex];
-    const email = values[this.#emailIndex];
-    const age = values[this.#ageIndex];
-    if (!name || !email || !age) {
-      stats.skipped++;
-      return; // Skip invalid lines
+  /**
+   * Moves the temporary output file in place once the run succeeded. A run
+   * without valid records writes no output file: the temporary file is
+   * deleted, along with the output it would have replaced. Output streams are
+   * left as they are.
+   * @private
+   * @param {Stats} stats - The statistics of the run
+   * @throws {Error} If the output file was created during the run and must
+   * not be replaced
+   * @returns {Promise<void>}
+   */
+  async #commitOutput(stats) {
+    if (!this.#outputFile) {
+      return;
+    }
+    if (stats.processed > 0) {
+      await this.#outputFile.commit();
+      return;
     }
+    await this.#outputFile.discard();
+    if (this.#outputFile.ifExists === 'overwrite') {
+      await this.#safeDelete(this.outputFilePath);
+    }
+    stats.bytesWritten = 0;
+  }
 
-    const processedLine = this.#processUser({
-      name: name.trim(),
-      email: email.trim(),
-      age: parseInt(age.trim(), 10),
+  /**
+   * Deletes a file, if it exists, reporting the failures to the logger
+   * @private
+   * @param {string} filePath - The file to delete
+   * @returns {Promise<void>}
+   */
+  #safeDelete(filePath) {
+    return fs.unlink(filePath).catch((error) => {
+      if (error.code !== 'ENOENT') {
+        this.#logger?.warn(`could not delete ${filePath}`, error);
+      }
     });
-    if (processedLine) {
-      await fs.appendFile(this.outputFilePath, `${EOL}${processedLine}`);
-      stats.processed++;
-    } else {
-      stats.skipped++;
+  }
+
+  /**
+   * Processes a record of the CSV file, updates the statistics and writes
+   * the record to the rejects file if it is not valid
+   * @private
+   * @param {CsvRecord} record - The record to process
+   * @param {Stats} stats - The statistics of the current run
+   * @param {RejectsWriter|null} rejects - The rejects file, if any
+   * @throws {CsvValidationError} If the record breaks the error policy
+   * @returns {Promise<Object|null>} - Processed record or null if it was skipped
+   */
+  async #processUsersLine(record, stats, rejects) {
+    const result = this.#processor.process(record, stats);
+    if (!result) {
+      return null;
+    }
+    if (result.record) {
+      return result.record;
+    }
+
+    await rejects?.write(record, result.reason, result.column);
+    this.#reject(record, result, stats);
+    return null;
+  }
+
+  /**
+   * Reports a rejected record: emits a `reject` event if anyone listens, and
+   * applies the error policy to it
+   * @private
+   * @param {CsvRecord} record - The rejected record
+   * @param {{reason: string, column: string|null}} result - Why it was rejected
+   * @param {Stats} stats - The statistics of the current run
+   * @throws {CsvValidationError} If the record breaks the error policy
+   * @returns {import('./csv-transform.mjs').CsvReject}
+   */
+  #reject(record, result, stats) {
+    const reject = {
+      line: record.line,
+      reason: result.reason,
+      field: result.column,
+      raw: record.text,
+    };
+    let error;
+    const createError = () =>
+      (error ??= this.#processor.createError(record, result));
+    if (this.listenerCount('reject') > 0) {
+      this.emit('reject', reject, createError());
     }
+    this.#errorPolicy.reject(reject, stats, createError);
+    return reject;
   }
 }
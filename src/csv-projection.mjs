@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Selection, order and names of the output columns
+ * @module CsvProjection
+ */
+
+import { formatValue } from './csv-schema.mjs';
+
+/**
+ * A computed column receives the processed record, passthrough columns
+ * included, and returns the value to output.
+ * @typedef {(record: Object) => any} ComputedColumn
+ */
+
+/**
+ * @typedef {Object} CsvProjectionOptions
+ * @property {string[]} [columns] - The columns to output, in order, among
+ * the schema, passthrough and computed columns (default: all of them, in that
+ * order)
+ * @property {Record<string, string>} [rename] - The output name of columns,
+ * by column name
+ * @property {Record<string, ComputedColumn>} [computed] - Columns added to
+ * every record, by name
+ * @property {boolean} [passthrough=false] - Whether the input columns that
+ * are not in the schema are output unchanged, under their header name
+ */
+
+/**
+ * Turns the records validated against a schema into output records: adds
+ * the passthrough and computed columns, then keeps, orders and renames the
+ * output columns. Without options, records are output as they are.
+ *
+ * Passthrough columns are only known once the header has been read, so the
+ * output columns are resolved by {@link CsvProjection#addHeaders}, or on
+ * first use.
+ *
+ * @class CsvProjection
+ * @example
+ * const projection = new CsvProjection(USER_SCHEMA, {
+ *   columns: ['id', 'name', 'email', 'email_domain'],
+ *   rename: { name: 'full_name' },
+ *   computed: { email_domain: ({ email }) => email.split('@')[1] },
+ *   passthrough: true,
+ * });
+ * projection.addHeaders(['id', 'name', 'email', 'age'], [1, 2, 3]);
+ * projection.names; // ['id', 'full_name', 'email', 'email_domain']
+ */
+export class CsvProjection {
+  #schemaNames;
+  #columns;
+  #rename;
+  #computed;
+  #passthrough;
+  #extras = [];
+  #sources = null;
+  #names = null;
+  #reorder = false;
+
+  /**
+   * Creates a new CsvProjection instance
+   * @param {import('./csv-schema.mjs').CsvSchema} schema - The schema the
+   * records are validated against
+   * @param {CsvProjectionOptions} [options] - Projection options
+   * @throws {TypeError} If a computed column is not a function or has the
+   * name of a schema column, or the output columns are not valid
+   */
+  constructor(
+    schema,
+    { columns, rename = {}, computed = {}, passthrough = false } = {}
+  ) {
+    this.#schemaNames = schema.names;
+    this.#columns = columns;
+    this.#rename = rename;
+    this.#computed = Object.entries(computed);
+    this.#passthrough = passthrough;
+
+    for (const [name, compute] of this.#computed) {
+      if (typeof compute !== 'function') {
+        throw new TypeError(`computed column "${name}" must be a function`);
+      }
+      if (this.#schemaNames.includes(name)) {
+        throw new TypeError(
+          `computed column "${name}" has the name of a schema column`
+        );
+      }
+    }
+    if (!passthrough) {
+      this.#resolve();
+    }
+  }
+
+  /**
+   * Gets whether the input columns that are not in the schema are output
+   * @readonly
+   * @type {boolean}
+   */
+  get passthrough() {
+    return this.#passthrough;
+  }
+
+  /**
+   * Gets the names of the output columns, in output order
+   * @readonly
+   * @type {string[]}
+   */
+  get names() {
+    if (!this.#names) this.#resolve();
+    return this.#names;
+  }
+
+  /**
+   * Gets the columns a record has once extended, before selection and
+   * renaming: the schema, passthrough and computed columns
+   * @readonly
+   * @type {string[]}
+   */
+  get available() {
+    return [
+      ...this.#schemaNames,
+      ...this.#extras.map(({ name }) => name),
+      ...this.#computed.map(([name]) => name),
+    ];
+  }
+
+  /**
+   * Finds the passthrough columns in the header row: every header that is
+   * not mapped to a schema column, in input order. Empty headers are named
+   * after their position, such as `column4`.
+   * @param {string[]} headers - The fields of the header row
+   * @param {number[]} indexes - The index of each schema column in the
+   * header row, or -1
+   * @throws {TypeError} If the output columns are not valid
+   */
+  addHeaders(headers, indexes) {
+    if (!this.#passthrough) return;
+    const names = new Set([
+      ...this.#schemaNames,
+      ...this.#computed.map(([name]) => name),
+    ]);
+    this.#extras = [];
+    headers.forEach((header, index) => {
+      const name = header.trim() || `column${index + 1}`;
+      if (indexes.includes(index) || names.has(name)) return;
+      names.add(name);
+      this.#extras.push({ name, index });
+    });
+    this.#resolve();
+  }
+
+  /**
+   * Builds the output record of a processed record
+   * @param {Object} record - The record validated against the schema
+   * @param {string[]} values - The fields of the input record
+   * @returns {Object} - The output record, its keys in output order
+   */
+  project(record, values) {
+    return this.select(this.extend(record, values));
+  }
+
+  /**
+   * Adds the passthrough and computed columns to a processed record
+   * @param {Object} record - The record validated against the schema
+   * @param {string[]} values - The fields of the input record
+   * @returns {Object} - The same record, with every available column
+   */
+  extend(record, values) {
+    if (!this.#names) this.#resolve();
+    for (const { name, index } of this.#extras) {
+      record[name] = values[index] ?? '';
+    }
+    for (const [name, compute] of this.#computed) {
+      record[name] = compute(record);
+    }
+    return record;
+  }
+
+  /**
+   * Keeps, orders and renames the output columns of an extended record
+   * @param {Object} record - A record returned by `extend`
+   * @returns {Object} - The output record, its keys in output order
+   */
+  select(record) {
+    if (!this.#reorder) {
+      return record;
+    }
+
+    const output = {};
+    for (let i = 0; i < this.#names.length; i++) {
+      output[this.#names[i]] = record[this.#sources[i]];
+    }
+    return output;
+  }
+
+  /**
+   * Gets the values of an output record in output order, ready to be written
+   * @param {Object} record - A record returned by `project`
+   * @returns {Array<string|number|boolean>} - The values of the record
+   */
+  format(record) {
+    return this.names.map((name) => formatValue(record[name]));
+  }
+
+  /**
+   * Resolves the output columns and their names
+   * @private
+   * @throws {TypeError} If an output column is unknown, renamed but not
+   * output, or named like another one
+   */
+  #resolve() {
+    const available = this.available;
+    const sources = this.#columns ?? available;
+    for (const name of sources) {
+      if (!available.includes(name)) {
+        throw new TypeError(`unknown column "${name}" in output columns`);
+      }
+    }
+    for (const name of Object.keys(this.#rename)) {
+      if (!sources.includes(name)) {
+        throw new TypeError(`unknown column "${name}" to rename`);
+      }
+    }
+
+    const names = sources.map((name) => this.#rename[name] ?? name);
+    const duplicate = names.find(
+      (name, index) => names.indexOf(name) !== index
+    );
+    if (duplicate !== undefined) {
+      throw new TypeError(`duplicate output column "${duplicate}"`);
+    }
+
+    this.#sources = sources;
+    this.#names = names;
+    // Records already have the available columns in order, under their name
+    this.#reorder =
+      sources.length !== available.length ||
+      sources.some((name, index) => names[index] !== available[index]);
+  }
+}
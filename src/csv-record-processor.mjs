@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Validation of CSV records against a schema
+ * @module CsvRecordProcessor
+ */
+
+import { CsvTokenizer } from './csv-tokenizer.mjs';
+import { CsvSchema, USER_SCHEMA } from './csv-schema.mjs';
+import { CsvDialect } from './csv-dialect.mjs';
+import { CsvProjection } from './csv-projection.mjs';
+import { CsvDeduplicator } from './csv-deduplicator.mjs';
+import { CsvFieldError, CsvSyntaxError } from './errors.mjs';
+
+/**
+ * @typedef {import('./csv-record-reader.mjs').CsvRecord} CsvRecord
+ */
+
+/**
+ * @typedef {{record: Object}|{reason: string, column: string|null}} ProcessResult
+ */
+
+/**
+ * Turns the records read from a CSV source into validated, transformed
+ * output records, keeping the statistics up to date. It holds everything the
+ * parser, the transform stream and the record iterator have in common, so
+ * they all accept and reject exactly the same rows.
+ *
+ * @class CsvRecordProcessor
+ * @example
+ * const processor = new CsvRecordProcessor();
+ * processor.processHeaders('name,email,age');
+ * processor.process({ text: 'john,john@example.com,25', line: 2 }, stats);
+ * // { record: { name: 'JOHN', email: 'john@example.com', age: 25 } }
+ */
+export class CsvRecordProcessor {
+  #schema;
+  #tokenizer;
+  #hasHeader;
+  #aliases;
+  #explicitIndexes = false;
+  #columnIndexes = [];
+  #projection;
+  #deduplicator = null;
+  #strict;
+  #columnCount = null;
+
+  /**
+   * Creates a new CsvRecordProcessor instance
+   * @param {Object} [options] - Processor options
+   * @param {CsvSchema|import('./csv-schema.mjs').ColumnDefinition[]} [options.schema] - Columns to validate and transform
+   * @param {CsvDialect|Object} [options.dialect] - Syntax of the input
+   * @param {boolean} [options.hasHeader=true] - Whether the first record is a
+   * header; without one, the columns are expected in schema order
+   * @param {Record<string, string[]>} [options.aliases] - More header names
+   * of every column, by column name
+   * @param {Record<string, number>} [options.columnIndexes] - The 0-based
+   * index of every column, by column name, mostly for records without a
+   * header; a header is then skipped rather than mapped
+   * @param {string[]} [options.outputColumns] - The columns to output, in order
+   * @param {Record<string, string>} [options.rename] - The output name of
+   * columns, by column name
+   * @param {Record<string, import('./csv-projection.mjs').ComputedColumn>} [options.computed] -
+   * Columns added to every record, by name
+   * @param {boolean} [options.passthrough=false] - Whether the input columns
+   * that are not in the schema are output unchanged; needs a header
+   * @param {import('./csv-deduplicator.mjs').CsvDedupOptions|boolean} [options.dedup] -
+   * Drop the records whose key was already seen; `true` compares emails
+   * @param {boolean} [options.strict=false] - Reject the records whose number
+   * of fields differs from the header, or from the first record without one,
+   * as `WRONG_COLUMN_COUNT`
+   * @throws {TypeError} If a column index, the output columns or the dedup
+   * keys are not valid
+   * @throws {Error} If a required column has no index
+   */
+  constructor({
+    schema = USER_SCHEMA,
+    dialect,
+    hasHeader = true,
+    aliases = {},
+    columnIndexes,
+    outputColumns,
+    rename,
+    computed,
+    passthrough = false,
+    dedup,
+    strict = false,
+  } = {}) {
+    this.#schema = schema instanceof CsvSchema ? schema : new CsvSchema(schema);
+    this.#tokenizer = new CsvTokenizer(
+      dialect instanceof CsvDialect ? dialect : new CsvDialect(dialect)
+    );
+    this.#hasHeader = hasHeader;
+    this.#strict = strict;
+    this.#aliases = aliases;
+    if (passthrough && !hasHeader) {
+      throw new TypeError('passthrough columns need a header row');
+    }
+    this.#projection = new CsvProjection(this.#schema, {
+      columns: outputColumns,
+      rename,
+      computed,
+      passthrough,
+    });
+    if (dedup) {
+      this.#deduplicator = new CsvDeduplicator(dedup === true ? {} : dedup);
+      if (!passthrough) this.#checkDedupKeys();
+    }
+    if (columnIndexes) {
+      this.#columnIndexes = this.#schema.mapIndexes(columnIndexes);
+      this.#explicitIndexes = true;
+    } else if (!hasHeader) {
+      this.#columnIndexes = this.#schema.names.map((_, index) => index);
+    }
+  }
+
+  /**
+   * Gets whether the first record is a header to pass to
+   * {@link CsvRecordProcessor#processHeaders}
+   * @readonly
+   * @type {boolean}
+   */
+  get hasHeader() {
+    return this.#hasHeader;
+  }
+
+  /**
+   * Gets the columns records are validated and transformed against
+   * @readonly
+   * @type {CsvSchema}
+   */
+  get schema() {
+    return this.#schema;
+  }
+
+  /**
+   * Gets the output columns of the processed records
+   * @readonly
+   * @type {CsvProjection}
+   */
+  get projection() {
+    return this.#projection;
+  }
+
+  /**
+   * Gets what duplicate records are detected by, if deduplication is enabled
+   * @readonly
+   * @type {CsvDeduplicator|null}
+   */
+  get deduplicator() {
+    return this.#deduplicator;
+  }
+
+  /**
+   * Processes the headers of the CSV file to find the index of every schema
+   * column, matching their names and aliases regardless of case and spaces,
+   * and the passthrough columns. The schema columns are not mapped when the
+   * column indexes were given.
+   * @param {string|CsvRecord} header - The header record of the CSV file, or
+   * its text
+   * @throws {import('./errors.mjs').CsvHeaderError} If a required column is
+   * not found, naming the missing ones
+   * @throws {TypeError} If the output columns or the dedup keys are not in
+   * the header
+   * @returns {void}
+   */
+  processHeaders(header) {
+    const record = typeof header === 'string' ? undefined : header;
+    const headers = this.#tokenizer.tokenize(record?.text ?? header) ?? [];
+    this.#columnCount = headers.length;
+    if (!this.#explicitIndexes) {
+      this.#columnIndexes = this.#schema.mapHeaders(headers, {
+        aliases: this.#aliases,
+        record,
+      });
+    }
+    this.#projection.addHeaders(headers, this.#columnIndexes);
+    if (this.#deduplicator && this.#projection.passthrough) {
+      this.#checkDedupKeys();
+    }
+  }
+
+  /**
+   * Sees a record before processing, when the last record of every key is
+   * kept; records that are not valid are ignored
+   * @param {CsvRecord} record - The record to scan
+   */
+  scan(record) {
+    if (!record.text.trim()) return;
+    const values = this.#tokenizer.tokenize(record.text);
+    const result = values && this.#schema.parse(values, this.#columnIndexes);
+    if (result?.record) {
+      const extended = this.#projection.extend(result.record, values);
+      this.#deduplicator.scan(extended, record.line);
+    }
+  }
+
+  /**
+   * Validates and transforms a record, and updates the statistics
+   * @param {CsvRecord} record - The record to process
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the current run
+   * @returns {ProcessResult|null} - The processed record, the reason it was
+   * rejected, or null for an empty line or a duplicate
+   */
+  process(record, stats) {
+    if (!record.text.trim()) {
+      stats.emptyLines++;
+      return null; // Skip empty lines
+    }
+
+    const values = this.#tokenizer.tokenize(record.text);
+    const result = values
+      ? this.#parse(values)
+      : { reason: 'MALFORMED_ROW', column: null };
+    if (!result.record) {
+      stats.skip(result.reason, result.column);
+      return result;
+    }
+    const extended = this.#projection.extend(result.record, values);
+    if (this.#deduplicator?.isDuplicate(extended, record.line)) {
+      stats.duplicates++;
+      return null;
+    }
+    stats.processed++;
+    return { record: this.#projection.select(extended) };
+  }
+
+  /**
+   * Creates the error describing why a record was rejected, with its
+   * position and the column at fault. Errors are only created on demand, as
+   * most rejected rows need none.
+   * @param {CsvRecord} record - The rejected record
+   * @param {{reason: string, column: string|null}} result - The result of
+   * {@link CsvRecordProcessor#process} for the record
+   * @returns {CsvSyntaxError|CsvFieldError}
+   */
+  createError(record, { reason, column }) {
+    const position = {
+      reason,
+      line: record.line,
+      byteOffset: record.byteOffset ?? null,
+      raw: record.text,
+    };
+    if (reason === 'MALFORMED_ROW') {
+      return new CsvSyntaxError(
+        `unterminated quote or text after a closing quote at line ${record.line}`,
+        position
+      );
+    }
+    if (reason === 'WRONG_COLUMN_COUNT') {
+      const count = this.#tokenizer.tokenize(record.text).length;
+      return new CsvSyntaxError(
+        `expected ${this.#columnCount} fields but found ${count} at line ${record.line}`,
+        position
+      );
+    }
+    const index = this.#columnIndexes[this.#schema.names.indexOf(column)];
+    return new CsvFieldError(
+      column
+        ? `${reason} in column "${column}" at line ${record.line}`
+        : `${reason} at line ${record.line}`,
+      {
+        ...position,
+        column,
+        columnIndex: index === undefined || index === -1 ? null : index,
+      }
+    );
+  }
+
+  /**
+   * Parses the fields of a record, checking their number first in strict mode
+   * @private
+   * @param {string[]} values - The fields of the record
+   * @returns {import('./csv-schema.mjs').ParseResult}
+   */
+  #parse(values) {
+    if (this.#strict) {
+      this.#columnCount ??= values.length;
+      if (values.length !== this.#columnCount) {
+        return { reason: 'WRONG_COLUMN_COUNT', column: null };
+      }
+    }
+    return this.#schema.parse(values, this.#columnIndexes);
+  }
+
+  /**
+   * Checks that the dedup keys are columns of the extended records
+   * @private
+   * @throws {TypeError} If a key is not a column
+   */
+  #checkDedupKeys() {
+    const available = this.#projection.available;
+    for (const name of this.#deduplicator.keys) {
+      if (!available.includes(name)) {
+        throw new TypeError(`unknown column "${name}" in dedup keys`);
+      }
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Chunk-based reader that splits CSV text into logical records
+ * @module CsvRecordReader
+ */
+
+import { CsvEncoder } from './csv-encoding.mjs';
+
+/**
+ * @typedef {Object} CsvRecord
+ * @property {string} text - The text of the record, without its terminator
+ * @property {number} line - The 1-based line number where the record starts
+ * @property {number} byteOffset - The byte offset where the record starts
+ */
+
+/**
+ * Splits CSV text into logical records. Unlike a line reader, it keeps track
+ * of the quote state across chunk boundaries, so a quoted field containing a
+ * line break is emitted as part of a single record.
+ *
+ * Records are terminated by `\n`, `\r\n` or `\r`, detected from the first
+ * line break unless given; the terminator is not included in the emitted
+ * record.
+ *
+ * @class CsvRecordReader
+ * @example
+ * const reader = new CsvRecordReader();
+ * reader.push('name,notes\njohn,"first');
+ * // [{ text: 'name,notes', line: 1 }]
+ * reader.push(' line\nsecond line"\n');
+ * // [{ text: 'john,"first line\nsecond line"', line: 2 }]
+ * reader.flush();
+ * // []
+ */
+export class CsvRecordReader {
+  #delimiter;
+  #quote;
+  #escape;
+  #terminator;
+  #buffer = '';
+  #scanIndex = 0;
+  #inQuotes = false;
+  #line = 1;
+  #offset = 0;
+  #byteOffset;
+  #encoder;
+  #terminatorLength = 0;
+
+  /**
+   * Creates a new CsvRecordReader instance
+   * @param {Object} [options] - Reader options
+   * @param {string} [options.delimiter=','] - Field delimiter, used to tell
+   * quotes that open a field from literal ones
+   * @param {string} [options.quote='"'] - Character quoting a field
+   * @param {string} [options.escape] - Character escaping a quote or itself
+   * inside a quoted field (default: the quote)
+   * @param {'auto'|'\n'|'\r\n'|'\r'} [options.lineTerminator='auto'] - Record
+   * terminator, detected from the first line break by default
+   * @param {number} [options.line=1] - Line number of the first record, when
+   * reading from the middle of a file
+   * @param {number} [options.byteOffset=0] - Byte offset of the first record
+   * @param {import('./csv-encoding.mjs').CsvEncodingName|'auto'} [options.encoding='utf-8'] -
+   * Encoding the byte offsets are counted in, UTF-8 while it is `auto`
+   */
+  constructor({
+    delimiter = ',',
+    quote = '"',
+    escape = quote,
+    lineTerminator = 'auto',
+    line = 1,
+    byteOffset = 0,
+    encoding = 'utf-8',
+  } = {}) {
+    this.#delimiter = delimiter;
+    this.#quote = quote;
+    this.#escape = escape;
+    // `\r\n` is read as `\n`, and the `\r` stripped from every record
+    this.#terminator = lineTerminator === 'auto' ? null : lineTerminator.at(-1);
+    this.#line = line;
+    this.#byteOffset = byteOffset;
+    this.#encoder = new CsvEncoder(encoding === 'auto' ? 'utf-8' : encoding);
+  }
+
+  /**
+   * Gets the record terminator in use: `\n` (which also covers `\r\n`) or
+   * `\r`, or null while it has not been detected yet
+   * @readonly
+   * @type {string|null}
+   */
+  get lineTerminator() {
+    return this.#terminator;
+  }
+
+  /**
+   * Gets the line number the next record starts on
+   * @readonly
+   * @type {number}
+   */
+  get line() {
+    return this.#line;
+  }
+
+  /**
+   * Gets the number of characters consumed by the records returned so far,
+   * terminators included
+   * @readonly
+   * @type {number}
+   */
+  get offset() {
+    return this.#offset;
+  }
+
+  /**
+   * Reads all the logical records from a source of text chunks.
+   *
+   * @param {AsyncIterable<string>|Iterable<string>} source - The text chunks
+   * @returns {AsyncGenerator<CsvRecord>} - The logical records, in order
+   */
+  async *read(source) {
+    for await (const chunk of source) {
+      yield* this.push(chunk);
+    }
+    yield* this.flush();
+  }
+
+  /**
+   * Adds a chunk of text and returns the records it completes.
+   * An incomplete trailing record is kept until more text arrives.
+   *
+   * @param {string} chunk - The next chunk of CSV text
+   * @returns {CsvRecord[]} - The records completed by this chunk
+   */
+  push(chunk) {
+    const buffer = this.#buffer + chunk;
+    if (!this.#terminator) {
+      this.#terminator = this.#detectTerminator(buffer);
+      if (!this.#terminator) {
+        this.#buffer = buffer;
+        return [];
+      }
+      this.#terminatorLength = this.#encoder.byteLength(this.#terminator);
+    }
+
+    const records = [];
+    let start = 0;
+    let index = this.#scanIndex;
+    let nextQuote = buffer.indexOf(this.#quote, index);
+
+    while (index < buffer.length) {
+      if (this.#inQuotes) {
+        const escape =
+          this.#escape === this.#quote
+            ? -1
+            : buffer.indexOf(this.#escape, index);
+        if (escape !== -1 && (nextQuote === -1 || escape < nextQuote)) {
+          if (escape + 1 === buffer.length) {
+            index = escape; // Wait to know what it escapes
+            break;
+          }
+          index = escape + 2;
+          nextQuote = buffer.indexOf(this.#quote, index);
+          continue;
+        }
+        if (nextQuote === -1) {
+          index = buffer.length;
+          break;
+        }
+        if (this.#escape === this.#quote && nextQuote + 1 === buffer.length) {
+          index = nextQuote; // Wait to know whether it is an escaped quote
+          break;
+        }
+        if (
+          this.#escape === this.#quote &&
+          buffer[nextQuote + 1] === this.#quote
+        ) {
+          index = nextQuote + 2;
+        } else {
+          this.#inQuotes = false;
+          index = nextQuote + 1;
+        }
+        nextQuote = buffer.indexOf(this.#quote, index);
+        continue;
+      }
+
+      const newline = buffer.indexOf(this.#terminator, index);
+      if (nextQuote !== -1 && (newline === -1 || nextQuote < newline)) {
+        this.#inQuotes = this.#isFieldStart(buffer, start, nextQuote);
+        index = nextQuote + 1;
+        nextQuote = buffer.indexOf(this.#quote, index);
+        continue;
+      }
+      if (newline === -1) {
+        index = buffer.length;
+        break;
+      }
+
+      records.push(
+        this.#createRecord(buffer.slice(start, newline), this.#terminatorLength)
+      );
+      start = newline + 1;
+      index = start;
+    }
+
+    this.#buffer = buffer.slice(start);
+    this.#scanIndex = index - start;
+    this.#offset += start;
+    return records;
+  }
+
+  /**
+   * Returns the pending records, if any, once there is no more text to read.
+   * A record with an unterminated quoted field is returned as is.
+   *
+   * @returns {CsvRecord[]} - The last records, usually one or none
+   */
+  flush() {
+    // Only a `\r` ending the text can leave the terminator undetected
+    if (!this.#terminator) {
+      this.#terminator = this.#buffer.endsWith('\r') ? '\r' : '\n';
+      this.#terminatorLength = this.#encoder.byteLength(this.#terminator);
+    }
+    const records = this.push('');
+
+    const rest = this.#buffer;
+    this.#buffer = '';
+    this.#offset += rest.length;
+    this.#scanIndex = 0;
+    this.#inQuotes = false;
+    if (rest) {
+      records.push(this.#createRecord(rest, 0));
+    }
+    return records;
+  }
+
+  /**
+   * Checks whether a quote opens a quoted field, that is, whether only spaces
+   * stand between it and the start of the field. Quotes in the middle of an
+   * unquoted field are literal characters.
+   * @private
+   * @param {string} buffer - The text being scanned
+   * @param {number} recordStart - The index where the current record starts
+   * @param {number} quoteIndex - The index of the quote
+   * @returns {boolean} - True if the quote opens a quoted field
+   */
+  #isFieldStart(buffer, recordStart, quoteIndex) {
+    let index = quoteIndex - 1;
+    while (index >= recordStart && buffer[index] === ' ') index--;
+    return (
+      index < recordStart ||
+      buffer.startsWith(this.#delimiter, index + 1 - this.#delimiter.length)
+    );
+  }
+
+  /**
+   * Detects the record terminator from the first line break of the text
+   * @private
+   * @param {string} buffer - The text read so far
+   * @returns {string|null} - `\n` for `\n` and `\r\n`, `\r` for `\r`, or
+   * null if there is no line break yet, or if it is a `\r` ending the text
+   */
+  #detectTerminator(buffer) {
+    const match = /\r\n?|\n/.exec(buffer);
+    if (!match || (match[0] === '\r' && match.index + 1 === buffer.length)) {
+      return null;
+    }
+    return match[0] === '\r' ? '\r' : '\n';
+  }
+
+  /**
+   * Creates a record, removing the `\r` left by a `\r\n` terminator, and
+   * advances the line count past the line breaks it contains and the byte
+   * offset past the record.
+   * @private
+   * @param {string} text - The record without its `\n`
+   * @param {number} terminatorLength - The byte length of the terminator
+   * that ended the record, 0 for the last one
+   * @returns {CsvRecord} - The record
+   */
+  #createRecord(text, terminatorLength) {
+    const record = {
+      text:
+        this.#terminator === '\n' && text.endsWith('\r')
+          ? text.slice(0, -1)
+          : text,
+      line: this.#line,
+      byteOffset: this.#byteOffset,
+    };
+    this.#byteOffset += this.#encoder.byteLength(text) + terminatorLength;
+
+    this.#line++;
+    let newline = text.indexOf(this.#terminator);
+    while (newline !== -1) {
+      this.#line++;
+      newline = text.indexOf(this.#terminator, newline + 1);
+    }
+    return record;
+  }
+}
@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Declarative column schema used to validate and transform CSV records
+ * @module CsvSchema
+ */
+
+import { VALIDATORS, email } from './validators.mjs';
+import { CsvHeaderError } from './errors.mjs';
+
+/**
+ * @typedef {'string'|'int'|'float'|'boolean'|'date'|'enum'} ColumnType
+ */
+
+/**
+ * A validator receives the parsed value and the whole record. It returns true
+ * when the value is valid, and false or a reason code when it is not.
+ * @typedef {(value: any, record: Object) => boolean|string} Validator
+ */
+
+/**
+ * A transform receives the validated value and the whole record and returns
+ * the value to output.
+ * @typedef {(value: any, record: Object) => any} Transform
+ */
+
+/**
+ * @typedef {Object} ColumnDefinition
+ * @property {string} name - Column name, as found in the CSV header
+ * @property {string[]} [aliases] - Other header names of the column, such as
+ * `E-mail Address` for `email`
+ * @property {ColumnType} [type='string'] - Type the raw value is parsed into
+ * @property {boolean} [required=false] - Whether an empty value rejects the record
+ * @property {string[]} [values] - Allowed values for `enum` columns
+ * @property {number} [min] - Minimum value for `int` and `float` columns
+ * @property {number} [max] - Maximum value for `int` and `float` columns
+ * @property {string|RegExp} [pattern] - Pattern the raw value must match
+ * @property {Validator|ValidatorName|ValidatorDefinition|Array<Validator|ValidatorName|ValidatorDefinition>} [validate] -
+ * Custom validators, or built-in ones given by name, such as `email` or
+ * `{ name: 'integer', min: 0, max: 150 }` (see {@link module:Validators})
+ * @property {Transform|string|Array<Transform|string>} [transform] - Custom
+ * transforms, or the name of a built-in one (`uppercase`, `lowercase`)
+ * @property {Partial<Record<Constraint, string>>} [reasons] - Reason codes
+ * reported when a built-in constraint fails, instead of the default ones
+ */
+
+/**
+ * @typedef {import('./validators.mjs').ValidatorName} ValidatorName
+ * @typedef {import('./validators.mjs').ValidatorDefinition} ValidatorDefinition
+ */
+
+/**
+ * Built-in constraints of a column. By default a missing required value is
+ * reported as `MISSING_FIELD`, a value that cannot be parsed into the column
+ * type as `INVALID_TYPE`, and any other failure as `INVALID_VALUE`.
+ * @typedef {'required'|'type'|'pattern'|'values'|'min'|'max'} Constraint
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Object} [record] - The parsed and transformed record, if valid
+ * @property {string} [reason] - Reason code, if the record was rejected
+ * @property {string} [column] - Column that caused the rejection
+ */
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+// Numbers must be written whole: parseInt('25abc') would be 25
+const INTEGER = /^[+-]?\d+$/;
+const FLOAT = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+const PARSERS = {
+  string: (value) => value,
+  int: (value) => (INTEGER.test(value) ? parseInt(value, 10) : NaN),
+  float: (value) => (FLOAT.test(value) ? parseFloat(value) : NaN),
+  boolean: (value) => {
+    const normalized = value.toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    return NaN;
+  },
+  date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? NaN : date;
+  },
+  enum: (value) => value,
+};
+
+const DEFAULT_REASONS = {
+  required: 'MISSING_FIELD',
+  type: 'INVALID_TYPE',
+  pattern: 'INVALID_VALUE',
+  values: 'INVALID_VALUE',
+  min: 'INVALID_VALUE',
+  max: 'INVALID_VALUE',
+};
+
+/**
+ * Normalizes a header name, so headers match whatever their case and the
+ * spaces around them
+ * @param {string} header - The header name
+ * @returns {string}
+ */
+const normalizeHeader = (header) => header.trim().toLowerCase();
+
+/**
+ * Compiles the pattern of a column without the g and y flags, with which
+ * test() would resume from the last match on the next row
+ * @param {string|RegExp} pattern - The pattern of the column
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern) =>
+  new RegExp(
+    pattern.source ?? pattern,
+    (pattern.flags ?? '').replace(/[gy]/g, '')
+  );
+
+/**
+ * Formats a value of a processed record for a text output: missing values
+ * are empty and dates are written in ISO 8601
+ * @param {any} value - The value to format
+ * @returns {string|number|boolean}
+ */
+export function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+const TRANSFORMS = {
+  uppercase: (value) => value.toUpperCase(),
+  lowercase: (value) => value.toLowerCase(),
+};
+
+/**
+ * Describes the columns of a CSV file: which ones must be present, how their
+ * values are parsed, validated and transformed before being written.
+ *
+ * @class CsvSchema
+ * @example
+ * const schema = new CsvSchema([
+ *   { name: 'sku', type: 'string', required: true, transform: 'uppercase' },
+ *   { name: 'price', type: 'float', required: true, min: 0 },
+ *   { name: 'status', type: 'enum', values: ['active', 'retired'] },
+ * ]);
+ */
+export class CsvSchema {
+  /** @type {ColumnDefinition[]} */
+  #columns;
+
+  /**
+   * Creates a new CsvSchema instance
+   * @param {ColumnDefinition[]} columns - The columns of the schema, in output order
+   * @throws {TypeError} If a column has no name or an unknown type, validator
+   * or transform
+   */
+  constructor(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new TypeError('schema must declare at least one column');
+    }
+    this.#columns = columns.map((column) => this.#normalizeColumn(column));
+  }
+
+  /**
+   * Gets the names of the columns, in output order
+   * @readonly
+   * @type {string[]}
+   */
+  get names() {
+    return this.#columns.map(({ name }) => name);
+  }
+
+  /**
+   * Finds the position of every column of the schema in a header row. Headers
+   * are trimmed and compared regardless of case, first to the column name,
+   * then to its aliases in order.
+   * @param {string[]} headers - The fields of the header row
+   * @param {Object} [options] - Mapping options
+   * @param {Record<string, string[]>} [options.aliases] - More aliases of
+   * every column, by column name
+   * @param {import('./csv-record-reader.mjs').CsvRecord} [options.record] -
+   * The header record, to tell where an error is
+   * @throws {CsvHeaderError} If a required column is not in the header row
+   * @returns {number[]} - The index of each column in the header row, or -1
+   */
+  mapHeaders(headers, { aliases = {}, record } = {}) {
+    const normalized = headers.map(normalizeHeader);
+    const indexes = this.#columns.map((column) => {
+      const names = [
+        column.name,
+        ...column.aliases,
+        ...(aliases[column.name] ?? []),
+      ];
+      for (const name of names) {
+        const index = normalized.indexOf(normalizeHeader(name));
+        if (index !== -1) return index;
+      }
+      return -1;
+    });
+
+    const missing = this.#missingRequired(indexes);
+    if (missing.length > 0) {
+      const found = headers.map((header) => `"${header}"`).join(', ');
+      throw new CsvHeaderError(
+        `CSV file is missing the required ${this.#describeColumns(missing)} (found ${found || 'no headers'})`,
+        {
+          columns: missing,
+          line: record?.line ?? 1,
+          byteOffset: record?.byteOffset ?? 0,
+          raw: record?.text ?? null,
+        }
+      );
+    }
+    return indexes;
+  }
+
+  /**
+   * Gets the position of every column of the schema from an explicit mapping,
+   * for files without a header row
+   * @param {Record<string, number>} columnIndexes - The 0-based index of
+   * every column in the records, by column name
+   * @throws {TypeError} If the mapping has an unknown column or an invalid index
+   * @throws {CsvHeaderError} If a required column is not mapped
+   * @returns {number[]} - The index of each column in the records, or -1
+   */
+  mapIndexes(columnIndexes) {
+    for (const [name, index] of Object.entries(columnIndexes)) {
+      if (!this.names.includes(name)) {
+        throw new TypeError(`unknown column "${name}" in column indexes`);
+      }
+      if (!Number.isInteger(index) || index < 0) {
+        throw new TypeError(`invalid index ${index} for column "${name}"`);
+      }
+    }
+
+    const indexes = this.#columns.map(({ name }) => columnIndexes[name] ?? -1);
+    const missing = this.#missingRequired(indexes);
+    if (missing.length > 0) {
+      throw new CsvHeaderError(
+        `Column indexes are missing the required ${this.#describeColumns(missing)}`,
+        { columns: missing }
+      );
+    }
+    return indexes;
+  }
+
+  /**
+   * Parses, validates and transforms the fields of a record
+   * @param {string[]} values - The fields of the record
+   * @param {number[]} indexes - The column positions returned by `mapHeaders`
+   * @returns {ParseResult} - The record, or the reason it was rejected
+   */
+  parse(values, indexes) {
+    const record = {};
+
+    for (let i = 0; i < this.#columns.length; i++) {
+      const column = this.#columns[i];
+      const value = values[indexes[i]]?.trim() ?? '';
+
+      if (!value) {
+        if (column.required) {
+          return { reason: column.reasons.required, column: column.name };
+        }
+        record[column.name] = null;
+        continue;
+      }
+      if (column.pattern && !column.pattern.test(value)) {
+        return { reason: column.reasons.pattern, column: column.name };
+      }
+
+      const parsed = PARSERS[column.type](value);
+      if (Number.isNaN(parsed)) {
+        return { reason: column.reasons.type, column: column.name };
+      }
+      record[column.name] = parsed;
+    }
+
+    for (const column of this.#columns) {
+      const value = record[column.name];
+      if (value === null) continue;
+
+      const reason = this.#validate(column, value, record);
+      if (reason) {
+        return { reason, column: column.name };
+      }
+    }
+
+    for (const column of this.#columns) {
+      if (record[column.name] === null) continue;
+      for (const transform of column.transform) {
+        record[column.name] = transform(record[column.name], record);
+      }
+    }
+
+    return { record };
+  }
+
+  /**
+   * Gets the values of a record in column order, ready to be written
+   * @param {Object} record - A record returned by `parse`
+   * @returns {Array<string|number>} - The values of the record
+   */
+  format(record) {
+    return this.#columns.map(({ name }) => formatValue(record[name]));
+  }
+
+  /**
+   * Lists the required columns that were not found
+   * @private
+   * @param {number[]} indexes - The index of each column, or -1
+   * @returns {string[]} - The names of the missing columns
+   */
+  #missingRequired(indexes) {
+    return this.#columns
+      .filter(({ required }, index) => required && indexes[index] === -1)
+      .map(({ name }) => name);
+  }
+
+  /**
+   * Describes a list of columns for an error message
+   * @private
+   * @param {string[]} names - The names of the columns
+   * @returns {string} - The columns, such as `"email" and "age" columns`
+   */
+  #describeColumns(names) {
+    const list = new Intl.ListFormat('en').format(
+      names.map((name) => `"${name}"`)
+    );
+    return `${list} ${names.length > 1 ? 'columns' : 'column'}`;
+  }
+
+  /**
+   * Runs the built-in constraints and the custom validators of a column
+   * @private
+   * @param {ColumnDefinition} column - The column to validate
+   * @param {any} value - The parsed value
+   * @param {Object} record - The whole parsed record
+   * @returns {string|null} - The reason code, or null if the value is valid
+   */
+  #validate(column, value, record) {
+    if (column.type === 'enum' && !column.values.includes(value)) {
+      return column.reasons.values;
+    }
+    if (column.min !== undefined && value < column.min) {
+      return column.reasons.min;
+    }
+    if (column.max !== undefined && value > column.max) {
+      return column.reasons.max;
+    }
+    for (const validator of column.validate) {
+      const result = validator(value, record);
+      if (result !== true) {
+        return typeof result === 'string' ? result : 'INVALID_VALUE';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fills in the defaults of a column definition and resolves named transforms
+   * @private
+   * @param {ColumnDefinition} column - The column definition
+   * @throws {TypeError} If the column is not valid
+   * @returns {ColumnDefinition} - The normalized column definition
+   */
+  #normalizeColumn(column) {
+    const { name, type = 'string', required = false } = column;
+    if (!name) {
+      throw new TypeError('every schema column must have a name');
+    }
+    if (!PARSERS[type]) {
+      throw new TypeError(`unknown type "${type}" for column "${name}"`);
+    }
+    if (type === 'enum' && !Array.isArray(column.values)) {
+      throw new TypeError(`enum column "${name}" must declare its values`);
+    }
+
+    const validate = [column.validate ?? []].flat().map((validator) => {
+      if (typeof validator === 'function') return validator;
+      const { name: validatorName, ...options } =
+        typeof validator === 'string' ? { name: validator } : validator;
+      if (!Object.hasOwn(VALIDATORS, validatorName)) {
+        throw new TypeError(
+          `unknown validator "${validatorName}" for column "${name}"`
+        );
+      }
+      return VALIDATORS[validatorName](options);
+    });
+
+    const transform = [column.transform ?? []].flat().map((transform) => {
+      if (typeof transform === 'function') return transform;
+      if (TRANSFORMS[transform]) return TRANSFORMS[transform];
+      throw new TypeError(
+        `unknown transform "${transform}" for column "${name}"`
+      );
+    });
+
+    return {
+      ...column,
+      aliases: [column.aliases ?? []].flat(),
+      type,
+      required,
+      pattern: column.pattern ? compilePattern(column.pattern) : undefined,
+      validate,
+      transform,
+      reasons: { ...DEFAULT_REASONS, ...column.reasons },
+    };
+  }
+}
+
+/**
+ * Default schema for user files: a required name, converted to uppercase, a
+ * valid email address and an integer age from 0 to 150. Headers such as
+ * `Full Name` and `E-mail Address` are accepted too.
+ * Rejections are reported as `MISSING_FIELD`, `INVALID_EMAIL`,
+ * `NON_NUMERIC_AGE`, `NEGATIVE_AGE` or `AGE_OUT_OF_RANGE`.
+ * @type {CsvSchema}
+ */
+export const USER_SCHEMA = new CsvSchema([
+  {
+    name: 'name',
+    aliases: ['full_name', 'full name'],
+    type: 'string',
+    required: true,
+    transform: 'uppercase',
+  },
+  {
+    name: 'email',
+    aliases: ['e-mail', 'email address', 'e-mail address'],
+    type: 'string',
+    required: true,
+    validate: email(),
+  },
+  {
+    name: 'age',
+    type: 'int',
+    required: true,
+    min: 0,
+    max: 150,
+    reasons: {
+      type: 'NON_NUMERIC_AGE',
+      min: 'NEGATIVE_AGE',
+      max: 'AGE_OUT_OF_RANGE',
+    },
+  },
+]);
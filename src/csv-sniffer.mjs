@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Infers the dialect, header and column types of a CSV sample
+ * @module CsvSniffer
+ */
+
+import { CsvTokenizer } from './csv-tokenizer.mjs';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const MAX_ROWS = 100; // Rows of the sample used to guess the structure
+
+const TYPE_PATTERNS = {
+  int: /^[-+]?\d+$/,
+  float: /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/,
+  boolean: /^(true|false|yes|no|y|n)$/i,
+  date: /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:?\d{2})?)?$/,
+};
+
+/**
+ * @typedef {Object} CsvSniffResult
+ * @property {{delimiter: string, quote: string, lineTerminator: string}} dialect -
+ * The inferred dialect, to pass as the `dialect` option of the parser
+ * @property {boolean} hasHeader - Whether the first row is a header, to pass
+ * as the `hasHeader` option of the parser
+ * @property {{name: string, type: import('./csv-schema.mjs').ColumnType}[]} columns -
+ * The columns, named after the header (or `column1`, `column2`... without
+ * one), with the type guessed from their values
+ */
+
+/**
+ * Guesses how a CSV file is written from a sample of its first bytes: the
+ * delimiter, quote character and line terminator, whether the first row is a
+ * header, and the type of every column.
+ *
+ * The delimiter is the candidate (`,`, `;`, tab or `|`) that splits the most
+ * rows into the same number of fields. The first row is a header when its
+ * values do not look like the values of the rows below, e.g. `age` above
+ * numbers.
+ *
+ * @class CsvSniffer
+ * @example
+ * new CsvSniffer().sniff('id;name\n1;"Doe; John"\n2;Jane\n');
+ * // {
+ * //   dialect: { delimiter: ';', quote: '"', lineTerminator: '\n' },
+ * //   hasHeader: true,
+ * //   columns: [{ name: 'id', type: 'int' }, { name: 'name', type: 'string' }]
+ * // }
+ */
+export class CsvSniffer {
+  /**
+   * Infers the structure of a CSV sample
+   * @param {string} sample - The first bytes of the file, as text
+   * @param {Object} [options] - Sniffing options
+   * @param {boolean} [options.complete=false] - Whether the sample is the
+   * whole file; otherwise its last line is ignored, as it may be cut
+   * @returns {CsvSniffResult}
+   */
+  sniff(sample, { complete = false } = {}) {
+    const lineTerminator = this.#detectLineTerminator(sample);
+    const lines = this.#splitLines(sample, lineTerminator, complete);
+    const quote = this.#detectQuote(lines);
+    const { delimiter, rows } = this.#detectDelimiter(lines, quote);
+    const hasHeader = this.#detectHeader(rows);
+
+    const width = Math.max(0, ...rows.map((row) => row.length));
+    const data = hasHeader ? rows.slice(1) : rows;
+    const columns = Array.from({ length: width }, (_, index) => ({
+      name: (hasHeader && rows[0][index]?.trim()) || `column${index + 1}`,
+      type: this.#guessType(data.map((row) => row[index])),
+    }));
+
+    return {
+      dialect: { delimiter, quote, lineTerminator },
+      hasHeader,
+      columns,
+    };
+  }
+
+  /**
+   * Detects the line terminator from the first line break
+   * @private
+   * @param {string} sample - The sample
+   * @returns {string} - `\n`, `\r\n` or `\r`, or `auto` without line breaks
+   */
+  #detectLineTerminator(sample) {
+    return /\r\n|\n|\r/.exec(sample)?.[0] ?? 'auto';
+  }
+
+  /**
+   * Splits the sample into lines, ignoring empty ones. Quoted fields with line
+   * breaks are split too, which is fine to guess the structure.
+   * @private
+   * @param {string} sample - The sample
+   * @param {string} lineTerminator - The detected line terminator
+   * @param {boolean} complete - Whether the sample is the whole file
+   * @returns {string[]} - At most MAX_ROWS lines
+   */
+  #splitLines(sample, lineTerminator, complete) {
+    const lines =
+      lineTerminator === 'auto' ? [sample] : sample.split(lineTerminator);
+    if (!complete && lines.length > 1) {
+      lines.pop();
+    }
+    return lines.filter((line) => line.trim()).slice(0, MAX_ROWS);
+  }
+
+  /**
+   * Detects the quote character as the one that most often wraps a whole field
+   * @private
+   * @param {string[]} lines - The lines of the sample
+   * @returns {string} - The quote character, `"` by default
+   */
+  #detectQuote(lines) {
+    let best = { quote: '"', count: 0 };
+    for (const quote of QUOTES) {
+      const pattern = new RegExp(
+        `(^|[,;\\t|])\\s*${quote}[^${quote}]*${quote}\\s*(?=[,;\\t|]|$)`,
+        'g'
+      );
+      const count = lines.reduce(
+        (total, line) => total + (line.match(pattern)?.length ?? 0),
+        0
+      );
+      if (count > best.count) best = { quote, count };
+    }
+    return best.quote;
+  }
+
+  /**
+   * Detects the delimiter that splits the most lines into the same number of
+   * fields, preferring the candidates in order on ties
+   * @private
+   * @param {string[]} lines - The lines of the sample
+   * @param {string} quote - The quote character
+   * @returns {{delimiter: string, rows: string[][]}} - The delimiter and the
+   * lines split with it
+   */
+  #detectDelimiter(lines, quote) {
+    let best = null;
+    for (const delimiter of DELIMITERS) {
+      const tokenizer = new CsvTokenizer({ delimiter, quote });
+      const rows = lines.map(
+        (line) => tokenizer.tokenize(line) ?? line.split(delimiter)
+      );
+      const counts = new Map();
+      for (const { length } of rows) {
+        if (length > 1) counts.set(length, (counts.get(length) ?? 0) + 1);
+      }
+      const score = Math.max(0, ...counts.values());
+      if (!best || score > best.score) best = { delimiter, rows, score };
+    }
+    return best.score > 0 ? best : { delimiter: ',', rows: best.rows };
+  }
+
+  /**
+   * Decides whether the first row is a header. Every typed column whose first
+   * value does not match the type of the values below votes for a header, and
+   * every one whose first value does votes against. Without typed columns, the
+   * first row is a header when its values are all distinct and not empty.
+   * @private
+   * @param {string[][]} rows - The rows of the sample
+   * @returns {boolean}
+   */
+  #detectHeader(rows) {
+    if (rows.length === 0) return false;
+    const [first, ...data] = rows;
+    if (data.length === 0) return first.every((value) => value.trim());
+
+    let votes = 0;
+    let typedColumns = 0;
+    first.forEach((value, index) => {
+      const type = this.#guessType(data.map((row) => row[index]));
+      if (type === 'string') return;
+      typedColumns++;
+      votes += this.#matchesType(value.trim(), type) ? -1 : 1;
+    });
+    if (typedColumns > 0) return votes > 0;
+
+    const names = first.map((value) => value.trim());
+    return names.every(Boolean) && new Set(names).size === names.length;
+  }
+
+  /**
+   * Guesses the most specific type all the non-empty values match
+   * @private
+   * @param {Array<string|undefined>} values - The values of a column
+   * @returns {import('./csv-schema.mjs').ColumnType}
+   */
+  #guessType(values) {
+    const present = values
+      .map((value) => value?.trim())
+      .filter((value) => value);
+    if (present.length === 0) return 'string';
+    return (
+      Object.keys(TYPE_PATTERNS).find((type) =>
+        present.every((value) => this.#matchesType(value, type))
+      ) ?? 'string'
+    );
+  }
+
+  /**
+   * Checks whether a value looks like a type
+   * @private
+   * @param {string} value - The trimmed value
+   * @param {string} type - The type
+   * @returns {boolean}
+   */
+  #matchesType(value, type) {
+    return type === 'string' || TYPE_PATTERNS[type].test(value);
+  }
+}
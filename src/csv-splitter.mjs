@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Splits a CSV file into byte ranges aligned to record boundaries
+ * @module CsvSplitter
+ */
+
+import { createReadStream } from 'node:fs';
+import { CsvRecordReader } from './csv-record-reader.mjs';
+
+/**
+ * @typedef {Object} CsvRange
+ * @property {number} start - Byte offset of the first record of the range
+ * @property {number} end - Byte offset right after the last record (exclusive)
+ * @property {number} line - The 1-based line number of the first record
+ */
+
+/**
+ * Splits a CSV file into byte ranges that can be processed independently.
+ * Ranges never cut a record in two, not even a quoted field with line breaks.
+ *
+ * The file is scanned with a {@link CsvRecordReader}, so it follows the
+ * exact same quoting rules as the parser. It is decoded as latin1, where
+ * every byte is one character, so character offsets are byte offsets; the
+ * characters the reader looks for are all ASCII and never appear inside a
+ * multi-byte UTF-8 sequence.
+ *
+ * @class CsvSplitter
+ * @example
+ * const splitter = new CsvSplitter();
+ * for await (const range of splitter.split('input.csv', 64 * 1024 * 1024)) {
+ *   // { start: 0, end: 67108893, line: 1 }, ...
+ * }
+ */
+export class CsvSplitter {
+  #dialect;
+
+  /**
+   * Creates a new CsvSplitter instance
+   * @param {Object} [dialect] - Syntax of the file
+   * @param {string} [dialect.delimiter=','] - Field delimiter
+   * @param {string} [dialect.quote='"'] - Character quoting a field
+   * @param {string} [dialect.escape] - Character escaping a quote inside a
+   * quoted field (default: the quote)
+   * @param {'auto'|'\n'|'\r\n'|'\r'} [dialect.lineTerminator='auto'] - Record
+   * terminator
+   */
+  constructor({
+    delimiter = ',',
+    quote = '"',
+    escape = quote,
+    lineTerminator = 'auto',
+  } = {}) {
+    this.#dialect = { delimiter, quote, escape, lineTerminator };
+  }
+
+  /**
+   * Yields the ranges of a file as soon as they are found, so they can be
+   * processed while the rest of the file is scanned. Every range but the last
+   * one is at least `rangeSize` bytes long.
+   * @param {string} filePath - The path to the CSV file
+   * @param {number} rangeSize - The minimum size of a range, in bytes
+   * @returns {AsyncGenerator<CsvRange>} - The ranges, in file order
+   */
+  async *split(filePath, rangeSize) {
+    const { delimiter, quote, escape, lineTerminator } = this.#dialect;
+    const reader = new CsvRecordReader({
+      delimiter: this.#toLatin1(delimiter),
+      quote: this.#toLatin1(quote),
+      escape: this.#toLatin1(escape),
+      lineTerminator,
+    });
+    let range = { start: 0, line: 1 };
+
+    for await (const chunk of createReadStream(filePath, 'latin1')) {
+      // Push ranges of at most rangeSize, so small ranges are not merged
+      for (let index = 0; index < chunk.length; index += rangeSize) {
+        reader.push(chunk.slice(index, index + rangeSize));
+        if (reader.offset - range.start >= rangeSize) {
+          yield { ...range, end: reader.offset };
+          range = { start: reader.offset, line: reader.line };
+        }
+      }
+    }
+
+    reader.flush();
+    if (reader.offset > range.start) {
+      yield { ...range, end: reader.offset };
+    }
+  }
+
+  /**
+   * Encodes text as UTF-8 and decodes it as latin1, like the file is read
+   * @private
+   * @param {string} text - The text to convert
+   * @returns {string}
+   */
+  #toLatin1(text) {
+    return Buffer.from(text).toString('latin1');
+  }
+}
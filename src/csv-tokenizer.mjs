@@ -0,0 +1,166 @@
+/**
+ * @fileoverview RFC 4180 field tokenizer and formatter for CSV records
+ * @module CsvTokenizer
+ */
+
+/**
+ * Splits CSV records into fields and formats fields back into CSV records.
+ * Handles quoted fields, doubled-quote escaping (`""`) and delimiters inside
+ * quotes, as described in RFC 4180. The quote and escape characters may be
+ * changed, for instance to escape quotes with a backslash (`\"`).
+ *
+ * @class CsvTokenizer
+ * @example
+ * const tokenizer = new CsvTokenizer();
+ * tokenizer.tokenize('"Doe, John",john@example.com,25');
+ * // ['Doe, John', 'john@example.com', '25']
+ *
+ * tokenizer.format(['Doe, John', 'john@example.com', 25]);
+ * // '"Doe, John",john@example.com,25'
+ */
+export class CsvTokenizer {
+  #delimiter;
+  #quote;
+  #escape;
+
+  /**
+   * Creates a new CsvTokenizer instance
+   * @param {Object} [options] - Tokenizer options
+   * @param {string} [options.delimiter=','] - Field delimiter
+   * @param {string} [options.quote='"'] - Character quoting a field
+   * @param {string} [options.escape] - Character escaping a quote or itself
+   * inside a quoted field (default: the quote)
+   * @throws {TypeError} If the delimiter is empty
+   */
+  constructor({ delimiter = ',', quote = '"', escape = quote } = {}) {
+    if (!delimiter) {
+      throw new TypeError('delimiter must be a non-empty string');
+    }
+    this.#delimiter = delimiter;
+    this.#quote = quote;
+    this.#escape = escape;
+  }
+
+  /**
+   * Splits a single CSV record into its fields.
+   * Spaces around a quoted field are ignored. A quote inside an unquoted field
+   * is kept as a literal character.
+   *
+   * @param {string} line - The CSV record to split
+   * @returns {string[]|null} - The fields of the record, or null if the record
+   * is malformed (unterminated quote or text after a closing quote)
+   */
+  tokenize(line) {
+    if (!line.includes(this.#quote)) {
+      return line.split(this.#delimiter);
+    }
+
+    const fields = [];
+    let index = 0;
+
+    while (true) {
+      let start = index;
+      while (line[start] === ' ') start++;
+
+      if (line[start] !== this.#quote) {
+        const end = line.indexOf(this.#delimiter, index);
+        if (end === -1) {
+          fields.push(line.slice(index));
+          return fields;
+        }
+        fields.push(line.slice(index, end));
+        index = end + this.#delimiter.length;
+        continue;
+      }
+
+      let value = '';
+      let cursor = start + 1;
+      while (true) {
+        const closing = line.indexOf(this.#quote, cursor);
+        if (closing === -1) {
+          return null; // Unterminated quoted field
+        }
+        const escape = this.#findEscape(line, cursor, closing);
+        if (escape !== -1) {
+          value += line.slice(cursor, escape) + line[escape + 1];
+          cursor = escape + 2;
+          continue;
+        }
+        value += line.slice(cursor, closing);
+        cursor = closing + 1;
+        break;
+      }
+      fields.push(value);
+
+      while (line[cursor] === ' ') cursor++;
+      if (cursor === line.length) {
+        return fields;
+      }
+      if (!line.startsWith(this.#delimiter, cursor)) {
+        return null; // Unexpected text after the closing quote
+      }
+      index = cursor + this.#delimiter.length;
+    }
+  }
+
+  /**
+   * Formats a list of values as a single CSV record, quoting the values that
+   * contain the delimiter, a quote or a line break.
+   *
+   * @param {Array<string|number>} values - The values to format
+   * @returns {string} - The CSV record
+   */
+  format(values) {
+    return values
+      .map((value) => this.#quoteIfNeeded(value))
+      .join(this.#delimiter);
+  }
+
+  /**
+   * Quotes a value when it would otherwise break the CSV structure.
+   * @private
+   * @param {string|number} value - The value to quote
+   * @returns {string} - The value, quoted and escaped if needed
+   */
+  #quoteIfNeeded(value) {
+    const text = String(value);
+    if (
+      text.includes(this.#delimiter) ||
+      text.includes(this.#quote) ||
+      text.includes('\n') ||
+      text.includes('\r')
+    ) {
+      const escaped =
+        this.#escape === this.#quote
+          ? text
+          : text.replaceAll(this.#escape, this.#escape + this.#escape);
+      return `${this.#quote}${escaped.replaceAll(this.#quote, this.#escape + this.#quote)}${this.#quote}`;
+    }
+    return text;
+  }
+
+  /**
+   * Finds the first escape sequence of a quoted field, that is an escape
+   * character followed by a quote or by another escape character
+   * @private
+   * @param {string} line - The CSV record
+   * @param {number} cursor - Where to start looking
+   * @param {number} closing - The index of the next quote
+   * @returns {number} - The index of the escape character, or -1 if the next
+   * quote is not escaped
+   */
+  #findEscape(line, cursor, closing) {
+    if (this.#escape === this.#quote) {
+      return line[closing + 1] === this.#quote ? closing : -1;
+    }
+    let index = line.indexOf(this.#escape, cursor);
+    while (index !== -1 && index < closing) {
+      const next = line[index + 1];
+      if (next === this.#quote || next === this.#escape) {
+        return index;
+      }
+      index = line.indexOf(this.#escape, index + 1);
+    }
+    return -1;
+  }
+}
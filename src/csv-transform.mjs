@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Transform stream that validates and transforms CSV text
+ * @module CsvTransform
+ */
+
+import { Transform } from 'node:stream';
+import { Stats } from './stats.mjs';
+import { CsvRecordReader } from './csv-record-reader.mjs';
+import { CsvRecordProcessor } from './csv-record-processor.mjs';
+import { CsvDialect } from './csv-dialect.mjs';
+import { CsvDecoder } from './csv-encoding.mjs';
+import { OutputFormat } from './output-format.mjs';
+
+/**
+ * @typedef {Object} CsvTransformOptions
+ * @property {boolean} [objectMode=true] - Emit the processed records as
+ * objects, or as text in the same format as the parser output files
+ * @property {import('./output-format.mjs').OutputFormatName|OutputFormat} [outputFormat='csv'] -
+ * Format of the text emitted when `objectMode` is false
+ * @property {import('./csv-schema.mjs').CsvSchema|import('./csv-schema.mjs').ColumnDefinition[]} [schema] -
+ * Columns to validate and transform (default: name, email and age of a user)
+ * @property {string} [delimiter=','] - Field delimiter of the input and output
+ * @property {CsvDialect|Object} [dialect] - Syntax of the input and output:
+ * delimiter, quote, escape and line terminators (see {@link CsvDialect})
+ * @property {import('./csv-encoding.mjs').CsvEncodingName|'auto'} [encoding='utf-8'] -
+ * Encoding of the input, or `auto` to detect it. A BOM at the start is dropped.
+ * @property {boolean} [hasHeader=true] - Whether the first record is a header;
+ * without one, the columns are expected in schema order
+ * @property {Record<string, string[]>} [aliases] - More header names of every
+ * column, by column name
+ * @property {Record<string, number>} [columnIndexes] - The 0-based index of
+ * every column, by column name, for input without a header
+ * @property {string[]} [outputColumns] - The columns to output, in order
+ * @property {Record<string, string>} [rename] - The output name of columns,
+ * by column name
+ * @property {Record<string, import('./csv-projection.mjs').ComputedColumn>} [computed] -
+ * Columns added to every record, computed from its other columns
+ * @property {boolean} [passthrough=false] - Output the input columns that are
+ * not in the schema unchanged
+ * @property {import('./csv-deduplicator.mjs').CsvDedupOptions|boolean} [dedup] -
+ * Drop the records whose key columns match an earlier record, `true` to
+ * compare emails. Only the first record of every key can be kept, as the
+ * input is read once.
+ */
+
+/**
+ * @typedef {Object} CsvReject
+ * @property {number} line - The 1-based line number where the record starts
+ * @property {string} reason - The reason code
+ * @property {string|null} field - The field that caused the rejection, if any
+ * @property {string} raw - The text of the record
+ */
+
+/**
+ * Takes raw CSV chunks and emits the valid records, validated and transformed
+ * by the same rules as {@link CsvParser}, so it can sit between any source and
+ * sink in a `pipeline()`.
+ *
+ * Besides the standard stream events it emits `'reject'` with a
+ * {@link CsvReject} for every rejected row, followed by a
+ * {@link CsvSyntaxError} or {@link CsvFieldError} telling where it is wrong,
+ * and `'stats'` with the final {@link Stats} once all the input has been
+ * processed.
+ *
+ * @class CsvTransform
+ * @extends Transform
+ * @example
+ * const transform = new CsvTransform({ objectMode: false });
+ * transform.on('reject', ({ line, reason }) => console.warn(line, reason));
+ * await pipeline(request, transform, response);
+ */
+export class CsvTransform extends Transform {
+  #reader;
+  #processor;
+  #objectMode;
+  #decoder;
+  #format;
+  #recordsPushed = 0;
+  #stats = new Stats();
+  #headerRead = false;
+  #headerWritten = false;
+
+  /**
+   * Creates a new CsvTransform instance
+   * @param {CsvTransformOptions} [options] - Transform options
+   * @throws {TypeError} If the last duplicates are to be kept
+   */
+  constructor({
+    objectMode = true,
+    outputFormat = 'csv',
+    schema,
+    delimiter = ',',
+    dialect,
+    encoding = 'utf-8',
+    hasHeader = true,
+    aliases,
+    columnIndexes,
+    outputColumns,
+    rename,
+    computed,
+    passthrough,
+    dedup,
+  } = {}) {
+    if (dedup?.keep === 'last') {
+      throw new TypeError(
+        'a transform stream can only keep the first duplicates'
+      );
+    }
+    super({ readableObjectMode: objectMode });
+    const csvDialect = new CsvDialect({ delimiter, ...dialect });
+    this.#objectMode = objectMode;
+    this.#decoder = new CsvDecoder(encoding);
+    this.#reader = new CsvRecordReader({
+      ...csvDialect,
+      encoding: this.#decoder.encoding,
+    });
+    this.#processor = new CsvRecordProcessor({
+      schema,
+      dialect: csvDialect,
+      hasHeader,
+      aliases,
+      columnIndexes,
+      outputColumns,
+      rename,
+      computed,
+      passthrough,
+      dedup,
+    });
+    this.#headerRead = !hasHeader;
+    this.#format =
+      outputFormat instanceof OutputFormat
+        ? outputFormat
+        : OutputFormat.create(outputFormat, {
+            columns: this.#processor.projection,
+            dialect: csvDialect,
+          });
+  }
+
+  /**
+   * Gets the statistics of the records processed so far
+   * @readonly
+   * @type {Stats}
+   */
+  get stats() {
+    return this.#stats;
+  }
+
+  /**
+   * Processes a chunk of CSV text
+   * @private
+   * @param {Buffer} chunk - The chunk to process
+   * @param {string} encoding - Unused, strings are converted to Buffers
+   * @param {Function} callback - Called once the chunk is processed
+   */
+  _transform(chunk, encoding, callback) {
+    this.#stats.startedAt ??= new Date();
+    this.#stats.bytesRead += chunk.length;
+    try {
+      this.#processRecords(this.#reader.push(this.#decoder.write(chunk)));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Processes the last record, pushes the footer of the output format and
+   * emits the final statistics
+   * @private
+   * @param {Function} callback - Called once the input is processed
+   */
+  _flush(callback) {
+    try {
+      this.#processRecords([
+        ...this.#reader.push(this.#decoder.end()),
+        ...this.#reader.flush(),
+      ]);
+      if (this.#headerWritten && !this.#objectMode) {
+        this.#pushText(this.#format.footer());
+      }
+    } catch (error) {
+      callback(error);
+      return;
+    }
+    this.#stats.startedAt ??= new Date();
+    this.emit('stats', this.#stats.end());
+    callback();
+  }
+
+  /**
+   * Processes records, pushing the valid ones and emitting the rejected ones.
+   * The first record is the header, if there is one; the output header is
+   * pushed in text mode either way.
+   * @private
+   * @param {import('./csv-record-reader.mjs').CsvRecord[]} records - The records to process
+   * @throws {import('./errors.mjs').CsvHeaderError} If the required headers
+   * are not found
+   */
+  #processRecords(records) {
+    for (const record of records) {
+      if (!this.#headerRead) {
+        this.#headerRead = true;
+        this.#processor.processHeaders(record);
+        this.#pushHeader();
+        continue;
+      }
+      this.#pushHeader();
+
+      const result = this.#processor.process(record, this.#stats);
+      if (!result) continue;
+
+      if (result.record) {
+        if (this.#objectMode) {
+          this.push(result.record);
+        } else {
+          const delimiter =
+            this.#recordsPushed++ > 0 ? this.#format.delimiter : '';
+          this.#pushText(delimiter + this.#format.format(result.record));
+        }
+      } else if (this.listenerCount('reject') > 0) {
+        this.emit(
+          'reject',
+          {
+            line: record.line,
+            reason: result.reason,
+            field: result.column ?? null,
+            raw: record.text,
+          },
+          this.#processor.createError(record, result)
+        );
+      }
+    }
+  }
+
+  /**
+   * Pushes the header of the output format in text mode, once the output
+   * columns are known
+   * @private
+   */
+  #pushHeader() {
+    if (this.#headerWritten) return;
+    this.#headerWritten = true;
+    if (!this.#objectMode) this.#pushText(this.#format.header());
+  }
+
+  /**
+   * Pushes output text, keeping count of the bytes written
+   * @private
+   * @param {string} text - The text to push
+   */
+  #pushText(text) {
+    if (!text) return;
+    this.#stats.bytesWritten += Buffer.byteLength(text);
+    this.push(text);
+  }
+}
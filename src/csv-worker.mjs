@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Worker thread that processes a byte range of a CSV file
+ * @module CsvWorker
+ */
+
+import { createReadStream, createWriteStream } from 'node:fs';
+import { parentPort, workerData } from 'node:worker_threads';
+import { Stats } from './stats.mjs';
+import { CsvRecordReader } from './csv-record-reader.mjs';
+import { CsvRecordProcessor } from './csv-record-processor.mjs';
+import { CsvDialect } from './csv-dialect.mjs';
+import { CsvDecoder, CsvEncoder } from './csv-encoding.mjs';
+import { USER_SCHEMA } from './csv-schema.mjs';
+import { EncodingSink, StreamSink } from './output-sink.mjs';
+import { OutputFormat } from './output-format.mjs';
+import { OutputWriter } from './output-writer.mjs';
+import { RejectsWriter } from './rejects-writer.mjs';
+
+/**
+ * @typedef {Object} CsvWorkerTask
+ * @property {number} start - Byte offset of the first record of the range
+ * @property {number} end - Byte offset right after the last record (exclusive)
+ * @property {number} line - The 1-based line number of the first record
+ * @property {boolean} skipHeader - Whether the range starts with the header
+ * @property {string} outputPath - Where to write the processed lines
+ * @property {string} [rejectsPath] - Where to write the rejected rows, if any
+ */
+
+const BATCH_SIZE = 1000; // Number of records written at once
+
+const {
+  filePath,
+  header,
+  hasHeader,
+  aliases,
+  columnIndexes,
+  outputColumns,
+  rename,
+  passthrough,
+  schema,
+  strict,
+  encoding,
+  rejectsFormat,
+} = workerData;
+const dialect = new CsvDialect(workerData.dialect);
+const encoder = new CsvEncoder(workerData.outputEncoding);
+const processor = new CsvRecordProcessor({
+  schema: schema ?? USER_SCHEMA,
+  dialect,
+  hasHeader,
+  aliases,
+  columnIndexes,
+  outputColumns,
+  rename,
+  passthrough,
+  strict,
+});
+if (hasHeader) {
+  processor.processHeaders(header);
+}
+const format = OutputFormat.create(workerData.outputFormat, {
+  columns: processor.projection,
+  dialect,
+});
+
+parentPort.on('message', async (task) => {
+  try {
+    const stats = await processRange(task);
+    parentPort.postMessage({ result: stats.toJSON() });
+  } catch (error) {
+    parentPort.postMessage({ error });
+  }
+});
+
+/**
+ * Processes the records of a range. The processed records are written as a
+ * fragment of the output format, each one preceded by the delimiter, so the
+ * output of all the ranges can be appended in order by the parser, and in the
+ * output encoding. Rejected rows are written without the header of the
+ * rejects file.
+ * @param {CsvWorkerTask} task - The range to process
+ * @returns {Promise<Stats>} - The statistics of the range
+ */
+async function processRange({
+  start,
+  end,
+  line,
+  skipHeader,
+  outputPath,
+  rejectsPath,
+}) {
+  const stats = new Stats().start();
+  const reader = new CsvRecordReader({ ...dialect, line });
+  // Only the first range may start with a BOM
+  const decoder = new CsvDecoder(encoding, { stripBom: start === 0 });
+  const output = new OutputWriter(
+    new EncodingSink(new StreamSink(createWriteStream(outputPath)), encoder),
+    format,
+    { batchSize: BATCH_SIZE, fragment: true }
+  );
+  const rejects = rejectsPath
+    ? new RejectsWriter(
+        new StreamSink(createWriteStream(rejectsPath)),
+        rejectsFormat,
+        { lineTerminator: dialect.outputLineTerminator }
+      )
+    : null;
+
+  let headerSkipped = !skipHeader;
+  const processRecords = async (records) => {
+    for (const record of records) {
+      if (!headerSkipped) {
+        headerSkipped = true;
+        continue;
+      }
+
+      const result = processor.process(record, stats);
+      if (result?.record) {
+        await output.write(result.record);
+      } else if (result) {
+        await rejects?.write(record, result.reason, result.column);
+      }
+    }
+  };
+
+  try {
+    const input = createReadStream(filePath, { start, end: end - 1 });
+    for await (const chunk of input) {
+      stats.bytesRead += chunk.length;
+      await processRecords(reader.push(decoder.write(chunk)));
+    }
+    await processRecords([...reader.push(decoder.end()), ...reader.flush()]);
+
+    await output.close();
+    await rejects?.close();
+  } catch (error) {
+    await output.abort();
+    await rejects?.abort();
+    throw error;
+  }
+
+  stats.bytesWritten = output.bytesWritten;
+  return stats.end();
+}
@@ -1,6 +1,9 @@
 import fs from 'node:fs/promises';
 import os from 'node:os';
-import { RandomCsvGenerator } from '../tests/generate-input.mjs';
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import { RandomCsvGenerator } from './random-csv-generator.mjs';
 import { CsvParser } from './csv-parser.mjs';
 
 /**
@@ -67,6 +70,25 @@ export class DemoRunner {
     return `${totalCpuMs.toFixed(2)}ms (User: ${userCpuMs.toFixed(2)}ms, System: ${systemCpuMs.toFixed(2)}ms)`;
   }
 
+  /**
+   * Shows the progress of a processing method on a single line, rewritten in place.
+   * @param {import('./progress.mjs').ProgressEvent} event - The progress of the run.
+   */
+  #printProgress({
+    bytesRead,
+    totalBytes,
+    percent,
+    processed,
+    rowsPerSecond,
+    etaMs,
+  }) {
+    const eta =
+      etaMs === null ? '' : ` | ETA ${this.#formatTime(Math.round(etaMs))}`;
+    process.stdout.write(
+      `\r⏳ ${percent.toFixed(1)}% | ${this.#formatBytes(bytesRead)} / ${this.#formatBytes(totalBytes)} | ${processed.toLocaleString()} processed | ${Math.round(rowsPerSecond).toLocaleString()} rows/sec${eta}\x1b[K`
+    );
+  }
+
   /**
    * Measures memory usage, CPU usage and execution time for a function.
    * @param {string} name - Name of the operation.
@@ -127,18 +149,41 @@ export class DemoRunner {
    * @returns {Promise<object>} The performance results.
    */
   async #runProcessingTest(methodConfig, inputFile) {
-    const parser = new CsvParser(inputFile, methodConfig.outputFile);
+    const parser = new CsvParser(inputFile, methodConfig.outputFile, {
+      progressInterval: 250,
+      ...methodConfig.options,
+    });
+    // Only terminals can rewrite the progress line in place
+    const live = process.stdout.isTTY;
+    if (live) {
+      parser.on('progress', (event) => this.#printProgress(event));
+    }
     const performanceData = await this.#measurePerformance(
       `${methodConfig.name} Processing`,
-      () => parser[methodConfig.method]()
+      () =>
+        parser[methodConfig.method]().finally(() => {
+          if (live) process.stdout.write('\r\x1b[K');
+        })
     );
     const outputStats = await fs.stat(methodConfig.outputFile);
     return {
       ...performanceData,
       outputSize: this.#formatBytes(outputStats.size),
+      outputHash: await this.#hashFile(methodConfig.outputFile),
     };
   }
 
+  /**
+   * Computes the SHA-256 of a file, to check that every method wrote the same output.
+   * @param {string} filePath - The path to the file.
+   * @returns {Promise<string>} The hex digest of the file.
+   */
+  async #hashFile(filePath) {
+    const hash = createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
   /**
    * Cleans up generated files.
    * @param {string[]} filesToDelete - An array of file paths to delete.
@@ -180,7 +225,24 @@ export class DemoRunner {
     const cpuUsageRow = `| **CPU Usage**       | ${processingMethods.map((m) => this.#formatCpuUsage(results[m.id].cpuUsage.user, results[m.id].cpuUsage.system)).join(' | ')} |`;
     const processedRow = `| **Records Processed** | ${processingMethods.map((m) => results[m.id].result.processed.toLocaleString()).join(' | ')} |`;
     const skippedRow = `| **Records Skipped**   | ${processingMethods.map((m) => results[m.id].result.skipped.toLocaleString()).join(' | ')} |`;
+    const reasons = [
+      ...new Set(
+        processingMethods.flatMap((m) =>
+          Object.keys(results[m.id].result.skippedByReason)
+        )
+      ),
+    ].sort();
+    const reasonRows = reasons
+      .map(
+        (reason) =>
+          `| &nbsp;&nbsp;↳ ${reason} | ${processingMethods.map((m) => (results[m.id].result.skippedByReason[reason] ?? 0).toLocaleString()).join(' | ')} |\n`
+      )
+      .join('');
+    const emptyLinesRow = `| **Empty Lines**       | ${processingMethods.map((m) => results[m.id].result.emptyLines.toLocaleString()).join(' | ')} |`;
+    const throughputRow = `| **Rows/sec**          | ${processingMethods.map((m) => Math.round(results[m.id].result.rowsPerSecond).toLocaleString()).join(' | ')} |`;
     const outputSizeRow = `| **Output File Size**  | ${processingMethods.map((m) => results[m.id].outputSize).join(' | ')} |`;
+    const referenceHash = results[processingMethods[0].id].outputHash;
+    const sameOutputRow = `| **Same Output**       | ${processingMethods.map((m) => (results[m.id].outputHash === referenceHash ? '✅' : '❌')).join(' | ')} |`;
 
     const methodsExplanation = processingMethods
       .map(
@@ -219,7 +281,12 @@ ${memoryUsageRow}
 ${cpuUsageRow}
 ${processedRow}
 ${skippedRow}
+${reasonRows}${emptyLinesRow}
+${throughputRow}
 ${outputSizeRow}
+${sameOutputRow}
+
+_Same Output compares the SHA-256 of every output file with the one written by the ${processingMethods[0].name} method._
 
 ## Processing Methods
 
@@ -227,7 +294,9 @@ ${methodsExplanation}
 
 ## Conclusion
 
-The **Stream + Concurrency** approach is the clear winner for processing large CSV files. It provides a scalable and robust solution by combining the memory efficiency of streams with the speed of parallel processing. This method is highly recommended for production environments where performance and resource management are critical.
+The **Stream** approaches read the file line by line, so their memory stays flat whatever the size of the file. **Stream + Concurrency** still processes the records one at a time on a single thread: it only writes them in batches, saving a write per record.
+
+The **Worker Threads** approach is the one that processes records in parallel. Parsing and validation are CPU-bound, so spreading the byte ranges of the file over one thread per core scales with the number of cores, at the cost of temporary files the size of the output. It is the one to use for large files on machines with several cores; with a single core, it only adds the temporary files to the **Stream** approach.
 `;
   }
 
@@ -248,7 +317,10 @@ The **Stream + Concurrency** approach is the clear winner for processing large C
     try {
       const generationResult = await this.#measurePerformance(
         'CSV Generation',
-        () => RandomCsvGenerator.generate(RECORD_COUNT, inputFile)
+        () =>
+          RandomCsvGenerator.generate(RECORD_COUNT, inputFile, undefined, {
+            logger: console,
+          })
       );
 
       const stats = await fs.stat(inputFile);
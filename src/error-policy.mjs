@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Policies deciding when rejected rows fail a run
+ * @module ErrorPolicy
+ */
+
+import { CsvValidationError } from './errors.mjs';
+
+/**
+ * Reason codes of the rows whose structure is broken, rather than their
+ * values: fatal in strict mode
+ * @type {string[]}
+ */
+export const STRUCTURAL_REASONS = ['MALFORMED_ROW', 'WRONG_COLUMN_COUNT'];
+
+/**
+ * @typedef {Object} ErrorPolicyOptions
+ * @property {number|string} [maxErrors] - Most rejected rows allowed, as a
+ * count (`100`) or a percentage of all the rows (`'5%'`); a count fails the
+ * run as soon as it is exceeded, a percentage once all the rows are read
+ * @property {boolean} [failFast=false] - Fail on the first rejected row
+ * @property {boolean} [strict=false] - Fail on the first row with a broken
+ * structure: an unterminated quote, or a column count other than the header's
+ * @property {number} [sampleSize=10] - Number of rejected rows kept for the
+ * {@link CsvValidationError}
+ */
+
+/**
+ * Decides whether the rejected rows of a run should fail it, and keeps the
+ * first of them to report along with the error. Without any option, rows
+ * are rejected without ever failing the run.
+ *
+ * @class ErrorPolicy
+ * @example
+ * const policy = new ErrorPolicy({ maxErrors: '5%' }).start();
+ * for (const record of records) {
+ *   const result = processor.process(record, stats);
+ *   if (result?.reason) policy.reject({ line: record.line, ... }, stats);
+ * }
+ * policy.finish(stats); // Throws if more than 5% of the rows were rejected
+ */
+export class ErrorPolicy {
+  #maxCount = null;
+  #maxPercent = null;
+  #failFast;
+  #strict;
+  #sampleSize;
+  #rows = [];
+
+  /**
+   * Creates a new ErrorPolicy instance
+   * @param {ErrorPolicyOptions} [options] - Policy options
+   * @throws {RangeError} If `maxErrors` is not a non-negative count or
+   * percentage, or the sample size is negative
+   */
+  constructor({
+    maxErrors,
+    failFast = false,
+    strict = false,
+    sampleSize = 10,
+  } = {}) {
+    if (typeof maxErrors === 'string' && maxErrors.endsWith('%')) {
+      const percent = Number(maxErrors.slice(0, -1));
+      if (!(percent >= 0 && percent <= 100)) {
+        throw new RangeError(`invalid maxErrors "${maxErrors}"`);
+      }
+      this.#maxPercent = percent;
+    } else if (maxErrors !== undefined && maxErrors !== null) {
+      const count = Number(maxErrors);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new RangeError(`invalid maxErrors "${maxErrors}"`);
+      }
+      this.#maxCount = count;
+    }
+    if (!Number.isInteger(sampleSize) || sampleSize < 0) {
+      throw new RangeError('sampleSize must be a non-negative integer');
+    }
+    this.#failFast = failFast;
+    this.#strict = strict;
+    this.#sampleSize = sampleSize;
+  }
+
+  /**
+   * Gets whether rows with a broken structure fail the run
+   * @readonly
+   * @type {boolean}
+   */
+  get strict() {
+    return this.#strict;
+  }
+
+  /**
+   * Gets the rejected rows kept so far
+   * @readonly
+   * @type {import('./csv-transform.mjs').CsvReject[]}
+   */
+  get rows() {
+    return [...this.#rows];
+  }
+
+  /**
+   * Starts a new run, forgetting the rows rejected by the previous one
+   * @returns {ErrorPolicy} This instance
+   */
+  start() {
+    this.#rows = [];
+    return this;
+  }
+
+  /**
+   * Keeps a rejected row, once the statistics count it, and fails the run if
+   * the policy says so
+   * @param {import('./csv-transform.mjs').CsvReject} reject - The rejected row
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @param {() => import('./errors.mjs').CsvError} [createError] - Creates
+   * the error of the row, the cause of the failure, only when the row alone
+   * fails the run
+   * @throws {CsvValidationError} If the row fails the run
+   */
+  reject(reject, stats, createError) {
+    if (this.#rows.length < this.#sampleSize) {
+      this.#rows.push(reject);
+    }
+    if (this.#failFast) {
+      this.#fail(
+        stats,
+        'failFast',
+        `invalid row at line ${reject.line}: ${reject.reason}`,
+        createError?.()
+      );
+    }
+    if (this.#strict && STRUCTURAL_REASONS.includes(reject.reason)) {
+      this.#fail(
+        stats,
+        'strict',
+        `malformed row at line ${reject.line}: ${reject.reason}`,
+        createError?.()
+      );
+    }
+    this.#checkCount(stats);
+  }
+
+  /**
+   * Fails the run if its statistics break the policy, for runs whose rows
+   * are rejected out of sight, such as on worker threads
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @throws {CsvValidationError} If the rejected rows fail the run
+   */
+  check(stats) {
+    if (this.#failFast && stats.skipped > 0) {
+      this.#fail(stats, 'failFast', `${stats.skipped} invalid rows`);
+    }
+    const malformed = STRUCTURAL_REASONS.reduce(
+      (sum, reason) => sum + (stats.skippedByReason[reason] ?? 0),
+      0
+    );
+    if (this.#strict && malformed > 0) {
+      this.#fail(stats, 'strict', `${malformed} malformed rows`);
+    }
+    this.#checkCount(stats);
+  }
+
+  /**
+   * Fails the run if the share of rejected rows exceeds the percentage, once
+   * all the rows are read
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @throws {CsvValidationError} If the rejected rows fail the run
+   */
+  finish(stats) {
+    const rows = stats.processed + stats.skipped;
+    if (
+      this.#maxPercent !== null &&
+      stats.skipped * 100 > rows * this.#maxPercent
+    ) {
+      this.#fail(
+        stats,
+        'maxErrors',
+        `${stats.skipped} of ${rows} rows are invalid, more than ${this.#maxPercent}%`
+      );
+    }
+  }
+
+  /**
+   * Fails the run if the rejected rows exceed the count
+   * @private
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @throws {CsvValidationError} If there are too many rejected rows
+   */
+  #checkCount(stats) {
+    if (this.#maxCount !== null && stats.skipped > this.#maxCount) {
+      this.#fail(
+        stats,
+        'maxErrors',
+        `more than ${this.#maxCount} invalid rows`
+      );
+    }
+  }
+
+  /**
+   * Throws the error failing the run
+   * @private
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @param {'maxErrors'|'failFast'|'strict'} policy - The policy that failed
+   * @param {string} message - What failed it
+   * @param {import('./errors.mjs').CsvError} [cause] - The error of the row
+   * that failed it, if a single one did
+   * @throws {CsvValidationError}
+   */
+  #fail(stats, policy, message, cause) {
+    throw new CsvValidationError(message, {
+      policy,
+      stats: stats.end(),
+      rows: this.rows,
+      cause,
+    });
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Errors thrown by the parser
+ * @module Errors
+ */
+
+/**
+ * Where an error was found in the input. Every field is null when unknown.
+ * @typedef {Object} CsvPosition
+ * @property {number|null} [line] - The 1-based line number of the record
+ * @property {number|null} [byteOffset] - Byte offset where the record starts,
+ * after the byte order mark if any
+ * @property {string|null} [column] - Name of the column at fault
+ * @property {number|null} [columnIndex] - 0-based index of that column in
+ * the record
+ * @property {string|null} [raw] - The text of the record, cut after 200
+ * characters
+ */
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Base class of the errors found in the content of a CSV input, carrying
+ * where they were found.
+ *
+ * @class CsvError
+ * @example
+ * try {
+ *   await parser.processUsersAsStream();
+ * } catch (error) {
+ *   if (error instanceof CsvError) console.log(error.line, error.column);
+ * }
+ */
+export class CsvError extends Error {
+  /**
+   * Creates a new CsvError instance
+   * @param {string} message - What is wrong
+   * @param {CsvPosition & {cause?: *}} [position] - Where it is wrong, and
+   * the error that caused it
+   */
+  constructor(
+    message,
+    {
+      line = null,
+      byteOffset = null,
+      column = null,
+      columnIndex = null,
+      raw = null,
+      cause,
+    } = {}
+  ) {
+    super(message, { cause });
+    this.name = 'CsvError';
+    /**
+     * The 1-based line number of the record
+     * @type {number|null}
+     */
+    this.line = line;
+    /**
+     * Byte offset where the record starts
+     * @type {number|null}
+     */
+    this.byteOffset = byteOffset;
+    /**
+     * Name of the column at fault
+     * @type {string|null}
+     */
+    this.column = column;
+    /**
+     * 0-based index of the column in the record
+     * @type {number|null}
+     */
+    this.columnIndex = columnIndex;
+    /**
+     * The text of the record, cut after 200 characters
+     * @type {string|null}
+     */
+    this.raw =
+      raw !== null && raw.length > SNIPPET_LENGTH
+        ? `${raw.slice(0, SNIPPET_LENGTH)}…`
+        : raw;
+  }
+}
+
+/**
+ * Thrown when the header of the input, or the column indexes given for an
+ * input without one, miss required columns. `columns` lists them all, and
+ * `column` is the first one.
+ *
+ * @class CsvHeaderError
+ * @extends CsvError
+ */
+export class CsvHeaderError extends CsvError {
+  /**
+   * Creates a new CsvHeaderError instance
+   * @param {string} message - What is wrong
+   * @param {CsvPosition & {columns?: string[]}} [details] - Where it is
+   * wrong, and the missing columns
+   */
+  constructor(message, { columns = [], ...position } = {}) {
+    super(message, { column: columns[0] ?? null, ...position });
+    this.name = 'CsvHeaderError';
+    /**
+     * The required columns that are missing
+     * @type {string[]}
+     */
+    this.columns = columns;
+  }
+}
+
+/**
+ * Describes a record whose structure is broken: an unterminated quote or
+ * text after a closing quote (`MALFORMED_ROW`), or a number of fields other
+ * than the header's (`WRONG_COLUMN_COUNT`).
+ *
+ * @class CsvSyntaxError
+ * @extends CsvError
+ */
+export class CsvSyntaxError extends CsvError {
+  /**
+   * Creates a new CsvSyntaxError instance
+   * @param {string} message - What is wrong
+   * @param {CsvPosition & {reason: string}} details - Where it is wrong, and
+   * the reason code
+   */
+  constructor(message, { reason, ...position }) {
+    super(message, position);
+    this.name = 'CsvSyntaxError';
+    /**
+     * The reason code of the rejection
+     * @type {string}
+     */
+    this.reason = reason;
+  }
+}
+
+/**
+ * Describes a record rejected because of the value of one of its fields,
+ * such as `INVALID_EMAIL` for the `email` column.
+ *
+ * @class CsvFieldError
+ * @extends CsvError
+ */
+export class CsvFieldError extends CsvError {
+  /**
+   * Creates a new CsvFieldError instance
+   * @param {string} message - What is wrong
+   * @param {CsvPosition & {reason: string}} details - Where it is wrong, and
+   * the reason code
+   */
+  constructor(message, { reason, ...position }) {
+    super(message, position);
+    this.name = 'CsvFieldError';
+    /**
+     * The reason code of the rejection
+     * @type {string}
+     */
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a run is stopped through its `AbortSignal`. The statistics of
+ * the records processed until then come along, and the reason given to
+ * `AbortController.abort()` is the cause.
+ *
+ * @class AbortError
+ * @example
+ * try {
+ *   await parser.processUsersAsStream();
+ * } catch (error) {
+ *   if (error instanceof AbortError) console.log(error.stats.processed);
+ * }
+ */
+export class AbortError extends Error {
+  /**
+   * Creates a new AbortError instance
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * until it was aborted
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - The reason of the abort
+   */
+  constructor(stats, { cause } = {}) {
+    super('the processing was aborted', { cause });
+    this.name = 'AbortError';
+    /**
+     * The same code as the errors of aborted Node.js APIs
+     * @type {string}
+     */
+    this.code = 'ABORT_ERR';
+    /**
+     * The statistics of the run until it was aborted
+     * @type {import('./stats.mjs').Stats}
+     */
+    this.stats = stats;
+  }
+}
+
+/**
+ * Thrown when the rejected rows of a run break its error policy: too many of
+ * them, any of them with `failFast`, or a malformed one in `strict` mode. The
+ * statistics of the run until then and the first rejected rows come along.
+ *
+ * @class CsvValidationError
+ * @example
+ * try {
+ *   await parser.processUsersAsStream();
+ * } catch (error) {
+ *   if (error instanceof CsvValidationError) console.table(error.rows);
+ * }
+ */
+export class CsvValidationError extends Error {
+  /**
+   * Creates a new CsvValidationError instance
+   * @param {string} message - What broke the policy
+   * @param {Object} details - Details of the failure
+   * @param {'maxErrors'|'failFast'|'strict'} details.policy - The policy
+   * that was broken
+   * @param {import('./stats.mjs').Stats} details.stats - The statistics of
+   * the run until it failed
+   * @param {import('./csv-transform.mjs').CsvReject[]} [details.rows=[]] -
+   * The first rejected rows
+   * @param {CsvSyntaxError|CsvFieldError} [details.cause] - The error of the
+   * row that failed the run, with `failFast` and `strict`
+   */
+  constructor(message, { policy, stats, rows = [], cause }) {
+    super(message, { cause });
+    this.name = 'CsvValidationError';
+    /**
+     * The policy that was broken
+     * @type {'maxErrors'|'failFast'|'strict'}
+     */
+    this.policy = policy;
+    /**
+     * The statistics of the run until it failed
+     * @type {import('./stats.mjs').Stats}
+     */
+    this.stats = stats;
+    /**
+     * The first rejected rows, with their line number and reason code
+     * @type {import('./csv-transform.mjs').CsvReject[]}
+     */
+    this.rows = rows;
+  }
+}
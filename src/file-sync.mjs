@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Syncing files and directories to disk, for durable renames
+ * @module FileSync
+ */
+
+import path from 'node:path';
+import fs from 'node:fs/promises';
+
+/**
+ * Waits for a file to be written to disk
+ * @param {string} filePath - The path to the file
+ * @returns {Promise<void>}
+ */
+export async function syncFile(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Waits for the entries of the directory of a file to be written to disk,
+ * so a file created, renamed or deleted there survives a power loss. Windows
+ * cannot open directories, and persists renames on its own.
+ * @param {string} filePath - The path to a file in the directory
+ * @returns {Promise<void>}
+ */
+export async function syncDirectory(filePath) {
+  if (process.platform === 'win32') return;
+  await syncFile(path.dirname(filePath));
+}
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Output file replaced atomically, through a temporary file
+ * @module OutputFile
+ */
+
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { syncDirectory, syncFile } from './file-sync.mjs';
+
+/**
+ * @typedef {'overwrite'|'fail'|'append'} ExistingOutputPolicy
+ */
+
+const POLICIES = ['overwrite', 'fail', 'append'];
+
+/**
+ * An output file that only appears, or changes, once the run succeeded. The
+ * output is written to a temporary file in the same directory, which is
+ * synced to disk and renamed over the output on success, so readers of the
+ * output never see a partial file, and a failed run leaves an existing
+ * output as it was.
+ *
+ * What happens to an existing output depends on the policy: `overwrite`
+ * replaces it, `fail` refuses to run, and `append` adds the new records
+ * after the existing ones, the temporary file starting as a copy of it.
+ *
+ * @class OutputFile
+ * @example
+ * const file = new OutputFile('output.csv', { ifExists: 'fail' });
+ * await file.open(); // Throws if output.csv exists
+ * await fs.writeFile(file.tempPath, 'name,email,age');
+ * await file.commit(); // output.csv appears
+ */
+export class OutputFile {
+  #filePath;
+  #ifExists;
+  #tempPath = null;
+  #initialLength = 0;
+
+  /**
+   * Creates a new OutputFile instance
+   * @param {string} filePath - The path to the output file
+   * @param {Object} [options] - Output file options
+   * @param {ExistingOutputPolicy} [options.ifExists='overwrite'] - What to do
+   * with an existing output
+   * @throws {TypeError} If the policy is not supported
+   */
+  constructor(filePath, { ifExists = 'overwrite' } = {}) {
+    if (!POLICIES.includes(ifExists)) {
+      throw new TypeError(
+        `unsupported ifExists policy "${ifExists}", expected ${POLICIES.join(', ')}`
+      );
+    }
+    this.#filePath = filePath;
+    this.#ifExists = ifExists;
+  }
+
+  /**
+   * Gets the path to the output file
+   * @readonly
+   * @type {string}
+   */
+  get filePath() {
+    return this.#filePath;
+  }
+
+  /**
+   * Gets what to do with an existing output
+   * @readonly
+   * @type {ExistingOutputPolicy}
+   */
+  get ifExists() {
+    return this.#ifExists;
+  }
+
+  /**
+   * Gets the path to the temporary file to write, once opened
+   * @readonly
+   * @type {string|null}
+   */
+  get tempPath() {
+    return this.#tempPath;
+  }
+
+  /**
+   * Gets the length of the temporary file when it was opened: the length of
+   * the output appended to, or of the output resumed
+   * @readonly
+   * @type {number}
+   */
+  get initialLength() {
+    return this.#initialLength;
+  }
+
+  /**
+   * Picks the temporary file, applying the policy to an existing output
+   * @param {string} [tempPath] - The temporary file of an interrupted run,
+   * to go on writing it
+   * @throws {Error} If the output exists and the policy is `fail`
+   * @returns {Promise<void>}
+   */
+  async open(tempPath) {
+    if (tempPath) {
+      this.#tempPath = tempPath;
+      this.#initialLength = (await fs.stat(tempPath)).size;
+      return;
+    }
+
+    const existing = await fs.stat(this.#filePath).catch((error) => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+    if (existing && this.#ifExists === 'fail') {
+      throw new Error(`output file ${this.#filePath} already exists`);
+    }
+
+    const { dir, base } = path.parse(this.#filePath);
+    const suffix = randomBytes(6).toString('hex');
+    this.#tempPath = path.join(dir, `.${base}.${suffix}.tmp`);
+    this.#initialLength = 0;
+    if (existing && this.#ifExists === 'append') {
+      await fs.copyFile(this.#filePath, this.#tempPath);
+      this.#initialLength = existing.size;
+    }
+  }
+
+  /**
+   * Syncs the temporary file to disk and moves it in place of the output,
+   * then syncs the directory, so the output survives a power loss
+   * @throws {Error} If the output was created in the meantime and the policy
+   * is `fail`
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    await syncFile(this.#tempPath);
+
+    if (this.#ifExists !== 'fail') {
+      await fs.rename(this.#tempPath, this.#filePath);
+      await syncDirectory(this.#filePath);
+      return;
+    }
+    // Unlike rename, link never replaces an output created in the meantime
+    try {
+      await fs.link(this.#tempPath, this.#filePath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      await this.discard();
+      throw new Error(`output file ${this.#filePath} already exists`);
+    }
+    await fs.unlink(this.#tempPath);
+    await syncDirectory(this.#filePath);
+  }
+
+  /**
+   * Deletes the temporary file, leaving the output as it was
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    if (this.#tempPath) {
+      await fs.rm(this.#tempPath, { force: true });
+    }
+  }
+}
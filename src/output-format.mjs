@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Formats the processed records are written in
+ * @module OutputFormat
+ */
+
+import path from 'node:path';
+import { CsvTokenizer } from './csv-tokenizer.mjs';
+import { CsvDialect } from './csv-dialect.mjs';
+import { Compression } from './compression.mjs';
+
+/**
+ * @typedef {'csv'|'tsv'|'ndjson'|'json'} OutputFormatName
+ */
+
+/**
+ * @typedef {Object} OutputFormatOptions
+ * @property {import('./csv-projection.mjs').CsvProjection} columns - The
+ * columns of the records, in output order
+ * @property {CsvDialect} dialect - Syntax of the output, for its delimiter,
+ * quote and line terminator
+ */
+
+/**
+ * Turns processed records into output text. The output is the header, then
+ * every record preceded by the delimiter (except the first one), then the
+ * footer. Extend it to write records in another format.
+ *
+ * @class OutputFormat
+ * @example
+ * class XmlFormat extends OutputFormat {
+ *   header() { return '<users>'; }
+ *   format(user) { return `<user name="${user.name}"/>`; }
+ *   footer() { return '</users>'; }
+ * }
+ */
+export class OutputFormat {
+  /**
+   * Gets the text written between two records
+   * @readonly
+   * @type {string}
+   */
+  get delimiter() {
+    return '';
+  }
+
+  /**
+   * Gets the text written before the first record
+   * @returns {string}
+   */
+  header() {
+    return '';
+  }
+
+  /**
+   * Formats a record
+   * @param {Object} record - The processed record
+   * @returns {string}
+   */
+  // eslint-disable-next-line no-unused-vars
+  format(record) {
+    throw new Error('OutputFormat subclasses must implement format()');
+  }
+
+  /**
+   * Gets the text written after the last record
+   * @returns {string}
+   */
+  footer() {
+    return '';
+  }
+
+  /**
+   * Creates one of the built-in formats
+   * @param {OutputFormatName} name - The name of the format
+   * @param {OutputFormatOptions} options - Format options
+   * @throws {TypeError} If the format is not supported
+   * @returns {OutputFormat}
+   */
+  static create(name, options) {
+    const Format = FORMATS[name];
+    if (!Format) {
+      throw new TypeError(
+        `unsupported output format "${name}", expected ${Object.keys(FORMATS).join(', ')}`
+      );
+    }
+    return new Format(options);
+  }
+
+  /**
+   * Infers the format of an output file from its extension, looking past a
+   * compression extension: `users.ndjson.gz` is `ndjson`
+   * @param {string} filePath - The path to the output file
+   * @returns {OutputFormatName} - `tsv` for `.tsv` and `.tab` files, `ndjson`
+   * for `.ndjson` and `.jsonl`, `json` for `.json`, `csv` otherwise
+   */
+  static nameFromPath(filePath) {
+    const extension = path.extname(Compression.stripExtension(filePath));
+    return EXTENSIONS[extension.toLowerCase()] ?? 'csv';
+  }
+}
+
+/**
+ * CSV with a header row, quoting fields as needed. Records are preceded by
+ * the line terminator, so the output does not end with an empty line.
+ *
+ * @class CsvFormat
+ * @extends OutputFormat
+ */
+export class CsvFormat extends OutputFormat {
+  #columns;
+  #tokenizer;
+  #lineTerminator;
+
+  /**
+   * Creates a new CsvFormat instance
+   * @param {OutputFormatOptions} options - Format options
+   */
+  constructor({ columns, dialect }) {
+    super();
+    this.#columns = columns;
+    this.#tokenizer = new CsvTokenizer(dialect);
+    this.#lineTerminator = dialect.outputLineTerminator;
+  }
+
+  header() {
+    return this.#tokenizer.format(this.#columns.names);
+  }
+
+  format(record) {
+    return (
+      this.#lineTerminator +
+      this.#tokenizer.format(this.#columns.format(record))
+    );
+  }
+}
+
+/**
+ * CSV separated by tabs, whatever the delimiter of the dialect
+ *
+ * @class TsvFormat
+ * @extends CsvFormat
+ */
+export class TsvFormat extends CsvFormat {
+  /**
+   * Creates a new TsvFormat instance
+   * @param {OutputFormatOptions} options - Format options
+   */
+  constructor({ columns, dialect }) {
+    super({
+      columns,
+      dialect: new CsvDialect({ ...dialect, delimiter: '\t' }),
+    });
+  }
+}
+
+/**
+ * One JSON object per line, each line ending with the line terminator
+ *
+ * @class NdjsonFormat
+ * @extends OutputFormat
+ */
+export class NdjsonFormat extends OutputFormat {
+  #lineTerminator;
+
+  /**
+   * Creates a new NdjsonFormat instance
+   * @param {OutputFormatOptions} options - Format options
+   */
+  constructor({ dialect }) {
+    super();
+    this.#lineTerminator = dialect.outputLineTerminator;
+  }
+
+  format(record) {
+    return JSON.stringify(record) + this.#lineTerminator;
+  }
+}
+
+/**
+ * A JSON array with one record per line
+ *
+ * @class JsonFormat
+ * @extends OutputFormat
+ */
+export class JsonFormat extends OutputFormat {
+  #lineTerminator;
+
+  /**
+   * Creates a new JsonFormat instance
+   * @param {OutputFormatOptions} options - Format options
+   */
+  constructor({ dialect }) {
+    super();
+    this.#lineTerminator = dialect.outputLineTerminator;
+  }
+
+  get delimiter() {
+    return ',';
+  }
+
+  header() {
+    return '[';
+  }
+
+  format(record) {
+    return this.#lineTerminator + JSON.stringify(record);
+  }
+
+  footer() {
+    return `${this.#lineTerminator}]`;
+  }
+}
+
+const FORMATS = {
+  csv: CsvFormat,
+  tsv: TsvFormat,
+  ndjson: NdjsonFormat,
+  json: JsonFormat,
+};
+
+const EXTENSIONS = {
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.json': 'json',
+};
@@ -0,0 +1,400 @@
+/**
+ * @fileoverview Destinations the parser writes its output to
+ * @module OutputSink
+ */
+
+import fs from 'node:fs/promises';
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
+
+const COMPRESSION_CHUNK_SIZE = 64 * 1024; // Bytes gathered before compressing
+
+/**
+ * Writes output through a single writable stream, in the order it is given.
+ * Waits for the stream to drain when its buffer is full, so a fast producer
+ * never holds more than one buffer of output in memory.
+ *
+ * @class StreamSink
+ * @example
+ * const sink = new StreamSink(fs.createWriteStream('output.csv'));
+ * await sink.write('name,email,age');
+ * await sink.close();
+ */
+export class StreamSink {
+  #stream;
+  #end;
+  #error = null;
+  #bytesWritten = 0;
+
+  /**
+   * Creates a new StreamSink instance
+   * @param {import('node:stream').Writable} stream - The stream to write to
+   * @param {Object} [options] - Sink options
+   * @param {boolean} [options.end=true] - Whether closing the sink ends the stream
+   */
+  constructor(stream, { end = true } = {}) {
+    this.#stream = stream;
+    this.#end = end;
+    // Keep the first error so it is thrown by the next write or close
+    this.#stream.on('error', (error) => {
+      this.#error ??= error;
+    });
+  }
+
+  /**
+   * Gets the number of bytes written so far
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#bytesWritten;
+  }
+
+  /**
+   * Writes a chunk, waiting for the stream to drain if its buffer is full
+   * @param {string|Buffer} chunk - The text to write
+   * @throws {Error} If the stream failed
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    if (this.#error) throw this.#error;
+    this.#bytesWritten += Buffer.byteLength(chunk);
+    if (!this.#stream.write(chunk)) {
+      await once(this.#stream, 'drain');
+    }
+  }
+
+  /**
+   * Waits for the chunks written so far to reach the destination of the
+   * stream, such as the output file
+   * @throws {Error} If the stream failed
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    if (this.#error) throw this.#error;
+    // Chunks are written in order, so this one is last
+    await new Promise((resolve, reject) =>
+      this.#stream.write('', (error) => (error ? reject(error) : resolve()))
+    );
+  }
+
+  /**
+   * Flushes the pending output and closes the stream, or only waits for the
+   * stream to drain if it must be left open
+   * @throws {Error} If the stream failed
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.#error) throw this.#error;
+    if (!this.#end) {
+      if (this.#stream.writableNeedDrain) {
+        await once(this.#stream, 'drain');
+      }
+      return;
+    }
+    this.#stream.end();
+    await finished(this.#stream);
+  }
+
+  /**
+   * Discards the pending output and closes the stream
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.#stream.destroy();
+    await finished(this.#stream).catch(() => {});
+  }
+}
+
+/**
+ * Appends every chunk to a file with `fs.appendFile`, which opens, writes and
+ * closes the file on each call. It is much slower than {@link StreamSink} and
+ * is only kept to benchmark against it.
+ *
+ * @class AppendFileSink
+ */
+export class AppendFileSink {
+  #filePath;
+  #created = false;
+  #bytesWritten = 0;
+
+  /**
+   * Creates a new AppendFileSink instance
+   * @param {string} filePath - The file to write to
+   * @param {Object} [options] - Sink options
+   * @param {boolean} [options.append=false] - Whether to append to the file
+   * rather than replace its content
+   */
+  constructor(filePath, { append = false } = {}) {
+    this.#filePath = filePath;
+    this.#created = append;
+  }
+
+  /**
+   * Gets the number of bytes written so far
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#bytesWritten;
+  }
+
+  /**
+   * Appends a chunk to the file, replacing its content on the first call
+   * @param {string|Buffer} chunk - The text to write
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    this.#bytesWritten += Buffer.byteLength(chunk);
+    if (this.#created) {
+      await fs.appendFile(this.#filePath, chunk);
+    } else {
+      await fs.writeFile(this.#filePath, chunk);
+      this.#created = true;
+    }
+  }
+
+  /**
+   * Nothing to wait for, every chunk is already on disk
+   * @returns {Promise<void>}
+   */
+  async sync() {}
+
+  /**
+   * Nothing to flush, every chunk is already on disk
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Nothing to discard, every chunk is already on disk
+   * @returns {Promise<void>}
+   */
+  async abort() {}
+}
+
+/**
+ * Encodes the text written to another sink, starting with the BOM of the
+ * encoding if there is one. Buffers are written as they are, as they are
+ * expected to be encoded already.
+ *
+ * @class EncodingSink
+ * @example
+ * const sink = new EncodingSink(
+ *   new StreamSink(fs.createWriteStream('output.csv')),
+ *   new CsvEncoder('utf-16le', { bom: true })
+ * );
+ */
+export class EncodingSink {
+  #sink;
+  #encoder;
+  #started = false;
+
+  /**
+   * Creates a new EncodingSink instance
+   * @param {StreamSink|AppendFileSink} sink - The sink to write to
+   * @param {import('./csv-encoding.mjs').CsvEncoder} encoder - The encoder of the output
+   * @param {Object} [options] - Sink options
+   * @param {boolean} [options.append=false] - Whether the sink appends to an
+   * output that already starts with the BOM
+   */
+  constructor(sink, encoder, { append = false } = {}) {
+    this.#sink = sink;
+    this.#encoder = encoder;
+    this.#started = append;
+  }
+
+  /**
+   * Gets the number of bytes written so far, once encoded
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#sink.bytesWritten;
+  }
+
+  /**
+   * Encodes and writes a chunk, preceded by the BOM on the first call
+   * @param {string|Buffer} chunk - The text to write
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    if (!this.#started) {
+      this.#started = true;
+      if (this.#encoder.bom.length) {
+        await this.#sink.write(this.#encoder.bom);
+      }
+    }
+    await this.#sink.write(
+      typeof chunk === 'string' ? this.#encoder.encode(chunk) : chunk
+    );
+  }
+
+  /**
+   * Waits for the underlying sink to write the chunks written so far
+   * @returns {Promise<void>}
+   */
+  sync() {
+    return this.#sink.sync();
+  }
+
+  /**
+   * Closes the underlying sink
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.#sink.close();
+  }
+
+  /**
+   * Aborts the underlying sink
+   * @returns {Promise<void>}
+   */
+  abort() {
+    return this.#sink.abort();
+  }
+}
+
+/**
+ * Compresses the chunks written to another sink. Small chunks are gathered
+ * into chunks of 64 KiB before they are compressed, as every chunk costs a
+ * round trip to the zlib thread pool. The compressed chunks are written to
+ * the sink as the compressor gives them, waiting for it to take each one,
+ * so a slow output holds back the writes rather than filling the memory.
+ *
+ * @class CompressionSink
+ * @example
+ * const sink = new CompressionSink(
+ *   new StreamSink(fs.createWriteStream('output.csv.gz')),
+ *   zlib.createGzip()
+ * );
+ */
+export class CompressionSink {
+  #sink;
+  #compressor;
+  #pumping;
+  #writing = false;
+  #onIdle = null;
+  #pending = [];
+  #pendingLength = 0;
+
+  /**
+   * Creates a new CompressionSink instance
+   * @param {StreamSink|AppendFileSink} sink - The sink to write to
+   * @param {import('node:stream').Transform} compressor - The stream
+   * compressing the chunks, such as `zlib.createGzip()`
+   */
+  constructor(sink, compressor) {
+    this.#sink = sink;
+    this.#compressor = compressor;
+    this.#pumping = this.#pump();
+    // Thrown by the next write, sync or close
+    this.#pumping.catch(() => {});
+  }
+
+  /**
+   * Gets the number of bytes written so far, once compressed
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#sink.bytesWritten;
+  }
+
+  /**
+   * Compresses a chunk, once enough of them are gathered, waiting for the
+   * compressor to drain if its buffer is full
+   * @param {string|Buffer} chunk - The text to write
+   * @throws {Error} If the compressor or the sink failed
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    this.#pending.push(bytes);
+    this.#pendingLength += bytes.length;
+    if (this.#pendingLength >= COMPRESSION_CHUNK_SIZE) {
+      await this.#writePending();
+    }
+  }
+
+  /**
+   * Flushes the compressor, so the chunks written so far can be decompressed
+   * from the sink, then waits for the sink to write them
+   * @throws {Error} If the compressor or the sink failed
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    await this.#writePending();
+    await Promise.race([this.#flush(), this.#pumping]);
+    await this.#sink.sync();
+  }
+
+  /**
+   * Ends the compressed data, then closes the sink once all of it is written
+   * @throws {Error} If the compressor or the sink failed
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.#writePending();
+    this.#compressor.end();
+    await this.#pumping;
+    await this.#sink.close();
+  }
+
+  /**
+   * Discards the pending output and aborts the sink
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.#compressor.destroy();
+    await this.#sink.abort();
+  }
+
+  /**
+   * Compresses the chunks gathered so far
+   * @private
+   * @throws {Error} If the compressor or the sink failed
+   * @returns {Promise<void>}
+   */
+  async #writePending() {
+    if (this.#pendingLength === 0) return;
+    const chunk = Buffer.concat(this.#pending, this.#pendingLength);
+    this.#pending = [];
+    this.#pendingLength = 0;
+    if (!this.#compressor.write(chunk)) {
+      // The pump only settles before the end if it failed
+      await Promise.race([once(this.#compressor, 'drain'), this.#pumping]);
+    }
+  }
+
+  /**
+   * Flushes the compressor and waits for the pump to write the flushed chunks
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #flush() {
+    await new Promise((resolve) => this.#compressor.flush(resolve));
+    if (this.#writing || this.#compressor.readableLength > 0) {
+      await new Promise((resolve) => (this.#onIdle = resolve));
+    }
+  }
+
+  /**
+   * Writes the compressed chunks to the sink, telling a pending sync once
+   * they are all written. A failure of the sink destroys the compressor and
+   * rejects the pumping, which the pending writes and syncs wait for.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #pump() {
+    for await (const chunk of this.#compressor) {
+      this.#writing = true;
+      await this.#sink.write(chunk);
+      this.#writing = false;
+      if (this.#compressor.readableLength === 0) {
+        this.#onIdle?.();
+        this.#onIdle = null;
+      }
+    }
+  }
+}
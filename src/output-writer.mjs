@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Streams processed records to an output sink in a format
+ * @module OutputWriter
+ */
+
+/**
+ * Writes processed records to a sink in an {@link OutputFormat}, waiting for
+ * the sink whenever it applies backpressure. Records can be batched, so
+ * several of them reach the sink with a single write.
+ *
+ * A writer created with the `fragment` option writes records only, each one
+ * preceded by the delimiter of the format. Fragments written by worker
+ * threads are appended in order to the writer of the whole output with
+ * {@link OutputWriter#appendFragment}.
+ *
+ * @class OutputWriter
+ * @example
+ * const writer = new OutputWriter(sink, new NdjsonFormat({ dialect }));
+ * await writer.open();
+ * await writer.write({ name: 'JOHN', email: 'john@example.com', age: 25 });
+ * await writer.close();
+ */
+export class OutputWriter {
+  #sink;
+  #format;
+  #batchSize;
+  #fragment;
+  #append;
+  #batch = '';
+  #batchLength = 0;
+  #recordsWritten = 0;
+
+  /**
+   * Creates a new OutputWriter instance
+   * @param {import('./output-sink.mjs').StreamSink|import('./output-sink.mjs').AppendFileSink|import('./output-sink.mjs').EncodingSink} sink -
+   * Where to write the output
+   * @param {import('./output-format.mjs').OutputFormat} format - How to write the records
+   * @param {Object} [options] - Writer options
+   * @param {number} [options.batchSize=1] - Number of records written at once
+   * @param {boolean} [options.fragment=false] - Write the records only, without
+   * header or footer, as a fragment of a larger output
+   * @param {boolean} [options.append=false] - Append to an output whose
+   * header and first records were already written, such as a resumed one
+   * @param {number} [options.recordsWritten=0] - Number of records the output
+   * already has, when appending to it
+   */
+  constructor(
+    sink,
+    format,
+    { batchSize = 1, fragment = false, append = false, recordsWritten = 0 } = {}
+  ) {
+    this.#sink = sink;
+    this.#format = format;
+    this.#batchSize = batchSize;
+    this.#fragment = fragment;
+    this.#append = append;
+    this.#recordsWritten = recordsWritten;
+  }
+
+  /**
+   * Gets the number of bytes written so far
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#sink.bytesWritten;
+  }
+
+  /**
+   * Gets the number of records written so far, batched ones included
+   * @readonly
+   * @type {number}
+   */
+  get recordsWritten() {
+    return this.#recordsWritten;
+  }
+
+  /**
+   * Writes the header of the format, unless appending to an output
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const header = this.#format.header();
+    if (header && !this.#fragment && !this.#append) {
+      await this.#sink.write(header);
+    }
+  }
+
+  /**
+   * Writes a record, or adds it to the current batch
+   * @param {Object} record - The processed record
+   * @returns {Promise<void>}
+   */
+  async write(record) {
+    if (this.#recordsWritten > 0 || this.#fragment) {
+      this.#batch += this.#format.delimiter;
+    }
+    this.#batch += this.#format.format(record);
+    this.#recordsWritten++;
+    if (++this.#batchLength >= this.#batchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Appends a fragment written by another writer of the same format. The
+   * delimiter a fragment starts with is dropped when it holds the first
+   * records of the output.
+   * @param {AsyncIterable<Buffer>} chunks - The encoded fragment
+   * @param {number} records - The number of records in the fragment
+   * @param {number} delimiterLength - The encoded length of the delimiter
+   * @returns {Promise<void>}
+   */
+  async appendFragment(chunks, records, delimiterLength) {
+    await this.flush();
+    let skip = this.#recordsWritten === 0 ? delimiterLength : 0;
+    for await (let chunk of chunks) {
+      if (skip > 0) {
+        const skipped = Math.min(skip, chunk.length);
+        chunk = chunk.subarray(skipped);
+        skip -= skipped;
+      }
+      if (chunk.length > 0) {
+        await this.#sink.write(chunk);
+      }
+    }
+    this.#recordsWritten += records;
+  }
+
+  /**
+   * Writes the current batch
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.#batchLength > 0) {
+      const batch = this.#batch;
+      this.#batch = '';
+      this.#batchLength = 0;
+      await this.#sink.write(batch);
+    }
+  }
+
+  /**
+   * Writes the current batch and waits for the sink to write everything so
+   * far, so the output holds every record written
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    await this.flush();
+    await this.#sink.sync();
+  }
+
+  /**
+   * Writes the current batch and the footer of the format, and closes the sink
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    const footer = this.#fragment ? '' : this.#format.footer();
+    if (footer) {
+      await this.#sink.write(footer);
+    }
+    await this.#sink.close();
+  }
+
+  /**
+   * Discards the pending output and aborts the sink
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.#batch = '';
+    this.#batchLength = 0;
+    await this.#sink.abort();
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Throttled progress reports of a run
+ * @module Progress
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {number} bytesRead - Bytes of the input read so far
+ * @property {number|null} totalBytes - Size of the input, or null if it is
+ * not known, as for streams
+ * @property {number|null} percent - Share of the input read, from 0 to 100,
+ * or null without a size
+ * @property {number} processed - Number of valid records so far
+ * @property {number} skipped - Number of rejected records so far
+ * @property {number} rowsPerSecond - Records handled per second since the
+ * start
+ * @property {number|null} etaMs - Estimated time left, in milliseconds, at
+ * the current read rate, or null without a size
+ */
+
+/**
+ * Turns the statistics of a run into progress reports, at most one every
+ * `interval` milliseconds, so reporting costs next to nothing however many
+ * records there are.
+ *
+ * @class Progress
+ * @example
+ * const progress = new Progress({ interval: 500 }).start(size);
+ * for await (const record of records) {
+ *   // ...
+ *   const event = progress.poll(stats);
+ *   if (event) console.log(`${event.percent.toFixed(1)}%`);
+ * }
+ */
+export class Progress {
+  #interval;
+  #totalBytes = null;
+  #reportedAt = 0;
+
+  /**
+   * Creates a new Progress instance
+   * @param {Object} [options] - Progress options
+   * @param {number} [options.interval=1000] - Minimum time between two
+   * reports, in milliseconds
+   * @throws {RangeError} If the interval is negative
+   */
+  constructor({ interval = 1000 } = {}) {
+    if (!(interval >= 0)) {
+      throw new RangeError('progress interval must be a non-negative number');
+    }
+    this.#interval = interval;
+  }
+
+  /**
+   * Starts reporting the progress of a new run
+   * @param {number|null} [totalBytes=null] - Size of the input, if known
+   * @returns {Progress} This instance
+   */
+  start(totalBytes = null) {
+    this.#totalBytes = totalBytes;
+    this.#reportedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * Gets a report if the interval elapsed since the last one
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @returns {ProgressEvent|null} - The report, or null if it is too early
+   */
+  poll(stats) {
+    const now = Date.now();
+    if (now - this.#reportedAt < this.#interval) {
+      return null;
+    }
+    this.#reportedAt = now;
+    return this.report(stats);
+  }
+
+  /**
+   * Gets a report now, such as the last one of a run
+   * @param {import('./stats.mjs').Stats} stats - The statistics of the run
+   * @returns {ProgressEvent}
+   */
+  report(stats) {
+    const { bytesRead, durationMs } = stats;
+    const total = this.#totalBytes;
+    const bytesPerMs = durationMs > 0 ? bytesRead / durationMs : 0;
+    let percent = null;
+    if (total !== null) {
+      percent = total > 0 ? Math.min((bytesRead / total) * 100, 100) : 100;
+    }
+    return {
+      bytesRead,
+      totalBytes: total,
+      percent,
+      processed: stats.processed,
+      skipped: stats.skipped,
+      rowsPerSecond: stats.rowsPerSecond,
+      etaMs:
+        total === null || bytesPerMs === 0
+          ? null
+          : Math.max(total - bytesRead, 0) / bytesPerMs,
+    };
+  }
+}
@@ -4,6 +4,7 @@ import { pipeline } from 'node:stream/promises';
 import fs from 'node:fs';
 import path from 'node:path';
 import { EOL } from 'node:os';
+import { Compression } from './compression.mjs';
 
 /**
  * Class for generating fake user data and writing it to a CSV file.
@@ -27,16 +28,24 @@ export class RandomCsvGenerator {
   }
 
   /**
-   * Generates a CSV file with fake records.
+   * Generates a CSV file with fake records, compressed as it is written if
+   * requested.
    * @param {bigint} limit
    * @param {string} outputPath
    * @param {Function} [generateRecord=RandomCsvGenerator.generateFakeUser]
+   * @param {Object} [options]
+   * @param {{info: (message: string) => void}} [options.logger] - Where to
+   * report the progress (default: none)
+   * @param {import('./compression.mjs').CompressionName|'none'} [options.compression] -
+   * Compression of the file (default: inferred from its extension, `.gz`,
+   * `.br`, `.deflate` or `.zz`)
    * @returns {Promise<void>}
    */
   static async generate(
     limit,
     outputPath,
-    generateRecord = RandomCsvGenerator.generateFakeUser
+    generateRecord = RandomCsvGenerator.generateFakeUser,
+    { logger, compression = Compression.fromPath(outputPath) } = {}
   ) {
     if (typeof limit !== 'bigint' || limit <= 0n) {
       throw new Error(`Invalid amount of records given (${limit})`);
@@ -49,25 +58,23 @@ export class RandomCsvGenerator {
       // File doesn't exist, which is fine
     }
 
+    compression = Compression.resolve(compression, false);
     const startTime = Date.now();
 
-    try {
-      await pipeline(
-        Readable.from(RandomCsvGenerator.#iterateTo(limit)),
-        RandomCsvGenerator.#generateRecords(limit, generateRecord),
-        fs.createWriteStream(outputPath)
-      );
+    await pipeline(
+      Readable.from(RandomCsvGenerator.#iterateTo(limit)),
+      RandomCsvGenerator.#generateRecords(limit, generateRecord, logger),
+      ...(compression ? [Compression.createCompressor(compression)] : []),
+      fs.createWriteStream(outputPath)
+    );
 
-      // Log completion
-      console.log(
+    if (logger) {
+      logger.info(
         `Generated ${RandomCsvGenerator.numberWithThousandSeparator(limit)} records for huge CSV in ${(Date.now() - startTime) / 1000} seconds.`
       );
       const { size: fileSizeInBytes } = await fs.promises.stat(outputPath);
       const fileSizeInGB = (fileSizeInBytes / 1024 ** 3).toFixed(2);
-      console.log(`CSV file generated at ${outputPath} (${fileSizeInGB} GB)`);
-    } catch (error) {
-      console.error(`Error generating CSV file: ${error.toString()}`);
-      throw error;
+      logger.info(`CSV file generated at ${outputPath} (${fileSizeInGB} GB)`);
     }
   }
 
@@ -80,7 +87,9 @@ export class RandomCsvGenerator {
     const [_node, _module, rawLimit, filePath] = process.argv;
     const limit = BigInt(rawLimit.replaceAll('_', ''));
     const outputPath = path.resolve(filePath);
-    await RandomCsvGenerator.generate(limit, outputPath);
+    await RandomCsvGenerator.generate(limit, outputPath, undefined, {
+      logger: console,
+    });
   }
 
   /**
@@ -105,14 +114,15 @@ export class RandomCsvGenerator {
   }
 
   /**
-   * Logs progress to the console.
+   * Logs progress to the logger.
+   * @param {{info: (message: string) => void}} logger
    * @param {number} index
    * @param {number} logBatch
    * @param {number} startLoop
    * @private
    */
-  static #logProgress(index, logBatch, startLoop) {
-    console.log(
+  static #logProgress(logger, index, logBatch, startLoop) {
+    logger.info(
       `Created ${RandomCsvGenerator.numberWithThousandSeparator(
         index
       )} records for huge CSV. (${RandomCsvGenerator.numberWithThousandSeparator(
@@ -125,10 +135,11 @@ export class RandomCsvGenerator {
    * Generates records as a CSV stream.
    * @param {bigint} limit
    * @param {() => object} generateRecord
+   * @param {{info: (message: string) => void}} [logger]
    * @returns {AsyncGenerator<Buffer>}
    * @private
    */
-  static #generateRecords(limit, generateRecord) {
+  static #generateRecords(limit, generateRecord, logger) {
     const self = this;
     /**
      * Generates a stream of CSV records.
@@ -143,8 +154,8 @@ export class RandomCsvGenerator {
         if (index === 1) {
           yield Buffer.from(Object.keys(generateRecord()).join(',') + EOL);
         }
-        if (index % logBatch === 0) {
-          self.#logProgress(index, logBatch, startTime);
+        if (logger && index % logBatch === 0) {
+          self.#logProgress(logger, index, logBatch, startTime);
           startTime = Date.now();
         }
         yield Buffer.from(Object.values(generateRecord()).join(',') + EOL);
@@ -152,14 +163,3 @@ export class RandomCsvGenerator {
     };
   }
 }
-
-if (import.meta.url === `file://${process.argv[1]}`) {
-  try {
-    await RandomCsvGenerator.run();
-  } catch (e) {
-    console.error(`Error: ${e.toString()}`);
-    console.error('Error generating csv file.');
-    console.error(`Usage: node generate-input.mjs <limit> <filePath>`);
-    process.exit(1);
-  }
-}
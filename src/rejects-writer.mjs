@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Sidecar output for the rows rejected by the parser
+ * @module RejectsWriter
+ */
+
+import { EOL } from 'node:os';
+import { CsvTokenizer } from './csv-tokenizer.mjs';
+
+/**
+ * @typedef {'csv'|'ndjson'} RejectsFormat
+ */
+
+/**
+ * Writes every rejected row with its 1-based line number, a machine-readable
+ * reason code and the field that caused the rejection, so data providers can
+ * be told exactly what was wrong.
+ *
+ * @class RejectsWriter
+ * @example
+ * // CSV
+ * // line,reason,field,raw
+ * // 3,INVALID_EMAIL,email,"jane,invalid-email,30"
+ *
+ * // NDJSON
+ * // {"line":3,"reason":"INVALID_EMAIL","field":"email","raw":"jane,invalid-email,30"}
+ */
+export class RejectsWriter {
+  #sink;
+  #format;
+  #lineTerminator;
+  #tokenizer = new CsvTokenizer();
+
+  /**
+   * Creates a new RejectsWriter instance
+   * @param {import('./output-sink.mjs').StreamSink} sink - Where to write the rejected rows
+   * @param {RejectsFormat} [format='csv'] - Output format
+   * @param {Object} [options] - Writer options
+   * @param {string} [options.lineTerminator] - Line terminator written after
+   * every row (default: the one of the operating system)
+   * @throws {TypeError} If the format is not supported
+   */
+  constructor(sink, format = 'csv', { lineTerminator = EOL } = {}) {
+    if (format !== 'csv' && format !== 'ndjson') {
+      throw new TypeError(`unsupported rejects format "${format}"`);
+    }
+    this.#sink = sink;
+    this.#format = format;
+    this.#lineTerminator = lineTerminator;
+  }
+
+  /**
+   * Gets the number of bytes written so far
+   * @readonly
+   * @type {number}
+   */
+  get bytesWritten() {
+    return this.#sink.bytesWritten;
+  }
+
+  /**
+   * Infers the format of a rejects file from its extension
+   * @param {string} filePath - The path to the rejects file
+   * @returns {RejectsFormat} - `ndjson` for `.ndjson` and `.jsonl` files, `csv` otherwise
+   */
+  static formatFromPath(filePath) {
+    return /\.(ndjson|jsonl)$/i.test(filePath) ? 'ndjson' : 'csv';
+  }
+
+  /**
+   * Writes the header row, if the format has one
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.#format === 'csv') {
+      await this.#sink.write(
+        this.#tokenizer.format(['line', 'reason', 'field', 'raw']) +
+          this.#lineTerminator
+      );
+    }
+  }
+
+  /**
+   * Writes a rejected row
+   * @param {import('./csv-record-reader.mjs').CsvRecord} record - The rejected record
+   * @param {string} reason - The reason code
+   * @param {string} [field] - The field that caused the rejection, if any
+   * @returns {Promise<void>}
+   */
+  async write({ text, line }, reason, field = null) {
+    const row =
+      this.#format === 'csv'
+        ? this.#tokenizer.format([line, reason, field ?? '', text])
+        : JSON.stringify({ line, reason, field, raw: text });
+    await this.#sink.write(row + this.#lineTerminator);
+  }
+
+  /**
+   * Appends rows already formatted by another writer with the same format,
+   * such as the one of a worker thread
+   * @param {string|Buffer} rows - The formatted rows
+   * @returns {Promise<void>}
+   */
+  append(rows) {
+    return this.#sink.write(rows);
+  }
+
+  /**
+   * Waits for the rows written so far to reach the output
+   * @returns {Promise<void>}
+   */
+  sync() {
+    return this.#sink.sync();
+  }
+
+  /**
+   * Flushes the pending rows and closes the output
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.#sink.close();
+  }
+
+  /**
+   * Discards the pending rows and closes the output
+   * @returns {Promise<void>}
+   */
+  abort() {
+    return this.#sink.abort();
+  }
+}
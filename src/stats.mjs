@@ -7,6 +7,9 @@
  * Represents processing statistics for CSV file operations.
  * Tracks the number of successfully processed records and skipped records,
  * providing a total count and methods for statistical analysis.
+ * Skipped records are also broken down by reason code and by field, along
+ * with the duplicates dropped, the empty lines ignored, the bytes read and
+ * written and the time the run took.
  *
  * @class Stats
  * @example
@@ -53,16 +56,234 @@ export class Stats {
      * @type {number}
      */
     this.skipped = skipped;
+
+    /**
+     * Number of skipped records per reason code
+     * @type {Object<string, number>}
+     */
+    this.skippedByReason = {};
+
+    /**
+     * Number of skipped records per field that caused the rejection
+     * @type {Object<string, number>}
+     */
+    this.skippedByField = {};
+
+    /**
+     * Number of valid records dropped as duplicates of another one
+     * @type {number}
+     */
+    this.duplicates = 0;
+
+    /**
+     * Number of empty lines ignored
+     * @type {number}
+     */
+    this.emptyLines = 0;
+
+    /**
+     * Number of bytes read from the input
+     * @type {number}
+     */
+    this.bytesRead = 0;
+
+    /**
+     * Number of bytes written to the output
+     * @type {number}
+     */
+    this.bytesWritten = 0;
+
+    /**
+     * When the processing started, or null if it has not started
+     * @type {Date|null}
+     */
+    this.startedAt = null;
+
+    /**
+     * When the processing ended, or null if it has not ended
+     * @type {Date|null}
+     */
+    this.endedAt = null;
   }
 
   /**
-   * Gets the total number of records (processed + skipped)
+   * Gets the total number of records (processed + skipped + duplicates)
    *
    * @readonly
    * @type {number}
-   * @returns {number} The sum of processed and skipped records
+   * @returns {number} The sum of processed, skipped and duplicate records
    */
   get total() {
-    return this.processed + this.skipped;
+    return this.processed + this.skipped + this.duplicates;
+  }
+
+  /**
+   * Gets the time the processing took, up to now if it has not ended
+   *
+   * @readonly
+   * @type {number}
+   * @returns {number} The duration in milliseconds, or 0 if it has not started
+   */
+  get durationMs() {
+    if (!this.startedAt) return 0;
+    return (this.endedAt ?? new Date()) - this.startedAt;
+  }
+
+  /**
+   * Gets the number of records (processed + skipped + duplicates) handled
+   * per second
+   *
+   * @readonly
+   * @type {number}
+   * @returns {number} The throughput, or 0 if no time has elapsed
+   */
+  get rowsPerSecond() {
+    const durationMs = this.durationMs;
+    return durationMs > 0 ? (this.total * 1000) / durationMs : 0;
+  }
+
+  /**
+   * Marks the start of the processing
+   *
+   * @returns {Stats} This instance
+   */
+  start() {
+    this.startedAt = new Date();
+    this.endedAt = null;
+    return this;
+  }
+
+  /**
+   * Marks the end of the processing
+   *
+   * @returns {Stats} This instance
+   */
+  end() {
+    this.endedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Records a skipped record
+   *
+   * @param {string} reason - Reason code of the rejection
+   * @param {string} [field] - Field that caused the rejection, if any
+   * @returns {Stats} This instance
+   *
+   * @example
+   * stats.skip('INVALID_EMAIL', 'email');
+   * console.log(stats.skippedByReason); // { INVALID_EMAIL: 1 }
+   */
+  skip(reason, field) {
+    this.skipped++;
+    this.skippedByReason[reason] = (this.skippedByReason[reason] ?? 0) + 1;
+    if (field) {
+      this.skippedByField[field] = (this.skippedByField[field] ?? 0) + 1;
+    }
+    return this;
+  }
+
+  /**
+   * Adds the counts of other statistics to this instance. The merged run
+   * starts at the earliest start and ends at the latest end.
+   *
+   * @param {...Stats} others - The statistics to add
+   * @returns {Stats} This instance
+   *
+   * @example
+   * // Combine the statistics of two partial runs
+   * const stats = new Stats().merge(firstHalf, secondHalf);
+   */
+  merge(...others) {
+    for (const other of others) {
+      this.processed += other.processed;
+      this.skipped += other.skipped;
+      this.duplicates += other.duplicates;
+      this.emptyLines += other.emptyLines;
+      this.bytesRead += other.bytesRead;
+      this.bytesWritten += other.bytesWritten;
+      this.#mergeCounts(this.skippedByReason, other.skippedByReason);
+      this.#mergeCounts(this.skippedByField, other.skippedByField);
+      this.startedAt = this.#pickDate(
+        this.startedAt,
+        other.startedAt,
+        Math.min
+      );
+      this.endedAt = this.#pickDate(this.endedAt, other.endedAt, Math.max);
+    }
+    return this;
+  }
+
+  /**
+   * Gets a plain object with all the statistics, used by `JSON.stringify`
+   *
+   * @returns {Object} The statistics, with dates as ISO strings
+   */
+  toJSON() {
+    return {
+      processed: this.processed,
+      skipped: this.skipped,
+      total: this.total,
+      skippedByReason: { ...this.skippedByReason },
+      skippedByField: { ...this.skippedByField },
+      duplicates: this.duplicates,
+      emptyLines: this.emptyLines,
+      bytesRead: this.bytesRead,
+      bytesWritten: this.bytesWritten,
+      startedAt: this.startedAt?.toISOString() ?? null,
+      endedAt: this.endedAt?.toISOString() ?? null,
+      durationMs: this.durationMs,
+      rowsPerSecond: this.rowsPerSecond,
+    };
+  }
+
+  /**
+   * Creates a Stats instance from the object returned by {@link Stats#toJSON},
+   * for instance after it was sent by a worker thread
+   *
+   * @param {Object} json - The statistics, with dates as ISO strings
+   * @returns {Stats} The new instance
+   *
+   * @example
+   * const stats = Stats.fromJSON(JSON.parse(JSON.stringify(other)));
+   */
+  static fromJSON(json) {
+    const stats = new Stats(json.processed, json.skipped);
+    stats.skippedByReason = { ...json.skippedByReason };
+    stats.skippedByField = { ...json.skippedByField };
+    stats.duplicates = json.duplicates;
+    stats.emptyLines = json.emptyLines;
+    stats.bytesRead = json.bytesRead;
+    stats.bytesWritten = json.bytesWritten;
+    stats.startedAt = json.startedAt && new Date(json.startedAt);
+    stats.endedAt = json.endedAt && new Date(json.endedAt);
+    return stats;
+  }
+
+  /**
+   * Adds the counts of a breakdown to another one
+   *
+   * @private
+   * @param {Object<string, number>} target - The breakdown to update
+   * @param {Object<string, number>} source - The breakdown to add
+   */
+  #mergeCounts(target, source) {
+    for (const [key, count] of Object.entries(source)) {
+      target[key] = (target[key] ?? 0) + count;
+    }
+  }
+
+  /**
+   * Picks one of two optional dates
+   *
+   * @private
+   * @param {Date|null} a - The first date
+   * @param {Date|null} b - The second date
+   * @param {(a: number, b: number) => number} pick - Math.min or Math.max
+   * @returns {Date|null} The picked date, or the one that is set
+   */
+  #pickDate(a, b, pick) {
+    if (!a || !b) return a ?? b;
+    return new Date(pick(a.getTime(), b.getTime()));
   }
 }
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Built-in validators for the columns of a schema
+ * @module Validators
+ */
+
+/**
+ * @typedef {import('./csv-schema.mjs').Validator} Validator
+ */
+
+/**
+ * A built-in validator given by name in a schema, with its options, such as
+ * `{ name: 'integer', min: 0, max: 150 }`. Unlike functions, named
+ * validators can be declared in JSON schemas and sent to worker threads.
+ * @typedef {{name: ValidatorName} & Object} ValidatorDefinition
+ */
+
+/**
+ * @typedef {'email'|'integer'|'decimal'|'isoDate'|'phone'|'uuid'|'url'|'matches'|'oneOf'} ValidatorName
+ */
+
+// Dot-atom local part of RFC 5322, without quoted strings or comments
+const EMAIL_LOCAL = /^[\w!#$%&'*+/=?^`{|}~-]+(\.[\w!#$%&'*+/=?^`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+const INTEGER = /^[+-]?\d+$/;
+const DECIMAL = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const ISO_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(T(\d{2}):(\d{2})(:(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const PHONE = /^\+?[\d\s().-]+$/;
+const UUID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-([0-9a-f])[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Checks that a value is in a range
+ * @param {number} value - The value
+ * @param {number} [min] - The minimum value
+ * @param {number} [max] - The maximum value
+ * @returns {boolean}
+ */
+const inRange = (value, min, max) =>
+  !(min !== undefined && value < min) && !(max !== undefined && value > max);
+
+/**
+ * Validates an email address: a dot-atom local part of up to 64 characters
+ * and a domain of at least two labels, with a top-level domain of letters
+ * @param {Object} [options] - Validator options
+ * @param {number} [options.maxLength=254] - Maximum length of the address
+ * @param {string} [options.reason='INVALID_EMAIL'] - Reason code on failure
+ * @returns {Validator}
+ * @example
+ * new CsvSchema([{ name: 'email', validate: email({ maxLength: 100 }) }]);
+ */
+export function email({ maxLength = 254, reason = 'INVALID_EMAIL' } = {}) {
+  return (value) => {
+    const address = String(value);
+    const at = address.lastIndexOf('@');
+    if (at < 1 || address.length > maxLength) return reason;
+
+    const local = address.slice(0, at);
+    const labels = address.slice(at + 1).split('.');
+    const valid =
+      local.length <= 64 &&
+      EMAIL_LOCAL.test(local) &&
+      labels.length >= 2 &&
+      labels.every((label) => label.length <= 63 && DOMAIN_LABEL.test(label)) &&
+      /^[a-z]{2,}$/i.test(labels.at(-1));
+    return valid || reason;
+  };
+}
+
+/**
+ * Validates an integer, written without decimals nor exponent, in a range
+ * @param {Object} [options] - Validator options
+ * @param {number} [options.min] - Minimum value
+ * @param {number} [options.max] - Maximum value
+ * @param {string} [options.reason='INVALID_INTEGER'] - Reason code when the
+ * value is not an integer
+ * @param {string} [options.rangeReason='OUT_OF_RANGE'] - Reason code when it
+ * is out of range
+ * @returns {Validator}
+ * @example
+ * new CsvSchema([{ name: 'age', validate: integer({ min: 0, max: 150 }) }]);
+ */
+export function integer({
+  min,
+  max,
+  reason = 'INVALID_INTEGER',
+  rangeReason = 'OUT_OF_RANGE',
+} = {}) {
+  return (value) => {
+    if (
+      typeof value === 'number'
+        ? !Number.isInteger(value)
+        : !INTEGER.test(value)
+    ) {
+      return reason;
+    }
+    return inRange(Number(value), min, max) || rangeReason;
+  };
+}
+
+/**
+ * Validates a decimal number, written without exponent, in a range
+ * @param {Object} [options] - Validator options
+ * @param {number} [options.min] - Minimum value
+ * @param {number} [options.max] - Maximum value
+ * @param {number} [options.scale] - Maximum number of decimal places
+ * @param {string} [options.reason='INVALID_DECIMAL'] - Reason code when the
+ * value is not a decimal number
+ * @param {string} [options.rangeReason='OUT_OF_RANGE'] - Reason code when it
+ * is out of range
+ * @returns {Validator}
+ * @example
+ * new CsvSchema([{ name: 'price', validate: decimal({ min: 0, scale: 2 }) }]);
+ */
+export function decimal({
+  min,
+  max,
+  scale,
+  reason = 'INVALID_DECIMAL',
+  rangeReason = 'OUT_OF_RANGE',
+} = {}) {
+  return (value) => {
+    const text = String(value);
+    if (
+      typeof value === 'number' ? !Number.isFinite(value) : !DECIMAL.test(text)
+    ) {
+      return reason;
+    }
+    const decimals = text.split('.')[1]?.length ?? 0;
+    if (scale !== undefined && decimals > scale) return reason;
+    return inRange(Number(value), min, max) || rangeReason;
+  };
+}
+
+/**
+ * Validates an ISO 8601 date (`2024-01-31`), or date and time
+ * (`2024-01-31T10:00:00Z`), that exists in the calendar. Values of `date`
+ * columns, already parsed, only have to be valid dates.
+ * @param {Object} [options] - Validator options
+ * @param {boolean} [options.time] - Whether a time is required (`true`) or
+ * forbidden (`false`); either is accepted by default
+ * @param {string} [options.reason='INVALID_DATE'] - Reason code on failure
+ * @returns {Validator}
+ */
+export function isoDate({ time, reason = 'INVALID_DATE' } = {}) {
+  return (value) => {
+    if (value instanceof Date) {
+      return !Number.isNaN(value.getTime()) || reason;
+    }
+    const match = ISO_DATE.exec(value);
+    if (!match || (time !== undefined && Boolean(match[4]) !== time)) {
+      return reason;
+    }
+
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const valid =
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day &&
+      (!match[4] || (Number(match[5]) < 24 && Number(match[6]) < 60)) &&
+      (!match[8] || Number(match[8]) < 60);
+    return valid || reason;
+  };
+}
+
+/**
+ * Validates a phone number: digits with optional spaces, dots, dashes and
+ * parentheses, and an optional leading `+`, with 7 to 15 digits (E.164)
+ * @param {Object} [options] - Validator options
+ * @param {string} [options.reason='INVALID_PHONE'] - Reason code on failure
+ * @returns {Validator}
+ */
+export function phone({ reason = 'INVALID_PHONE' } = {}) {
+  return (value) => {
+    const text = String(value);
+    const digits = text.replace(/\D/g, '').length;
+    return (PHONE.test(text) && digits >= 7 && digits <= 15) || reason;
+  };
+}
+
+/**
+ * Validates a UUID, such as `3f2b8c1e-4d5a-4b6c-8d7e-9f0a1b2c3d4e`
+ * @param {Object} [options] - Validator options
+ * @param {number} [options.version] - The only version accepted, such as 4
+ * @param {string} [options.reason='INVALID_UUID'] - Reason code on failure
+ * @returns {Validator}
+ */
+export function uuid({ version, reason = 'INVALID_UUID' } = {}) {
+  return (value) => {
+    const match = UUID.exec(value);
+    return (
+      (match !== null &&
+        (version === undefined || match[1] === String(version))) ||
+      reason
+    );
+  };
+}
+
+/**
+ * Validates an absolute URL
+ * @param {Object} [options] - Validator options
+ * @param {string[]} [options.protocols=['http', 'https']] - The protocols
+ * accepted, without colon
+ * @param {string} [options.reason='INVALID_URL'] - Reason code on failure
+ * @returns {Validator}
+ */
+export function url({
+  protocols = ['http', 'https'],
+  reason = 'INVALID_URL',
+} = {}) {
+  return (value) => {
+    try {
+      const { protocol, host } = new URL(value);
+      return (
+        (protocols.includes(protocol.slice(0, -1)) && host !== '') || reason
+      );
+    } catch {
+      return reason;
+    }
+  };
+}
+
+/**
+ * Validates a value against a regular expression
+ * @param {Object} options - Validator options
+ * @param {string|RegExp} options.pattern - The pattern the value must match
+ * @param {string} [options.reason='INVALID_FORMAT'] - Reason code on failure
+ * @returns {Validator}
+ * @example
+ * matches({ pattern: /^[A-Z]{2}-\d{4}$/, reason: 'INVALID_SKU' });
+ */
+export function matches({ pattern, reason = 'INVALID_FORMAT' }) {
+  // Without the g and y flags, test() does not resume from the last match
+  const regex = new RegExp(
+    pattern.source ?? pattern,
+    (pattern.flags ?? '').replace(/[gy]/g, '')
+  );
+  return (value) => regex.test(String(value)) || reason;
+}
+
+/**
+ * Validates that a value is one of a list
+ * @param {Object} options - Validator options
+ * @param {Array<string|number>} options.values - The values accepted
+ * @param {boolean} [options.ignoreCase=false] - Whether strings are compared
+ * regardless of case
+ * @param {string} [options.reason='INVALID_VALUE'] - Reason code on failure
+ * @returns {Validator}
+ */
+export function oneOf({
+  values,
+  ignoreCase = false,
+  reason = 'INVALID_VALUE',
+}) {
+  const normalize = (value) =>
+    ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+  const accepted = new Set(values.map(normalize));
+  return (value) => accepted.has(normalize(value)) || reason;
+}
+
+/**
+ * The built-in validators, by name
+ * @type {Record<ValidatorName, (options?: Object) => Validator>}
+ */
+export const VALIDATORS = {
+  email,
+  integer,
+  decimal,
+  isoDate,
+  phone,
+  uuid,
+  url,
+  matches,
+  oneOf,
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Fixed-size pool of worker threads running queued tasks
+ * @module WorkerPool
+ */
+
+import { availableParallelism } from 'node:os';
+import { Worker } from 'node:worker_threads';
+
+/**
+ * Runs tasks on a fixed number of worker threads, started on demand. Every
+ * task is posted to an idle worker, which must reply with a single
+ * `{ result }` or `{ error }` message. A worker that fails or exits during a
+ * task rejects it, and is replaced for the next tasks.
+ *
+ * @class WorkerPool
+ * @example
+ * const pool = new WorkerPool(new URL('./csv-worker.mjs', import.meta.url));
+ * const results = await Promise.all(tasks.map((task) => pool.run(task)));
+ * await pool.close();
+ */
+export class WorkerPool {
+  #filename;
+  #size;
+  #workerData;
+  #workers = new Set();
+  #idle = [];
+  #queue = [];
+  #jobs = new Map();
+
+  /**
+   * Creates a new WorkerPool instance
+   * @param {string|URL} filename - The worker script
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.size] - Number of workers (default: the
+   * available parallelism)
+   * @param {*} [options.workerData] - Data passed to every worker
+   * @throws {RangeError} If the size is not a positive integer
+   */
+  constructor(filename, { size = availableParallelism(), workerData } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new RangeError('the pool size must be a positive integer');
+    }
+    this.#filename = filename;
+    this.#size = size;
+    this.#workerData = workerData;
+  }
+
+  /**
+   * Queues a task and waits for its result
+   * @param {*} task - The task posted to the worker
+   * @returns {Promise<*>} - The result sent back by the worker
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.#queue.push({ task, resolve, reject });
+      this.#next();
+    });
+  }
+
+  /**
+   * Stops all the workers
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const workers = [...this.#workers];
+    this.#workers.clear();
+    this.#idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  /**
+   * Posts the next queued task to an idle or new worker, if any
+   * @private
+   */
+  #next() {
+    if (this.#queue.length === 0) return;
+    const worker =
+      this.#idle.pop() ??
+      (this.#workers.size < this.#size ? this.#spawn() : null);
+    if (!worker) return;
+
+    const job = this.#queue.shift();
+    this.#jobs.set(worker, job);
+    worker.postMessage(job.task);
+  }
+
+  /**
+   * Starts a worker that settles its current job when it replies, fails or
+   * exits
+   * @private
+   * @returns {Worker}
+   */
+  #spawn() {
+    const worker = new Worker(this.#filename, {
+      workerData: this.#workerData,
+    });
+    this.#workers.add(worker);
+
+    worker.on('message', ({ result, error }) => {
+      const job = this.#jobs.get(worker);
+      this.#jobs.delete(worker);
+      this.#idle.push(worker);
+      if (error) job.reject(error);
+      else job.resolve(result);
+      this.#next();
+    });
+    worker.on('error', (error) => {
+      this.#workers.delete(worker);
+      this.#jobs.get(worker)?.reject(error);
+      this.#jobs.delete(worker);
+      this.#next();
+    });
+    // A worker may also exit without an error event, such as on
+    // process.exit() or when it runs out of memory
+    worker.on('exit', (code) => {
+      this.#workers.delete(worker);
+      this.#idle = this.#idle.filter((idle) => idle !== worker);
+      this.#jobs
+        .get(worker)
+        ?.reject(new Error(`worker exited with code ${code} during a task`));
+      this.#jobs.delete(worker);
+      this.#next();
+    });
+    return worker;
+  }
+}
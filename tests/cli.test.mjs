@@ -0,0 +1,504 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+import { EventEmitter } from 'node:events';
+import { Readable, Writable } from 'node:stream';
+import { Cli } from '../src/cli.mjs';
+
+describe('Cli', () => {
+  const testInputFile = 'test-cli-input.csv';
+  const testOutputFile = 'test-cli-output.csv';
+  const testRejectsFile = 'test-cli-rejects.ndjson';
+  const testSchemaFile = 'test-cli-schema.json';
+
+  afterEach(() => {
+    [testInputFile, testOutputFile, testRejectsFile, testSchemaFile].forEach(
+      (file) => {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      }
+    );
+  });
+
+  function createCli(stdinContent = '', signals = new EventEmitter()) {
+    const output = { stdout: '', stderr: '' };
+    const collect = (name) =>
+      new Writable({
+        write(chunk, _encoding, callback) {
+          output[name] += chunk;
+          callback();
+        },
+      });
+    const cli = new Cli({
+      stdin: Readable.from([Buffer.from(stdinContent)]),
+      stdout: collect('stdout'),
+      stderr: collect('stderr'),
+      signals,
+    });
+    return { cli, output };
+  }
+
+  const csvContent = `name,email,age
+john doe,john@example.com,25
+jane smith,invalid-email,30`;
+
+  test('should process files and print the stats as text', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    const { cli, output } = createCli();
+
+    const code = await cli.run([
+      '--mode',
+      'concurrent',
+      '--rejects',
+      testRejectsFile,
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/),
+      ['name,email,age', 'JOHN DOE,john@example.com,25']
+    );
+    assert.match(output.stdout, /Processed: +1\n/);
+    assert.match(output.stdout, /Skipped: +1\n {2}INVALID_EMAIL: 1\n/);
+    assert.strictEqual(
+      JSON.parse(fs.readFileSync(testRejectsFile, 'utf-8')).reason,
+      'INVALID_EMAIL'
+    );
+  });
+
+  test('should read from stdin and write to stdout with "-"', async () => {
+    const { cli, output } = createCli(csvContent);
+
+    const code = await cli.run(['--stats', 'json', '-']);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(output.stdout.split(/\r?\n/), [
+      'name,email,age',
+      'JOHN DOE,john@example.com,25',
+    ]);
+    const stats = JSON.parse(output.stderr);
+    assert.strictEqual(stats.processed, 1);
+    assert.strictEqual(stats.skipped, 1);
+  });
+
+  test('should use the delimiter and schema given', async () => {
+    fs.writeFileSync(testInputFile, 'sku\tprice\nab-1\t9.5\nab-2\tfree');
+    fs.writeFileSync(
+      testSchemaFile,
+      JSON.stringify({
+        columns: [
+          { name: 'sku', required: true, transform: 'uppercase' },
+          { name: 'price', type: 'float', required: true },
+        ],
+      })
+    );
+    const { cli, output } = createCli();
+
+    const code = await cli.run([
+      '-d',
+      'tab',
+      '-s',
+      testSchemaFile,
+      '--stats',
+      'json',
+      testInputFile,
+      '-',
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(output.stdout.split(/\r?\n/), [
+      'sku\tprice',
+      'AB-1\t9.5',
+    ]);
+    assert.deepStrictEqual(JSON.parse(output.stderr).skippedByReason, {
+      INVALID_TYPE: 1,
+    });
+  });
+
+  test('should use the quote, escape and line terminator given', async () => {
+    fs.writeFileSync(
+      testInputFile,
+      "name,email,age\r\n'doe, \\'jo\\'',jo@example.com,25\r\n"
+    );
+    const { cli } = createCli();
+
+    const code = await cli.run([
+      '-q',
+      "'",
+      '-e',
+      '\\',
+      '--eol',
+      'crlf',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      "name,email,age\r\n'DOE, \\'JO\\'',jo@example.com,25"
+    );
+  });
+
+  test('should detect the dialect with --sniff and read without header', async () => {
+    fs.writeFileSync(
+      testInputFile,
+      'name\temail\tage\njohn doe\tjohn@example.com\t25\n'
+    );
+    const { cli } = createCli();
+
+    assert.strictEqual(
+      await cli.run(['--sniff', '--eol', 'lf', testInputFile, testOutputFile]),
+      0
+    );
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      'name\temail\tage\nJOHN DOE\tjohn@example.com\t25'
+    );
+
+    const { cli: stdinCli, output } = createCli('jane,jane@example.com,30\n');
+    assert.strictEqual(
+      await stdinCli.run([
+        '--no-header',
+        '--eol',
+        'lf',
+        '--stats',
+        'json',
+        '-',
+      ]),
+      0
+    );
+    assert.ok(
+      output.stdout.startsWith('name,email,age\nJANE,jane@example.com,30')
+    );
+  });
+
+  test('should use the input and output encodings given', async () => {
+    fs.writeFileSync(
+      testInputFile,
+      Buffer.from('name,email,age\nzoë,zoe@example.com,25', 'latin1')
+    );
+    const { cli } = createCli();
+
+    const code = await cli.run([
+      '--encoding',
+      'auto',
+      '--output-encoding',
+      'utf-8',
+      '--bom',
+      '--eol',
+      'lf',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      '\ufeffname,email,age\nZOË,zoe@example.com,25'
+    );
+  });
+
+  test('should decompress the input and compress the output', async () => {
+    const { cli } = createCli(zlib.gzipSync(csvContent));
+
+    const code = await cli.run([
+      '--output-compression',
+      'brotli',
+      '--eol',
+      'lf',
+      '-',
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(
+      zlib.brotliDecompressSync(fs.readFileSync(testOutputFile)).toString(),
+      'name,email,age\nJOHN DOE,john@example.com,25'
+    );
+  });
+
+  test('should map the headers with --alias and --column-indexes', async () => {
+    fs.writeFileSync(testInputFile, 'Nom,Courriel,Age\njo,jo@example.com,25');
+    const { cli } = createCli();
+
+    assert.strictEqual(
+      await cli.run([
+        '--alias',
+        'name=Nom',
+        '--alias',
+        'email=Courriel',
+        '--eol',
+        'lf',
+        testInputFile,
+        testOutputFile,
+      ]),
+      0
+    );
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      'name,email,age\nJO,jo@example.com,25'
+    );
+
+    const { cli: indexesCli, output } = createCli('25,jo,jo@example.com\n');
+    assert.strictEqual(
+      await indexesCli.run([
+        '--no-header',
+        '--column-indexes',
+        'age=0,name=1,email=2',
+        '--eol',
+        'lf',
+        '-',
+      ]),
+      0
+    );
+    assert.ok(output.stdout.startsWith('name,email,age\nJO,jo@example.com,25'));
+
+    const { cli: invalidCli, output: invalidOutput } = createCli();
+    assert.strictEqual(
+      await invalidCli.run(['--column-indexes', 'age', 'input.csv']),
+      1
+    );
+    assert.match(invalidOutput.stderr, /invalid --column-indexes "age"/);
+  });
+
+  test('should write the output format given with --format', async () => {
+    const { cli, output } = createCli(csvContent);
+
+    assert.strictEqual(await cli.run(['--format', 'ndjson', '-']), 0);
+    assert.deepStrictEqual(
+      output.stdout
+        .trim()
+        .split(/\r?\n/)
+        .map((line) => JSON.parse(line)),
+      [{ name: 'JOHN DOE', email: 'john@example.com', age: 25 }]
+    );
+
+    const { cli: invalidCli, output: invalidOutput } = createCli();
+    assert.strictEqual(
+      await invalidCli.run(['--format', 'xml', testInputFile]),
+      1
+    );
+    assert.match(invalidOutput.stderr, /unsupported output format "xml"/);
+  });
+
+  test('should output the columns given with --passthrough, --output-columns and --rename', async () => {
+    const { cli, output } = createCli(
+      'id,name,email,age\n7,jo,jo@example.com,25\n'
+    );
+
+    const code = await cli.run([
+      '--passthrough',
+      '--output-columns',
+      'id,name',
+      '--rename',
+      'name=full_name',
+      '--eol',
+      'lf',
+      '-',
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(output.stdout, 'id,full_name\n7,JO');
+
+    const { cli: invalidCli, output: invalidOutput } = createCli();
+    assert.strictEqual(
+      await invalidCli.run(['--rename', 'name', 'input.csv']),
+      1
+    );
+    assert.match(invalidOutput.stderr, /invalid --rename "name"/);
+  });
+
+  test('should drop the duplicates with --dedup and --keep', async () => {
+    fs.writeFileSync(
+      testInputFile,
+      `${csvContent}\njohnny,John@Example.com,26\n`
+    );
+    const { cli, output } = createCli();
+
+    const code = await cli.run([
+      '--dedup',
+      'email',
+      '--keep',
+      'last',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/),
+      ['name,email,age', 'JOHNNY,John@Example.com,26']
+    );
+    assert.match(output.stdout, /Duplicates: +1\n/);
+
+    const { cli: keepCli, output: keepOutput } = createCli();
+    assert.strictEqual(await keepCli.run(['--keep', 'last', 'input.csv']), 1);
+    assert.match(keepOutput.stderr, /--keep needs --dedup/);
+  });
+
+  test('should save checkpoints and resume with --checkpoint and --resume', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    const { cli } = createCli();
+
+    const code = await cli.run([
+      '--checkpoint',
+      '--resume',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/),
+      ['name,email,age', 'JOHN DOE,john@example.com,25']
+    );
+    assert.strictEqual(fs.existsSync(`${testOutputFile}.checkpoint`), false);
+  });
+
+  test('should show a live progress line with --progress', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    const { cli, output } = createCli();
+
+    const code = await cli.run(['--progress', testInputFile, testOutputFile]);
+
+    assert.strictEqual(code, 0);
+    // The line is rewritten in place, and cleared past its end
+    assert.ok(
+      output.stderr.startsWith('\r100.0% of 0.0 MB: 1 processed, 1 skipped (')
+    );
+    assert.ok(output.stderr.endsWith(' rows/sec, 0s left)\x1b[K\n'));
+  });
+
+  test('should stop cleanly with exit code 130 on SIGINT', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    const signals = new EventEmitter();
+    const { cli, output } = createCli('', signals);
+
+    const running = cli.run([testInputFile, testOutputFile]);
+    signals.emit('SIGINT');
+
+    assert.strictEqual(await running, 130);
+    assert.match(output.stderr, /Error: the processing was aborted/);
+    // With the stats of the records processed until then
+    assert.match(output.stdout, /Processed: +1\n/);
+    assert.strictEqual(fs.existsSync(testOutputFile), false);
+    assert.strictEqual(signals.listenerCount('SIGINT'), 0);
+  });
+
+  test('should apply the --if-exists policy to an existing output', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    fs.writeFileSync(testOutputFile, 'previous output');
+    const { cli, output } = createCli();
+
+    const code = await cli.run([
+      '--if-exists',
+      'fail',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 1);
+    assert.match(output.stderr, /already exists/);
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      'previous output'
+    );
+
+    const { cli: policyCli, output: policyOutput } = createCli();
+    assert.strictEqual(
+      await policyCli.run(['--if-exists', 'keep', 'input.csv']),
+      1
+    );
+    assert.match(policyOutput.stderr, /unknown --if-exists policy "keep"/);
+  });
+
+  test('should process files on worker threads in parallel mode', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+    const { cli, output } = createCli();
+
+    const code = await cli.run([
+      '--mode',
+      'parallel',
+      '--workers',
+      '2',
+      '--stats',
+      'json',
+      testInputFile,
+      testOutputFile,
+    ]);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/),
+      ['name,email,age', 'JOHN DOE,john@example.com,25']
+    );
+    assert.strictEqual(JSON.parse(output.stdout).skipped, 1);
+  });
+
+  test('should exit with code 2 when --max-errors is exceeded', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+
+    const { cli: countCli } = createCli();
+    assert.strictEqual(
+      await countCli.run(['--max-errors', '1', testInputFile, testOutputFile]),
+      0
+    );
+    const previous = fs.readFileSync(testOutputFile, 'utf-8');
+
+    const { cli: percentCli, output } = createCli();
+    assert.strictEqual(
+      await percentCli.run([
+        '--max-errors',
+        '25%',
+        testInputFile,
+        testOutputFile,
+      ]),
+      2
+    );
+    assert.match(output.stderr, /exceed --max-errors 25%/);
+    assert.match(output.stderr, /line 3: INVALID_EMAIL \(email\)/);
+    assert.match(output.stdout, /Skipped: +1/);
+    // The failed run leaves the output as it was
+    assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), previous);
+  });
+
+  test('should exit with code 2 on --fail-fast and --strict', async () => {
+    fs.writeFileSync(testInputFile, csvContent);
+
+    const { cli: failFastCli, output } = createCli();
+    assert.strictEqual(
+      await failFastCli.run(['--fail-fast', testInputFile, testOutputFile]),
+      2
+    );
+    assert.match(output.stderr, /invalid row at line 3: INVALID_EMAIL/);
+
+    const { cli: strictCli } = createCli();
+    assert.strictEqual(
+      await strictCli.run(['--strict', testInputFile, testOutputFile]),
+      0
+    );
+  });
+
+  test('should exit with code 1 on invalid arguments or errors', async () => {
+    const { cli: argsCli, output: argsOutput } = createCli();
+    assert.strictEqual(await argsCli.run(['--mode', 'fast', 'input.csv']), 1);
+    assert.match(argsOutput.stderr, /unknown mode "fast"/);
+
+    const { cli: workersCli, output: workersOutput } = createCli();
+    assert.strictEqual(await workersCli.run(['-w', '0', 'input.csv']), 1);
+    assert.match(workersOutput.stderr, /invalid --workers "0"/);
+
+    const { cli: eolCli, output: eolOutput } = createCli();
+    assert.strictEqual(await eolCli.run(['--eol', 'nl', 'input.csv']), 1);
+    assert.match(eolOutput.stderr, /unknown line terminator "nl"/);
+
+    const { cli: missingCli, output: missingOutput } = createCli();
+    assert.strictEqual(await missingCli.run(['missing-input.csv', '-']), 1);
+    assert.match(missingOutput.stderr, /ENOENT/);
+  });
+});
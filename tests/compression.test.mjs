@@ -0,0 +1,129 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'node:zlib';
+import { Writable } from 'node:stream';
+import { Compression } from '../src/compression.mjs';
+import { CompressionSink, StreamSink } from '../src/output-sink.mjs';
+
+describe('Compression', () => {
+  const text = 'name,email,age\nzoë,zoe@example.com,25\n';
+
+  test('should infer the compression from the file extension', () => {
+    assert.strictEqual(Compression.fromPath('users.csv.gz'), 'gzip');
+    assert.strictEqual(Compression.fromPath('users.GZIP'), 'gzip');
+    assert.strictEqual(Compression.fromPath('out/users.csv.br'), 'brotli');
+    assert.strictEqual(Compression.fromPath('users.deflate'), 'deflate');
+    assert.strictEqual(Compression.fromPath('users.zz'), 'deflate');
+    assert.strictEqual(Compression.fromPath('users.csv'), null);
+    assert.strictEqual(Compression.fromPath('gz'), null);
+  });
+
+  test('should strip the compression extension', () => {
+    assert.strictEqual(
+      Compression.stripExtension('out/users.csv.gz'),
+      'out/users.csv'
+    );
+    assert.strictEqual(Compression.stripExtension('users.csv'), 'users.csv');
+  });
+
+  test('should detect gzip and deflate from their magic bytes', () => {
+    assert.strictEqual(Compression.detect(zlib.gzipSync(text)), 'gzip');
+    for (const level of [1, 6, 9]) {
+      assert.strictEqual(
+        Compression.detect(zlib.deflateSync(text, { level })),
+        'deflate'
+      );
+    }
+    assert.strictEqual(Compression.detect(zlib.brotliCompressSync(text)), null);
+    assert.strictEqual(Compression.detect(Buffer.from(text)), null);
+    assert.strictEqual(Compression.detect(Buffer.from('x,y\n1,2')), null);
+    assert.strictEqual(Compression.detect(Buffer.from([0x1f])), null);
+  });
+
+  test('should resolve the compression options', () => {
+    assert.strictEqual(Compression.resolve('gzip', false), 'gzip');
+    assert.strictEqual(Compression.resolve('none', false), null);
+    assert.strictEqual(Compression.resolve(null, false), null);
+    assert.strictEqual(Compression.resolve('auto', true), 'auto');
+    assert.throws(() => Compression.resolve('auto', false), TypeError);
+    assert.throws(() => Compression.resolve('zip', true), {
+      name: 'TypeError',
+      message:
+        'unsupported compression "zip", expected auto, gzip, brotli, deflate, none',
+    });
+  });
+
+  test('should decompress what it compresses', async () => {
+    for (const compression of ['gzip', 'brotli', 'deflate']) {
+      const compressor = Compression.createCompressor(compression);
+      const decompressor = Compression.createDecompressor(compression);
+      compressor.pipe(decompressor);
+      compressor.end(text);
+
+      const chunks = [];
+      for await (const chunk of decompressor) chunks.push(chunk);
+      assert.strictEqual(Buffer.concat(chunks).toString(), text, compression);
+    }
+  });
+});
+
+describe('CompressionSink', () => {
+  function collect() {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, _encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+    return { stream, chunks };
+  }
+
+  test('should write the compressed chunks to the sink', async () => {
+    const { stream, chunks } = collect();
+    const sink = new CompressionSink(new StreamSink(stream), zlib.createGzip());
+
+    await sink.write('name,email,age');
+    await sink.write(Buffer.from('\nzoë,zoe@example.com,25'));
+    await sink.close();
+
+    const output = Buffer.concat(chunks);
+    assert.strictEqual(sink.bytesWritten, output.length);
+    assert.strictEqual(
+      zlib.gunzipSync(output).toString(),
+      'name,email,age\nzoë,zoe@example.com,25'
+    );
+  });
+
+  test('should write what can be decompressed so far on sync', async () => {
+    const { stream, chunks } = collect();
+    const sink = new CompressionSink(new StreamSink(stream), zlib.createGzip());
+
+    await sink.write('name,email,age');
+    await sink.sync();
+
+    // The gzip trailer is still missing
+    const output = zlib.gunzipSync(Buffer.concat(chunks), {
+      finishFlush: zlib.constants.Z_SYNC_FLUSH,
+    });
+    assert.strictEqual(output.toString(), 'name,email,age');
+    await sink.close();
+  });
+
+  test('should fail the writes once the sink failed', async () => {
+    const stream = new Writable({
+      write(_chunk, _encoding, callback) {
+        callback(new Error('disk full'));
+      },
+    });
+    const sink = new CompressionSink(new StreamSink(stream), zlib.createGzip());
+
+    await assert.rejects(async () => {
+      for (let i = 0; i < 1000; i++) {
+        await sink.write('x'.repeat(64 * 1024));
+        await sink.sync();
+      }
+    }, /disk full/);
+    await sink.abort();
+  });
+});
@@ -0,0 +1,86 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import { CsvCheckpoint } from '../src/csv-checkpoint.mjs';
+
+describe('CsvCheckpoint', () => {
+  const testCheckpointFile = 'test-checkpoint.json';
+  const input = { size: 1000, mtimeMs: 1700000000000 };
+  const state = {
+    inputOffset: 512,
+    line: 20,
+    outputOffset: 480,
+    rejectsOffset: 0,
+    stats: { processed: 18, skipped: 1 },
+  };
+
+  afterEach(() => {
+    fs.rmSync(testCheckpointFile, { force: true });
+  });
+
+  test('should save and load the last checkpoint', async () => {
+    const checkpoint = new CsvCheckpoint(testCheckpointFile);
+
+    await checkpoint.save(input, state);
+    await checkpoint.save(input, { ...state, line: 40 });
+
+    assert.deepStrictEqual(await checkpoint.load(input), {
+      ...state,
+      line: 40,
+    });
+    assert.strictEqual(fs.existsSync(`${testCheckpointFile}.tmp`), false);
+  });
+
+  test('should sync the checkpoint, then the directory', async () => {
+    const checkpoint = new CsvCheckpoint(testCheckpointFile);
+
+    const open = mock.method(fsPromises, 'open');
+    try {
+      await checkpoint.save(input, state);
+    } finally {
+      open.mock.restore();
+    }
+    assert.deepStrictEqual(
+      open.mock.calls.map((call) => call.arguments[0]),
+      [`${testCheckpointFile}.tmp`, '.']
+    );
+  });
+
+  test('should load nothing without a checkpoint, or once removed', async () => {
+    const checkpoint = new CsvCheckpoint(testCheckpointFile);
+    assert.strictEqual(await checkpoint.load(input), null);
+
+    await checkpoint.save(input, state);
+    await checkpoint.remove();
+    await checkpoint.remove();
+    assert.strictEqual(await checkpoint.load(input), null);
+  });
+
+  test('should not load the checkpoint of another input', async () => {
+    const checkpoint = new CsvCheckpoint(testCheckpointFile);
+    await checkpoint.save(input, state);
+
+    await assert.rejects(checkpoint.load({ ...input, size: 2000 }), {
+      message: `the input changed since the checkpoint ${testCheckpointFile} was saved`,
+    });
+  });
+
+  test('should reject checkpoints of another version', async () => {
+    fs.writeFileSync(testCheckpointFile, JSON.stringify({ version: 0 }));
+
+    await assert.rejects(new CsvCheckpoint(testCheckpointFile).load(input), {
+      message: `unsupported checkpoint version 0 in ${testCheckpointFile}`,
+    });
+  });
+
+  test('should need a positive interval', () => {
+    assert.strictEqual(new CsvCheckpoint(testCheckpointFile).interval, 100_000);
+    assert.throws(
+      () => new CsvCheckpoint(testCheckpointFile, { interval: 0 }),
+      {
+        name: 'RangeError',
+      }
+    );
+  });
+});
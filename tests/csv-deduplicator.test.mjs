@@ -0,0 +1,156 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { BloomFilter, CsvDeduplicator } from '../src/csv-deduplicator.mjs';
+
+describe('CsvDeduplicator', () => {
+  test('should keep the first record of every email by default', () => {
+    const dedup = new CsvDeduplicator();
+
+    assert.strictEqual(
+      dedup.isDuplicate({ email: 'john@example.com' }, 2),
+      false
+    );
+    assert.strictEqual(
+      dedup.isDuplicate({ email: 'jane@example.com' }, 3),
+      false
+    );
+    assert.strictEqual(
+      dedup.isDuplicate({ email: ' John@Example.COM ' }, 4),
+      true
+    );
+  });
+
+  test('should compare records on several keys', () => {
+    const dedup = new CsvDeduplicator({ keys: ['name', 'age'] });
+
+    assert.strictEqual(dedup.isDuplicate({ name: 'JOHN', age: 25 }, 2), false);
+    assert.strictEqual(dedup.isDuplicate({ name: 'JOHN', age: 26 }, 3), false);
+    assert.strictEqual(dedup.isDuplicate({ name: 'john', age: 25 }, 4), true);
+  });
+
+  test('should not mistake keys whose values join alike', () => {
+    const dedup = new CsvDeduplicator({ keys: ['a', 'b'] });
+
+    assert.strictEqual(dedup.isDuplicate({ a: 'x,y', b: 'z' }, 2), false);
+    assert.strictEqual(dedup.isDuplicate({ a: 'x', b: 'y,z' }, 3), false);
+  });
+
+  test('should keep the last record of every key after a scan', () => {
+    const dedup = new CsvDeduplicator({ keep: 'last' });
+    const records = [
+      [{ email: 'john@example.com' }, 2],
+      [{ email: 'jane@example.com' }, 3],
+      [{ email: 'JOHN@example.com' }, 4],
+      [{ email: 'john@example.com' }, 5],
+    ];
+    for (const [record, line] of records) dedup.scan(record, line);
+
+    assert.deepStrictEqual(
+      records.map(([record, line]) => dedup.isDuplicate(record, line)),
+      [true, false, true, false]
+    );
+  });
+
+  test('should move the keys to a Bloom filter past maxKeys', () => {
+    const dedup = new CsvDeduplicator({ maxKeys: 2, capacity: 100 });
+
+    dedup.isDuplicate({ email: 'a@example.com' }, 2);
+    dedup.isDuplicate({ email: 'b@example.com' }, 3);
+    assert.strictEqual(dedup.probabilistic, false);
+    dedup.isDuplicate({ email: 'c@example.com' }, 4);
+    assert.strictEqual(dedup.probabilistic, true);
+
+    assert.strictEqual(dedup.isDuplicate({ email: 'a@example.com' }, 5), true);
+    assert.strictEqual(dedup.isDuplicate({ email: 'c@example.com' }, 6), true);
+    assert.strictEqual(dedup.isDuplicate({ email: 'd@example.com' }, 7), false);
+  });
+
+  test('should keep the last records exactly with a Bloom filter', () => {
+    const dedup = new CsvDeduplicator({
+      keep: 'last',
+      maxKeys: 30,
+      capacity: 10,
+      falsePositiveRate: 0.5,
+    });
+    const records = Array.from({ length: 50 }, (_, i) => [
+      { email: `user${i % 40}@example.com` },
+      i + 2,
+    ]);
+    for (const [record, line] of records) dedup.scan(record, line);
+    assert.strictEqual(dedup.probabilistic, true);
+
+    const kept = records.filter(
+      ([record, line]) => !dedup.isDuplicate(record, line)
+    );
+    assert.strictEqual(kept.length, 40);
+  });
+
+  test('should fail the scan past maxKeys repeated keys', () => {
+    const dedup = new CsvDeduplicator({ keep: 'last', maxKeys: 2 });
+    const scan = (email, line) => dedup.scan({ email }, line);
+    scan('a@example.com', 2);
+    scan('b@example.com', 3);
+    scan('a@example.com', 4);
+    scan('b@example.com', 5);
+    scan('a@example.com', 6); // Repeated again, still two keys
+    scan('c@example.com', 7);
+
+    assert.throws(() => scan('c@example.com', 8), {
+      name: 'RangeError',
+      message:
+        'more than 2 keys are repeated, raise maxKeys to keep the last records',
+    });
+  });
+
+  test('should forget the keys when cleared', () => {
+    const dedup = new CsvDeduplicator();
+    dedup.isDuplicate({ email: 'john@example.com' }, 2);
+    dedup.clear();
+
+    assert.strictEqual(
+      dedup.isDuplicate({ email: 'john@example.com' }, 2),
+      false
+    );
+  });
+
+  test('should reject invalid options', () => {
+    assert.throws(() => new CsvDeduplicator({ keys: [] }), {
+      name: 'TypeError',
+      message: 'dedup needs at least one key column',
+    });
+    assert.throws(() => new CsvDeduplicator({ keep: 'any' }), {
+      name: 'TypeError',
+      message: 'unknown keep policy "any", expected first, last',
+    });
+    assert.throws(() => new CsvDeduplicator({ falsePositiveRate: 0 }), {
+      name: 'RangeError',
+    });
+  });
+});
+
+describe('BloomFilter', () => {
+  test('should find every string added', () => {
+    const filter = new BloomFilter(1000, 0.01);
+    for (let i = 0; i < 1000; i++) filter.add(`user${i}@example.com`);
+
+    for (let i = 0; i < 1000; i++) {
+      assert.strictEqual(filter.has(`user${i}@example.com`), true);
+    }
+  });
+
+  test('should keep false positives near the rate it was sized for', () => {
+    const filter = new BloomFilter(10_000, 0.01);
+    for (let i = 0; i < 10_000; i++) filter.add(`user${i}@example.com`);
+
+    let falsePositives = 0;
+    for (let i = 0; i < 10_000; i++) {
+      if (filter.has(`other${i}@example.org`)) falsePositives++;
+    }
+    assert.ok(falsePositives < 200, `${falsePositives} false positives`);
+  });
+
+  test('should be sized from the capacity and rate', () => {
+    // 1.44 log2(1 / 0.001) ≈ 14.4 bits per string
+    assert.strictEqual(new BloomFilter(1_000_000, 0.001).byteLength, 1_797_199);
+  });
+});
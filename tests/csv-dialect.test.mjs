@@ -0,0 +1,38 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { EOL } from 'node:os';
+import { CsvDialect } from '../src/csv-dialect.mjs';
+
+describe('CsvDialect', () => {
+  test('should default to RFC 4180 with the OS line terminator', () => {
+    assert.deepStrictEqual(
+      { ...new CsvDialect() },
+      {
+        delimiter: ',',
+        quote: '"',
+        escape: '"',
+        lineTerminator: 'auto',
+        outputLineTerminator: EOL,
+      }
+    );
+  });
+
+  test('should default the escape character to the quote', () => {
+    assert.strictEqual(new CsvDialect({ quote: "'" }).escape, "'");
+  });
+
+  test('should reject invalid options', () => {
+    const cases = [
+      { delimiter: '' },
+      { quote: '""' },
+      { escape: '' },
+      { delimiter: '\n' },
+      { delimiter: '";' },
+      { lineTerminator: '\n\n' },
+      { outputLineTerminator: 'auto' },
+    ];
+    for (const options of cases) {
+      assert.throws(() => new CsvDialect(options), { name: 'TypeError' });
+    }
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvDecoder, CsvEncoder } from '../src/csv-encoding.mjs';
+
+describe('CsvDecoder', () => {
+  const utf16be = (text) => Buffer.from(text, 'utf16le').swap16();
+
+  function decode(chunks, encoding, options) {
+    const decoder = new CsvDecoder(encoding, options);
+    return chunks.map((chunk) => decoder.write(chunk)).join('') + decoder.end();
+  }
+
+  test('should detect the encoding from the BOM', () => {
+    assert.strictEqual(
+      CsvDecoder.detect(Buffer.from('\ufeffa,b', 'utf8')),
+      'utf-8'
+    );
+    assert.strictEqual(
+      CsvDecoder.detect(Buffer.from('\ufeffa,b', 'utf16le')),
+      'utf-16le'
+    );
+    assert.strictEqual(CsvDecoder.detect(utf16be('\ufeffa,b')), 'utf-16be');
+  });
+
+  test('should detect the encoding without BOM', () => {
+    assert.strictEqual(
+      CsvDecoder.detect(Buffer.from('name,age\nzoë,25', 'utf16le')),
+      'utf-16le'
+    );
+    assert.strictEqual(
+      CsvDecoder.detect(utf16be('name,age\nzoë,25')),
+      'utf-16be'
+    );
+    assert.strictEqual(CsvDecoder.detect(Buffer.from('zoë,€')), 'utf-8');
+    assert.strictEqual(
+      CsvDecoder.detect(Buffer.from([0x7a, 0x6f, 0xeb, 0x2c, 0x80])),
+      'windows-1252'
+    );
+  });
+
+  test('should drop the BOM, even split across chunks', () => {
+    const bytes = Buffer.from('\ufeffname,age', 'utf8');
+
+    assert.strictEqual(
+      decode([bytes.subarray(0, 2), bytes.subarray(2)]),
+      'name,age'
+    );
+    assert.strictEqual(decode(['\ufeffname,age']), 'name,age');
+    assert.strictEqual(
+      decode([bytes], 'utf-8', { stripBom: false }),
+      '\ufeffname,age'
+    );
+  });
+
+  test('should only drop the BOM at the start of the input', () => {
+    assert.strictEqual(decode(['a', '\ufeffb']), 'a\ufeffb');
+  });
+
+  test('should decode UTF-16 split in the middle of a character', () => {
+    const bytes = Buffer.from('\ufeffzoë,25', 'utf16le');
+
+    assert.strictEqual(
+      decode([bytes.subarray(0, 5), bytes.subarray(5)], 'utf-16le'),
+      'zoë,25'
+    );
+    assert.strictEqual(decode([utf16be('zoë,25')], 'utf-16be'), 'zoë,25');
+  });
+
+  test('should tell latin1 from windows-1252', () => {
+    const bytes = Buffer.from([0x80, 0xe9]);
+
+    assert.strictEqual(decode([bytes], 'latin1'), '\x80é');
+    assert.strictEqual(decode([bytes], 'windows-1252'), '€é');
+    assert.strictEqual(decode([Buffer.from([0x81, 0x9f])], 'cp1252'), '\x81Ÿ');
+  });
+
+  test('should detect the encoding across small chunks', () => {
+    const content = 'name,age\nzoë,25\n'.repeat(300);
+    const bytes = Buffer.from(`\ufeff${content}`, 'utf16le');
+    const chunks = [];
+    for (let start = 0; start < bytes.length; start += 7) {
+      chunks.push(bytes.subarray(start, start + 7));
+    }
+    const decoder = new CsvDecoder('auto');
+
+    const text = chunks.map((chunk) => decoder.write(chunk)).join('');
+
+    assert.strictEqual(decoder.encoding, 'utf-16le');
+    assert.strictEqual(text + decoder.end(), content);
+  });
+
+  test('should accept aliases and reject unsupported encodings', () => {
+    assert.strictEqual(new CsvDecoder('UTF8').encoding, 'utf-8');
+    assert.strictEqual(new CsvDecoder('cp1252').encoding, 'windows-1252');
+    assert.throws(() => new CsvDecoder('ebcdic'), TypeError);
+    assert.throws(() => new CsvEncoder('auto'), TypeError);
+  });
+});
+
+describe('CsvEncoder', () => {
+  test('should encode UTF-8 and UTF-16 with an optional BOM', () => {
+    assert.deepStrictEqual(new CsvEncoder().encode('zoë'), Buffer.from('zoë'));
+    assert.deepStrictEqual(new CsvEncoder().bom, Buffer.alloc(0));
+    assert.deepStrictEqual(
+      new CsvEncoder('utf-8', { bom: true }).bom,
+      Buffer.from([0xef, 0xbb, 0xbf])
+    );
+
+    const utf16be = new CsvEncoder('utf-16be', { bom: true });
+    assert.deepStrictEqual(utf16be.bom, Buffer.from([0xfe, 0xff]));
+    assert.deepStrictEqual(utf16be.encode('a'), Buffer.from([0x00, 0x61]));
+    assert.deepStrictEqual(
+      new CsvEncoder('utf-16le').encode('a'),
+      Buffer.from([0x61, 0x00])
+    );
+  });
+
+  test('should encode single-byte encodings, replacing unknown characters', () => {
+    assert.deepStrictEqual(
+      new CsvEncoder('windows-1252').encode('€é𝄞'),
+      Buffer.from([0x80, 0xe9, 0x3f])
+    );
+    assert.deepStrictEqual(
+      new CsvEncoder('latin1').encode('€é'),
+      Buffer.from([0x3f, 0xe9])
+    );
+    assert.deepStrictEqual(
+      new CsvEncoder('latin1', { bom: true }).bom,
+      Buffer.alloc(0)
+    );
+  });
+
+  test('should tell the encoded length of text', () => {
+    for (const encoding of ['utf-8', 'utf-16le', 'utf-16be', 'latin1']) {
+      const encoder = new CsvEncoder(encoding);
+      assert.strictEqual(
+        encoder.byteLength('zoë, 𝄞'),
+        encoder.encode('zoë, 𝄞').length,
+        encoding
+      );
+    }
+  });
+});
@@ -1,4 +1,4 @@
-import { RandomCsvGenerator } from './generate-input.mjs';
+import { RandomCsvGenerator } from '../src/random-csv-generator.mjs';
 import { CsvParser } from '../src/csv-parser.mjs';
 import assert from 'node:assert';
 import { afterEach, describe, test } from 'node:test';
@@ -7,9 +7,13 @@ import fs from 'node:fs/promises';
 describe('CSV Parser Performance tests', () => {
   const largeInputFile = 'large-input.csv';
   const largeOutputFile = 'large-output.csv';
+  const largeCompressedInputFile = 'large-input.csv.gz';
+  const largeCompressedOutputFile = 'large-output.csv.gz';
   afterEach(async () => {
     await fs.unlink(largeInputFile).catch(() => {});
     await fs.unlink(largeOutputFile).catch(() => {});
+    await fs.unlink(largeCompressedInputFile).catch(() => {});
+    await fs.unlink(largeCompressedOutputFile).catch(() => {});
   });
 
   describe('Memory Usage', () => {
@@ -54,5 +58,38 @@ describe('CSV Parser Performance tests', () => {
         `Memory usage (${memoryUsed.toFixed(2)} MB) should be less than 50 MB`
       );
     });
+
+    test('should decompress and compress a large file without loading it all into memory', async (t) => {
+      t.timeout = 60000;
+
+      const lineCount = 1_000_000n;
+
+      await RandomCsvGenerator.generate(lineCount, largeCompressedInputFile);
+
+      const initialMemory = process.memoryUsage().heapUsed;
+      const start = Date.now();
+
+      const stats = await new CsvParser(
+        largeCompressedInputFile,
+        largeCompressedOutputFile
+      ).processUsersAsStream();
+
+      console.log(
+        `Compressed CSV parsed with ${RandomCsvGenerator.numberWithThousandSeparator(lineCount)} records in ${(Date.now() - start) / 1000} seconds.`
+      );
+
+      const finalMemory = process.memoryUsage().heapUsed;
+      const memoryUsed = (finalMemory - initialMemory) / 1024 / 1024; // MB
+      console.log(`Memory usage: ${memoryUsed.toFixed(2)} MB`);
+
+      assert.strictEqual(BigInt(stats.total), lineCount);
+      const { size } = await fs.stat(largeCompressedInputFile);
+      assert.strictEqual(stats.bytesRead, size);
+
+      assert.ok(
+        memoryUsed < 50,
+        `Memory usage (${memoryUsed.toFixed(2)} MB) should be less than 50 MB`
+      );
+    });
   });
 });
@@ -1,11 +1,35 @@
 import { afterEach, beforeEach, describe, test } from 'node:test';
 import assert from 'node:assert';
 import fs from 'node:fs';
+import { EOL } from 'node:os';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import zlib, { createGunzip, createGzip } from 'node:zlib';
 import { CsvParser } from '../src/csv-parser.mjs';
+import { OutputFormat } from '../src/output-format.mjs';
+import {
+  AbortError,
+  CsvFieldError,
+  CsvSyntaxError,
+  CsvValidationError,
+} from '../src/errors.mjs';
 
 describe('CsvParser', () => {
   const testInputFile = 'test-input.csv';
   const testOutputFile = 'test-output.csv';
+  const testRejectsFile = 'test-rejects.csv';
+  const testRejectsNdjsonFile = 'test-rejects.ndjson';
+  const testCheckpointFile = `${testOutputFile}.checkpoint`;
+  const testOutputFiles = {
+    tsv: 'test-output.tsv',
+    ndjson: 'test-output.ndjson',
+    json: 'test-output.json',
+  };
+  const testCompressedFiles = {
+    gzip: 'test-input.csv.gz',
+    brotli: 'test-input.csv.br',
+    output: 'test-output.ndjson.gz',
+  };
 
   // Clean up test files before and after each test
   beforeEach(() => {
@@ -17,11 +41,25 @@ describe('CsvParser', () => {
   });
 
   function cleanupTestFiles() {
-    [testInputFile, testOutputFile].forEach((file) => {
+    [
+      testInputFile,
+      testOutputFile,
+      testRejectsFile,
+      testRejectsNdjsonFile,
+      testCheckpointFile,
+      ...Object.values(testOutputFiles),
+      ...Object.values(testCompressedFiles),
+    ].forEach((file) => {
       if (fs.existsSync(file)) {
         fs.unlinkSync(file);
       }
     });
+    // Temporary outputs of the runs that failed with checkpoints
+    for (const file of fs.readdirSync('.')) {
+      if (/^\.test-output\..+\.tmp$/.test(file)) {
+        fs.unlinkSync(file);
+      }
+    }
   }
 
   describe('processUsers', () => {
@@ -273,6 +311,58 @@ john doe,john@example.com,25`;
       }
     });
 
+    test('should keep commas and escaped quotes inside quoted fields', async () => {
+      const csvContent = `name,email,age
+"doe, john",john@example.com,25
+"jane ""jj"" smith",jane@example.com,30`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsers();
+
+      assert.strictEqual(stats.processed, 2);
+      assert.strictEqual(stats.skipped, 0);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      const lines = outputContent.trim().split('\n');
+
+      assert.strictEqual(lines.length, 3); // header + 2 data lines
+      assert.strictEqual(lines[1], '"DOE, JOHN",john@example.com,25');
+      assert.strictEqual(lines[2], '"JANE ""JJ"" SMITH",jane@example.com,30');
+    });
+
+    test('should reject lines with an unterminated quoted field', async () => {
+      const csvContent = `name,email,age
+"doe, john,john@example.com,25`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsers();
+
+      assert.strictEqual(stats.processed, 0);
+      assert.strictEqual(stats.skipped, 1);
+    });
+
+    test('should count a quoted field with line breaks as one record', async () => {
+      const csvContent = `name,email,age
+"john
+doe",john@example.com,25
+jane smith,jane@example.com,30`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsers();
+
+      assert.strictEqual(stats.processed, 2);
+      assert.strictEqual(stats.skipped, 0);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      assert.ok(outputContent.includes('"JOHN\nDOE",john@example.com,25'));
+    });
+
     test('should handle CSV file with only header', async () => {
       const csvContent = `name,email,age`;
 
@@ -288,4 +378,2149 @@ john doe,john@example.com,25`;
       assert.strictEqual(fs.existsSync(testOutputFile), false);
     });
   });
+
+  describe('processUsersAsStream', () => {
+    test('should keep commas inside quoted fields', async () => {
+      const csvContent = `name,email,age
+"doe, john",john@example.com,25`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 0);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      const lines = outputContent.trim().split('\n');
+
+      assert.strictEqual(lines[1], '"DOE, JOHN",john@example.com,25');
+    });
+
+    test('should count a quoted field with line breaks as one record', async () => {
+      const csvContent = `name,email,age\r
+"42 main st\r
+apt 1",john@example.com,25\r
+jane smith,jane@example.com,30\r
+`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 2);
+      assert.strictEqual(stats.skipped, 0);
+      assert.strictEqual(stats.total, 2);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      assert.ok(
+        outputContent.includes('"42 MAIN ST\r\nAPT 1",john@example.com,25')
+      );
+    });
+  });
+
+  describe('processUsersAsStreamAndConcurrency', () => {
+    test('should keep commas inside quoted fields', async () => {
+      const csvContent = `name,email,age
+"doe, john",john@example.com,25`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsersAsStreamAndConcurrency();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 0);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      const lines = outputContent.trim().split('\n');
+
+      assert.strictEqual(lines[1], '"DOE, JOHN",john@example.com,25');
+    });
+
+    test('should count a quoted field with line breaks as one record', async () => {
+      const csvContent = `name,email,age
+"john
+doe",john@example.com,25`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile);
+      const stats = await parser.processUsersAsStreamAndConcurrency();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 0);
+    });
+  });
+
+  describe('stream input', () => {
+    const csvContent = `name,email,age
+john doe,john@example.com,25
+jane smith,invalid-email,30`;
+
+    function collect() {
+      const chunks = [];
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+      });
+      output.text = () => Buffer.concat(chunks).toString();
+      return output;
+    }
+
+    test('should read from a Readable and write to a Writable', async () => {
+      const output = collect();
+      const parser = CsvParser.fromStream(Readable.from([csvContent]), output);
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 1);
+      assert.strictEqual(stats.bytesRead, Buffer.byteLength(csvContent));
+      assert.strictEqual(
+        output.text(),
+        `name,email,age${EOL}JOHN DOE,john@example.com,25`
+      );
+      assert.strictEqual(output.writableFinished, true);
+    });
+
+    test('should read multi-byte characters split across Buffers', async () => {
+      async function* chunks() {
+        const bytes = Buffer.from('name,email,age\nzoë,zoe@example.com,25');
+        const split = bytes.indexOf('ë') + 1;
+        yield bytes.subarray(0, split);
+        yield bytes.subarray(split);
+      }
+      const output = collect();
+      const stats = await CsvParser.fromStream(
+        chunks(),
+        output
+      ).processUsersAsStreamAndConcurrency();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.ok(output.text().endsWith('ZOË,zoe@example.com,25'));
+    });
+
+    test('should read the whole stream in processUsers', async () => {
+      const output = collect();
+      const stats = await CsvParser.fromStream(
+        ['name,email,age\n', 'john doe,john@example.com,25'],
+        output
+      ).processUsers();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.ok(output.text().endsWith('JOHN DOE,john@example.com,25'));
+    });
+
+    test('should run inside a pipeline', async () => {
+      const output = collect();
+      let stats;
+      await pipeline(
+        Readable.from([csvContent]),
+        createGzip(),
+        createGunzip(),
+        async (source) => {
+          stats = await CsvParser.fromStream(source, output, {
+            endOutput: false,
+          }).processUsersAsStream();
+        }
+      );
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(output.writableEnded, false);
+      assert.ok(output.text().endsWith('JOHN DOE,john@example.com,25'));
+    });
+
+    test('should reject inputs that cannot be read', () => {
+      assert.throws(() => new CsvParser(42, collect()), {
+        name: 'TypeError',
+      });
+      assert.throws(() => CsvParser.fromStream('input.csv', collect()), {
+        name: 'TypeError',
+      });
+    });
+  });
+
+  describe('processUsersInParallel', () => {
+    const rows = Array.from({ length: 300 }, (_, i) =>
+      i % 7 === 0
+        ? `"user\n${i}",user${i}-invalid,${i}`
+        : `"user, ${i}",user${i}@example.com,${i % 50}`
+    );
+    const csvContent = `name,email,age\n${rows.join('\n')}\n`;
+
+    test('should write the same output and rejects as the stream mode', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const expected = await new CsvParser(testInputFile, testOutputFile, {
+        rejectsFilePath: testRejectsFile,
+      }).processUsersAsStream();
+      const expectedOutput = fs.readFileSync(testOutputFile, 'utf-8');
+      const expectedRejects = fs.readFileSync(testRejectsFile, 'utf-8');
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        rejectsFilePath: testRejectsFile,
+      }).processUsersInParallel({ workers: 2, rangeSize: 1000 });
+
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        expectedOutput
+      );
+      assert.strictEqual(
+        fs.readFileSync(testRejectsFile, 'utf-8'),
+        expectedRejects
+      );
+      assert.strictEqual(stats.processed, expected.processed);
+      assert.deepStrictEqual(stats.skippedByReason, expected.skippedByReason);
+      assert.strictEqual(stats.bytesRead, expected.bytesRead);
+      assert.strictEqual(stats.bytesWritten, expected.bytesWritten);
+    });
+
+    test('should send plain column definitions to the workers', async () => {
+      fs.writeFileSync(testInputFile, 'sku,price\nab-1,9.5\nab-2,-1');
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        schema: [
+          { name: 'sku', required: true, transform: 'uppercase' },
+          { name: 'price', type: 'float', min: 0 },
+        ],
+      }).processUsersInParallel({ workers: 1 });
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 1);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        `sku,price${EOL}AB-1,9.5`
+      );
+    });
+
+    test('should send the built-in validators given by name', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'sku,url\nab-1,https://example.com\nab-2,example.com'
+      );
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        schema: [{ name: 'sku' }, { name: 'url', validate: 'url' }],
+      }).processUsersInParallel({ workers: 1 });
+
+      assert.strictEqual(stats.processed, 1);
+      assert.deepStrictEqual(stats.skippedByReason, { INVALID_URL: 1 });
+    });
+
+    test('should not create the output for an empty file', async () => {
+      fs.writeFileSync(testInputFile, '');
+
+      const stats = await new CsvParser(
+        testInputFile,
+        testOutputFile
+      ).processUsersInParallel();
+
+      assert.strictEqual(stats.total, 0);
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should reject files without the required headers', async () => {
+      fs.writeFileSync(testInputFile, 'name,email\njohn,john@example.com');
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile).processUsersInParallel(),
+        {
+          message:
+            'CSV file is missing the required "age" column (found "name", "email")',
+        }
+      );
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should reject inputs and schemas it cannot send to workers', async () => {
+      await assert.rejects(
+        new CsvParser([csvContent], testOutputFile).processUsersInParallel(),
+        { name: 'TypeError' }
+      );
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          schema: [{ name: 'id', validate: (id) => id > 0 }],
+        }).processUsersInParallel(),
+        { name: 'TypeError' }
+      );
+    });
+  });
+
+  describe('records', () => {
+    const csvContent = `name,email,age
+john doe,john@example.com,25
+jane smith,invalid-email,30
+bob johnson,bob@test.com,35`;
+
+    async function toArray(records) {
+      const results = [];
+      for await (const record of records) results.push(record);
+      return results;
+    }
+
+    test('should yield the valid users', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const users = [];
+      for await (const user of new CsvParser(testInputFile).records()) {
+        users.push(user);
+      }
+
+      assert.deepStrictEqual(users, [
+        { name: 'JOHN DOE', email: 'john@example.com', age: 25 },
+        { name: 'BOB JOHNSON', email: 'bob@test.com', age: 35 },
+      ]);
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should tag users and rejects when asked to', async () => {
+      const results = await toArray(
+        new CsvParser([csvContent]).records({ includeRejects: true })
+      );
+
+      assert.deepStrictEqual(
+        results.map(({ type, user, line, reject }) => [
+          type,
+          line ?? reject.line,
+          user?.name ?? reject.reason,
+        ]),
+        [
+          ['user', 2, 'JOHN DOE'],
+          ['reject', 3, 'INVALID_EMAIL'],
+          ['user', 4, 'BOB JOHNSON'],
+        ]
+      );
+    });
+
+    test('should return the stats once done', async () => {
+      const records = new CsvParser([csvContent]).records();
+      let result;
+      do {
+        result = await records.next();
+      } while (!result.done);
+
+      assert.strictEqual(result.value.processed, 2);
+      assert.strictEqual(result.value.skipped, 1);
+      assert.ok(result.value.endedAt);
+    });
+
+    test('should only read the input as fast as records are consumed', async () => {
+      let chunksRead = 0;
+      let closed = false;
+      async function* chunks() {
+        try {
+          yield 'name,email,age\n';
+          for (let i = 0; i < 10_000; i++) {
+            chunksRead++;
+            yield `user ${i},user${i}@example.com,${i % 100}\n`;
+          }
+        } finally {
+          closed = true;
+        }
+      }
+
+      for await (const user of new CsvParser(chunks()).records()) {
+        assert.strictEqual(user.name, 'USER 0');
+        break;
+      }
+
+      assert.ok(chunksRead < 10, `read ${chunksRead} chunks`);
+      assert.strictEqual(closed, true);
+    });
+
+    test('should reject files without the required headers', async () => {
+      await assert.rejects(toArray(new CsvParser(['name,email\n']).records()), {
+        message:
+          'CSV file is missing the required "age" column (found "name", "email")',
+      });
+    });
+  });
+
+  describe('output', () => {
+    const users = Array.from(
+      { length: 2500 },
+      (_, i) => `user ${i},user${i}@example.com,${i % 100}`
+    );
+
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should write the output in input order`, async () => {
+        fs.writeFileSync(
+          testInputFile,
+          ['name,email,age', ...users].join('\n')
+        );
+
+        const parser = new CsvParser(testInputFile, testOutputFile);
+        const stats = await parser[method]();
+
+        assert.strictEqual(stats.processed, users.length);
+
+        const lines = fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/);
+        assert.strictEqual(lines.length, users.length + 1);
+        assert.deepStrictEqual(
+          lines.slice(1),
+          users.map((user) => user.replace(/^user/, 'USER'))
+        );
+      });
+    }
+
+    test('should write the same output with the appendFile strategy', async () => {
+      fs.writeFileSync(testInputFile, ['name,email,age', ...users].join('\n'));
+
+      await new CsvParser(testInputFile, testOutputFile).processUsersAsStream();
+      const expected = fs.readFileSync(testOutputFile, 'utf-8');
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        writeStrategy: 'appendFile',
+      }).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, users.length);
+      assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), expected);
+    });
+
+    const tempFiles = () =>
+      fs.readdirSync('.').filter((file) => file.startsWith('.test-output.'));
+
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersInParallel',
+    ]) {
+      test(`${method} should leave the existing output as it was on failure`, async () => {
+        fs.writeFileSync(testInputFile, 'name,email\njohn,john@example.com');
+        fs.writeFileSync(testOutputFile, 'previous output');
+
+        await assert.rejects(
+          new CsvParser(testInputFile, testOutputFile)[method](),
+          { message: /missing the required "age" column/ }
+        );
+
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'previous output'
+        );
+        assert.deepStrictEqual(tempFiles(), []);
+      });
+
+      test(`${method} should refuse to replace an output with ifExists fail`, async () => {
+        fs.writeFileSync(
+          testInputFile,
+          ['name,email,age', ...users].join('\n')
+        );
+
+        await new CsvParser(testInputFile, testOutputFile, {
+          ifExists: 'fail',
+        })[method]();
+        await assert.rejects(
+          new CsvParser(testInputFile, testOutputFile, {
+            ifExists: 'fail',
+          })[method](),
+          { message: `output file ${testOutputFile} already exists` }
+        );
+
+        const lines = fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/);
+        assert.strictEqual(lines.length, users.length + 1);
+        assert.deepStrictEqual(tempFiles(), []);
+      });
+
+      test(`${method} should append the records with ifExists append`, async () => {
+        fs.writeFileSync(
+          testInputFile,
+          ['name,email,age', ...users].join('\n')
+        );
+
+        for (let run = 0; run < 2; run++) {
+          const stats = await new CsvParser(testInputFile, testOutputFile, {
+            ifExists: 'append',
+            outputFormat: 'ndjson',
+          })[method]();
+          assert.strictEqual(stats.processed, users.length);
+        }
+
+        const lines = fs
+          .readFileSync(testOutputFile, 'utf-8')
+          .split(/\r?\n/)
+          .filter(Boolean);
+        assert.strictEqual(lines.length, users.length * 2);
+        assert.deepStrictEqual(
+          JSON.parse(lines[users.length]),
+          JSON.parse(lines[0])
+        );
+      });
+    }
+
+    test('should write the header once when appending to a csv output', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name,email,age\njohn,john@example.com,25'
+      );
+
+      for (let run = 0; run < 2; run++) {
+        await new CsvParser(testInputFile, testOutputFile, {
+          ifExists: 'append',
+        }).processUsersAsStream();
+      }
+
+      assert.deepStrictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8').split(/\r?\n/),
+        [
+          'name,email,age',
+          'JOHN,john@example.com,25',
+          'JOHN,john@example.com,25',
+        ]
+      );
+    });
+
+    test('should reject unknown policies and appending to json', () => {
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFile, { ifExists: 'keep' }),
+        {
+          name: 'TypeError',
+          message:
+            'unsupported ifExists policy "keep", expected overwrite, fail, append',
+        }
+      );
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFiles.json, {
+            ifExists: 'append',
+          }),
+        { name: 'TypeError', message: 'a json output cannot be appended to' }
+      );
+    });
+  });
+
+  describe('rejects', () => {
+    const csvContent = `name,email,age
+john doe,john@example.com,25
+incomplete,missing@fields.com
+jane smith,invalid-email,30
+
+bob johnson,bob@example.com,not-a-number
+alice brown,alice@example.com,-5
+"broken,quote@example.com,1`;
+
+    test('should write rejected rows with line numbers and reasons as CSV', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        rejectsFilePath: testRejectsFile,
+      });
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 5);
+
+      const lines = fs
+        .readFileSync(testRejectsFile, 'utf-8')
+        .trim()
+        .split('\n');
+      assert.deepStrictEqual(lines, [
+        'line,reason,field,raw',
+        '3,MISSING_FIELD,age,"incomplete,missing@fields.com"',
+        '4,INVALID_EMAIL,email,"jane smith,invalid-email,30"',
+        '6,NON_NUMERIC_AGE,age,"bob johnson,bob@example.com,not-a-number"',
+        '7,NEGATIVE_AGE,age,"alice brown,alice@example.com,-5"',
+        '8,MALFORMED_ROW,,"""broken,quote@example.com,1"',
+      ]);
+    });
+
+    test('should write rejected rows as NDJSON', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        rejectsFilePath: testRejectsNdjsonFile,
+      });
+      await parser.processUsers();
+
+      const rows = fs
+        .readFileSync(testRejectsNdjsonFile, 'utf-8')
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      assert.strictEqual(rows.length, 5);
+      assert.deepStrictEqual(rows[1], {
+        line: 4,
+        reason: 'INVALID_EMAIL',
+        field: 'email',
+        raw: 'jane smith,invalid-email,30',
+      });
+      assert.deepStrictEqual(rows[4], {
+        line: 8,
+        reason: 'MALFORMED_ROW',
+        field: null,
+        raw: '"broken,quote@example.com,1',
+      });
+    });
+
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should emit reject events with their position`, async () => {
+        // The byte offsets do not count the BOM
+        fs.writeFileSync(testInputFile, `\ufeff${csvContent}`);
+        const parser = new CsvParser(testInputFile, testOutputFile, {
+          checkpoint: method !== 'processUsers',
+        });
+        const events = [];
+        parser.on('reject', (reject, error) => events.push({ reject, error }));
+
+        await parser[method]();
+
+        assert.strictEqual(events.length, 5);
+        const { reject, error } = events[1];
+        assert.strictEqual(reject.reason, 'INVALID_EMAIL');
+        assert.ok(error instanceof CsvFieldError);
+        assert.strictEqual(error.line, 4);
+        assert.strictEqual(
+          error.byteOffset,
+          csvContent.indexOf('jane smith,invalid-email')
+        );
+        assert.strictEqual(error.column, 'email');
+        assert.strictEqual(error.columnIndex, 1);
+        assert.strictEqual(error.raw, 'jane smith,invalid-email,30');
+        assert.ok(events[4].error instanceof CsvSyntaxError);
+        assert.strictEqual(events[4].error.reason, 'MALFORMED_ROW');
+      });
+    }
+
+    test('should emit reject events while iterating the records', async () => {
+      const parser = new CsvParser([csvContent]);
+      const errors = [];
+      parser.on('reject', (_reject, error) => errors.push(error));
+
+      for await (const user of parser.records()) assert.ok(user);
+
+      assert.deepStrictEqual(
+        errors.map(({ line, byteOffset }) => [line, byteOffset]),
+        [
+          [3, 44],
+          [4, 74],
+          [6, 103],
+          [7, 144],
+          [8, 177],
+        ]
+      );
+    });
+
+    test('should keep the rejects file when no row is valid', async () => {
+      fs.writeFileSync(testInputFile, 'name,email,age\njane,invalid,30');
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        rejectsFilePath: testRejectsFile,
+        rejectsFormat: 'ndjson',
+      });
+      await parser.processUsersAsStreamAndConcurrency();
+
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+      assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(testRejectsFile, 'utf-8')),
+        {
+          line: 2,
+          reason: 'INVALID_EMAIL',
+          field: 'email',
+          raw: 'jane,invalid,30',
+        }
+      );
+    });
+  });
+
+  describe('stats', () => {
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should break down skipped rows and count bytes`, async () => {
+        const csvContent = `name,email,age
+john doe,john@example.com,25
+
+jane smith,invalid-email,30
+bob johnson,bob@example.com,not-a-number
+alice brown,alice@example.com,-5
+`;
+        fs.writeFileSync(testInputFile, csvContent);
+
+        const parser = new CsvParser(testInputFile, testOutputFile);
+        const stats = await parser[method]();
+
+        assert.strictEqual(stats.processed, 1);
+        assert.strictEqual(stats.skipped, 3);
+        assert.deepStrictEqual(stats.skippedByReason, {
+          INVALID_EMAIL: 1,
+          NON_NUMERIC_AGE: 1,
+          NEGATIVE_AGE: 1,
+        });
+        assert.deepStrictEqual(stats.skippedByField, { email: 1, age: 2 });
+        assert.strictEqual(stats.emptyLines, 1);
+        assert.strictEqual(stats.bytesRead, Buffer.byteLength(csvContent));
+        assert.strictEqual(
+          stats.bytesWritten,
+          fs.statSync(testOutputFile).size
+        );
+        assert.ok(stats.startedAt <= stats.endedAt);
+      });
+    }
+  });
+
+  describe('dialect option', () => {
+    test('should not keep the \r of CRLF files in the last column', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name,email,age\r\njohn doe,john@example.com,25\r\n'
+      );
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        dialect: { outputLineTerminator: '\n' },
+      }).processUsers();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        'name,email,age\nJOHN DOE,john@example.com,25'
+      );
+    });
+
+    test('should read and write with the dialect given', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        "name;email;age\r'doe; john';john@example.com;25\r'o\\'hara';x;30\r"
+      );
+
+      for (const method of [
+        'processUsers',
+        'processUsersAsStream',
+        'processUsersInParallel',
+      ]) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          dialect: {
+            delimiter: ';',
+            quote: "'",
+            escape: '\\',
+            outputLineTerminator: '\r\n',
+          },
+          rejectsFilePath: testRejectsFile,
+        })[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          "name;email;age\r\n'DOE; JOHN';john@example.com;25",
+          method
+        );
+        assert.strictEqual(
+          fs.readFileSync(testRejectsFile, 'utf-8'),
+          `line,reason,field,raw\r\n3,INVALID_EMAIL,email,'o\\'hara';x;30\r\n`,
+          method
+        );
+      }
+    });
+
+    test('should keep the delimiter option as a shorthand', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name|email|age\njohn|john@example.com|25'
+      );
+
+      await new CsvParser(testInputFile, testOutputFile, {
+        delimiter: '|',
+        dialect: { outputLineTerminator: '\n' },
+      }).processUsersAsStream();
+
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        'name|email|age\nJOHN|john@example.com|25'
+      );
+    });
+  });
+
+  describe('sniff', () => {
+    const csvContent =
+      'name;email;age\r\n"doe; john";john@example.com;25\r\njane;invalid;30\r\n';
+
+    test('should detect the dialect and header of a file', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      assert.deepStrictEqual(await CsvParser.sniff(testInputFile), {
+        encoding: 'utf-8',
+        dialect: { delimiter: ';', quote: '"', lineTerminator: '\r\n' },
+        hasHeader: true,
+        columns: [
+          { name: 'name', type: 'string' },
+          { name: 'email', type: 'string' },
+          { name: 'age', type: 'int' },
+        ],
+      });
+    });
+
+    test('should only read the sample size of the input', async () => {
+      const { columns } = await CsvParser.sniff(Buffer.from(csvContent), {
+        sampleSize: 20,
+      });
+
+      assert.deepStrictEqual(
+        columns.map(({ name }) => name),
+        ['name', 'email', 'age']
+      );
+    });
+
+    test('should plug its result into the parser options', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const stats = await new CsvParser(
+        testInputFile,
+        testOutputFile,
+        await CsvParser.sniff(testInputFile)
+      ).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        `name;email;age${EOL}"DOE; JOHN";john@example.com;25`
+      );
+    });
+
+    test('should detect the dialect with the sniff option', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      for (const method of [
+        'processUsers',
+        'processUsersAsStream',
+        'processUsersAsStreamAndConcurrency',
+        'processUsersInParallel',
+      ]) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          sniff: true,
+        })[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(stats.skipped, 1, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          `name;email;age${EOL}"DOE; JOHN";john@example.com;25`,
+          method
+        );
+      }
+    });
+
+    test('should sniff a stream input without losing its first chunks', async () => {
+      const lines = ['name\temail\tage\n'];
+      for (let i = 0; i < 5000; i++) {
+        lines.push(`user ${i}\tuser${i}@example.com\t${i % 100}\n`);
+      }
+      const output = [];
+      const parser = new CsvParser(
+        Readable.from(lines),
+        new Writable({
+          write(chunk, encoding, callback) {
+            output.push(chunk);
+            callback();
+          },
+        }),
+        { sniff: true, dialect: { outputLineTerminator: '\n' } }
+      );
+
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 5000);
+      assert.strictEqual(stats.bytesRead, Buffer.byteLength(lines.join('')));
+      const text = Buffer.concat(output).toString();
+      assert.ok(
+        text.startsWith('name\temail\tage\nUSER 0\tuser0@example.com\t0')
+      );
+      assert.ok(text.endsWith('USER 4999\tuser4999@example.com\t99'));
+    });
+
+    test('should read the columns in schema order without a header', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'john,john@example.com,25\njane,invalid,30\n'
+      );
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        sniff: true,
+      }).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 1);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        `name,email,age${EOL}JOHN,john@example.com,25`
+      );
+    });
+
+    test('should accept hasHeader without sniffing', async () => {
+      const parser = new CsvParser(
+        Readable.from(['john,john@example.com,25\n']),
+        undefined,
+        { hasHeader: false }
+      );
+
+      const users = [];
+      for await (const user of parser.records()) {
+        users.push(user);
+      }
+
+      assert.deepStrictEqual(users, [
+        { name: 'JOHN', email: 'john@example.com', age: 25 },
+      ]);
+    });
+  });
+
+  describe('encoding', () => {
+    const csvContent =
+      'name,email,age\nzoë,zoe@example.com,25\nrené,invalid,30\n';
+
+    test('should drop the BOM before the first header', async () => {
+      fs.writeFileSync(testInputFile, `\ufeff${csvContent}`);
+
+      for (const method of [
+        'processUsers',
+        'processUsersAsStream',
+        'processUsersAsStreamAndConcurrency',
+        'processUsersInParallel',
+      ]) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          dialect: { outputLineTerminator: '\n' },
+        })[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'name,email,age\nZOË,zoe@example.com,25',
+          method
+        );
+      }
+    });
+
+    test('should read the encoding given or detected', async () => {
+      const cases = [
+        ['latin1', Buffer.from(csvContent, 'latin1')],
+        ['windows-1252', Buffer.from(csvContent, 'latin1')],
+        ['utf-16le', Buffer.from(`\ufeff${csvContent}`, 'utf16le')],
+        ['utf-16be', Buffer.from(`\ufeff${csvContent}`, 'utf16le').swap16()],
+      ];
+
+      for (const [encoding, bytes] of cases) {
+        fs.writeFileSync(testInputFile, bytes);
+        for (const option of [encoding, 'auto']) {
+          const stats = await new CsvParser(testInputFile, testOutputFile, {
+            encoding: option,
+            rejectsFilePath: testRejectsFile,
+            dialect: { outputLineTerminator: '\n' },
+          }).processUsersAsStream();
+
+          assert.strictEqual(stats.processed, 1, option);
+          assert.strictEqual(stats.bytesRead, bytes.length, option);
+          assert.strictEqual(
+            fs.readFileSync(testOutputFile, 'utf-8'),
+            'name,email,age\nZOË,zoe@example.com,25',
+            option
+          );
+          assert.match(
+            fs.readFileSync(testRejectsFile, 'utf-8'),
+            /3,INVALID_EMAIL,email,"rené,invalid,30"/,
+            option
+          );
+        }
+      }
+    });
+
+    test('should write the output encoding given, with a BOM', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      for (const method of ['processUsersAsStream', 'processUsersInParallel']) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          outputEncoding: 'utf-16le',
+          outputBom: true,
+          dialect: { outputLineTerminator: '\n' },
+        })[method]();
+
+        const output = fs.readFileSync(testOutputFile);
+        assert.deepStrictEqual(
+          output,
+          Buffer.from(
+            '\ufeffname,email,age\nZOË,zoe@example.com,25',
+            'utf16le'
+          ),
+          method
+        );
+        assert.strictEqual(stats.bytesWritten, output.length, method);
+      }
+
+      await new CsvParser(testInputFile, testOutputFile, {
+        outputEncoding: 'windows-1252',
+        dialect: { outputLineTerminator: '\n' },
+      }).processUsersInParallel();
+      assert.deepStrictEqual(
+        fs.readFileSync(testOutputFile),
+        Buffer.from('name,email,age\nZOË,zoe@example.com,25', 'latin1')
+      );
+    });
+
+    test('should reject UTF-16 input in parallel mode', async () => {
+      fs.writeFileSync(testInputFile, Buffer.from(csvContent, 'utf16le'));
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          encoding: 'auto',
+        }).processUsersInParallel(),
+        { name: 'TypeError', message: /UTF-16/ }
+      );
+    });
+
+    test('should detect the encoding when sniffing', async () => {
+      const bytes = Buffer.from(csvContent.replaceAll(',', ';'), 'latin1');
+
+      const sniffed = await CsvParser.sniff(bytes);
+
+      assert.strictEqual(sniffed.encoding, 'windows-1252');
+      assert.strictEqual(sniffed.dialect.delimiter, ';');
+      assert.throws(
+        () => new CsvParser(testInputFile, testOutputFile, { encoding: 'x' }),
+        TypeError
+      );
+    });
+  });
+
+  describe('compression', () => {
+    const csvContent =
+      'name,email,age\nzoë,zoe@example.com,25\nrené,invalid,30\n';
+    const expected = 'name,email,age\nZOË,zoe@example.com,25';
+    const compress = {
+      gzip: (text) => zlib.gzipSync(text),
+      brotli: (text) => zlib.brotliCompressSync(text),
+      deflate: (text) => zlib.deflateSync(text),
+    };
+
+    test('should decompress inputs detected from their extension or first bytes', async () => {
+      const cases = [
+        [testCompressedFiles.gzip, compress.gzip(csvContent)],
+        [testCompressedFiles.brotli, compress.brotli(csvContent)],
+        [testInputFile, compress.gzip(csvContent)],
+        [testInputFile, compress.deflate(csvContent)],
+      ];
+
+      for (const [file, bytes] of cases) {
+        fs.writeFileSync(file, bytes);
+        for (const method of [
+          'processUsers',
+          'processUsersAsStream',
+          'processUsersAsStreamAndConcurrency',
+        ]) {
+          const stats = await new CsvParser(file, testOutputFile, {
+            dialect: { outputLineTerminator: '\n' },
+          })[method]();
+
+          assert.strictEqual(stats.processed, 1, `${file} ${method}`);
+          assert.strictEqual(stats.skipped, 1, `${file} ${method}`);
+          // Counted before decompression, as the size of the file is
+          assert.strictEqual(stats.bytesRead, bytes.length, method);
+          assert.strictEqual(
+            fs.readFileSync(testOutputFile, 'utf-8'),
+            expected,
+            `${file} ${method}`
+          );
+        }
+
+        const users = [];
+        for await (const user of new CsvParser(file).records()) {
+          users.push(user.email);
+        }
+        assert.deepStrictEqual(users, ['zoe@example.com'], file);
+      }
+    });
+
+    test('should decompress the compression given', async () => {
+      fs.writeFileSync(testInputFile, compress.brotli(csvContent));
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        compression: 'brotli',
+        dialect: { outputLineTerminator: '\n' },
+      }).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), expected);
+    });
+
+    test('should decompress a compressed stream input', async () => {
+      const bytes = compress.gzip(csvContent);
+      for (const method of ['processUsers', 'processUsersAsStream']) {
+        const chunks = [];
+        const stats = await CsvParser.fromStream(
+          Readable.from([bytes.subarray(0, 1), bytes.subarray(1)]),
+          new Writable({
+            write(chunk, _encoding, callback) {
+              chunks.push(chunk);
+              callback();
+            },
+          }),
+          { sniff: true, dialect: { outputLineTerminator: '\n' } }
+        )[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(Buffer.concat(chunks).toString(), expected, method);
+      }
+    });
+
+    test('should sniff a compressed input', async () => {
+      const bytes = compress.gzip(csvContent.replaceAll(',', ';'));
+      fs.writeFileSync(testCompressedFiles.gzip, bytes);
+
+      const stats = await new CsvParser(
+        testCompressedFiles.gzip,
+        testOutputFile,
+        { sniff: true, dialect: { outputLineTerminator: '\n' } }
+      ).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        expected.replaceAll(',', ';')
+      );
+      for (const input of [testCompressedFiles.gzip, bytes.subarray(0, 40)]) {
+        const { dialect, hasHeader } = await CsvParser.sniff(input);
+        assert.strictEqual(dialect.delimiter, ';');
+        assert.strictEqual(hasHeader, true);
+      }
+    });
+
+    test('should compress the output given or inferred from its extension', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const stats = await new CsvParser(
+        testInputFile,
+        testCompressedFiles.output
+      ).processUsersAsStreamAndConcurrency();
+
+      const bytes = fs.readFileSync(testCompressedFiles.output);
+      assert.strictEqual(stats.bytesWritten, bytes.length);
+      assert.deepStrictEqual(JSON.parse(zlib.gunzipSync(bytes)), {
+        name: 'ZOË',
+        email: 'zoe@example.com',
+        age: 25,
+      });
+
+      for (const [compression, decompress] of [
+        ['brotli', zlib.brotliDecompressSync],
+        ['deflate', zlib.inflateSync],
+      ]) {
+        await new CsvParser(testInputFile, testOutputFile, {
+          outputCompression: compression,
+          outputEncoding: 'utf-16le',
+          outputBom: true,
+          dialect: { outputLineTerminator: '\n' },
+        }).processUsersInParallel({ workers: 1 });
+
+        assert.strictEqual(
+          decompress(fs.readFileSync(testOutputFile)).toString('utf16le'),
+          `\ufeff${expected}`,
+          compression
+        );
+      }
+    });
+
+    test('should leave the output as it was when the input is corrupt', async () => {
+      fs.writeFileSync(testOutputFile, 'previous');
+      const bytes = compress.gzip(csvContent);
+      fs.writeFileSync(testCompressedFiles.gzip, bytes.subarray(0, 30));
+
+      await assert.rejects(
+        new CsvParser(
+          testCompressedFiles.gzip,
+          testOutputFile
+        ).processUsersAsStream(),
+        { code: 'Z_BUF_ERROR' }
+      );
+      assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), 'previous');
+    });
+
+    test('should reject what compressed files do not support', async () => {
+      fs.writeFileSync(testCompressedFiles.gzip, compress.gzip(csvContent));
+      fs.writeFileSync(testInputFile, compress.deflate(csvContent));
+
+      await assert.rejects(
+        new CsvParser(
+          testCompressedFiles.gzip,
+          testOutputFile
+        ).processUsersInParallel(),
+        {
+          name: 'TypeError',
+          message: 'parallel processing does not support compressed input',
+        }
+      );
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          checkpoint: true,
+        }).processUsersAsStream(),
+        { name: 'TypeError', message: 'checkpoints need an uncompressed input' }
+      );
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testCompressedFiles.output, {
+            checkpoint: true,
+          }),
+        {
+          name: 'TypeError',
+          message: 'checkpoints need an uncompressed output',
+        }
+      );
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFile, {
+            outputCompression: 'gzip',
+            ifExists: 'append',
+          }),
+        {
+          name: 'TypeError',
+          message: 'a compressed output cannot be appended to',
+        }
+      );
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFile, { compression: 'zip' }),
+        TypeError
+      );
+    });
+  });
+
+  describe('header mapping', () => {
+    test('should match headers by case, spaces and aliases', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        ' Full_Name ,E-mail Address,Years\njohn,john@example.com,25\n'
+      );
+
+      for (const method of ['processUsersAsStream', 'processUsersInParallel']) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          aliases: { age: ['years'] },
+          dialect: { outputLineTerminator: '\n' },
+        })[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'name,email,age\nJOHN,john@example.com,25',
+          method
+        );
+      }
+    });
+
+    test('should read files without header with the column indexes given', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'john@example.com,25,john\ninvalid,30,jane\n'
+      );
+
+      for (const method of ['processUsers', 'processUsersInParallel']) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          hasHeader: false,
+          columnIndexes: { email: 0, age: 1, name: 2 },
+          dialect: { outputLineTerminator: '\n' },
+        })[method]();
+
+        assert.strictEqual(stats.processed, 1, method);
+        assert.strictEqual(stats.skipped, 1, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'name,email,age\nJOHN,john@example.com,25',
+          method
+        );
+      }
+    });
+  });
+
+  describe('output format', () => {
+    const csvContent =
+      'name,email,age\n"doe, john",john@example.com,25\njane,invalid,30\n' +
+      'bob,bob@example.com,40\n';
+    const users = [
+      { name: 'DOE, JOHN', email: 'john@example.com', age: 25 },
+      { name: 'BOB', email: 'bob@example.com', age: 40 },
+    ];
+
+    test('should infer the format from the output extension', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const dialect = { outputLineTerminator: '\n' };
+
+      for (const [format, outputFile] of Object.entries(testOutputFiles)) {
+        const stats = await new CsvParser(testInputFile, outputFile, {
+          dialect,
+        }).processUsersAsStream();
+        assert.strictEqual(stats.processed, 2, format);
+      }
+
+      assert.strictEqual(
+        fs.readFileSync(testOutputFiles.tsv, 'utf-8'),
+        'name\temail\tage\nDOE, JOHN\tjohn@example.com\t25\n' +
+          'BOB\tbob@example.com\t40'
+      );
+      assert.strictEqual(
+        fs.readFileSync(testOutputFiles.ndjson, 'utf-8'),
+        users.map((user) => `${JSON.stringify(user)}\n`).join('')
+      );
+      assert.strictEqual(
+        fs.readFileSync(testOutputFiles.json, 'utf-8'),
+        `[\n${users.map((user) => JSON.stringify(user)).join(',\n')}\n]`
+      );
+    });
+
+    test('should prefer the outputFormat option to the extension', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await new CsvParser(testInputFile, testOutputFile, {
+        outputFormat: 'json',
+      }).processUsers();
+
+      assert.deepStrictEqual(
+        JSON.parse(fs.readFileSync(testOutputFile, 'utf-8')),
+        users
+      );
+    });
+
+    test('should write CSV to streams unless told otherwise', async () => {
+      const write = async (options) => {
+        const chunks = [];
+        const output = new Writable({
+          write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+          },
+        });
+        await new CsvParser([csvContent], output, options).processUsers();
+        return Buffer.concat(chunks).toString();
+      };
+
+      assert.ok((await write()).startsWith('name,email,age'));
+      assert.deepStrictEqual(
+        (await write({ outputFormat: 'ndjson' }))
+          .trim()
+          .split(EOL)
+          .map((line) => JSON.parse(line)),
+        users
+      );
+    });
+
+    test('should write custom formats', async () => {
+      class XmlFormat extends OutputFormat {
+        get delimiter() {
+          return '\n';
+        }
+        header() {
+          return '<users>\n';
+        }
+        format({ name, age }) {
+          return `<user name="${name}" age="${age}"/>`;
+        }
+        footer() {
+          return '\n</users>';
+        }
+      }
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await new CsvParser(testInputFile, testOutputFile, {
+        outputFormat: new XmlFormat(),
+      }).processUsersAsStream();
+
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        '<users>\n<user name="DOE, JOHN" age="25"/>\n' +
+          '<user name="BOB" age="40"/>\n</users>'
+      );
+    });
+
+    test('should reject unsupported formats', () => {
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFile, { outputFormat: 'xml' }),
+        {
+          name: 'TypeError',
+          message:
+            'unsupported output format "xml", expected csv, tsv, ndjson, json',
+        }
+      );
+    });
+
+    test('should wait for slow outputs', async () => {
+      const rows = Array.from(
+        { length: 500 },
+        (_, i) => `user ${i},user${i}@example.com,${i % 100}`
+      );
+      const chunks = [];
+      const output = new Writable({
+        highWaterMark: 64,
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          setImmediate(callback);
+        },
+      });
+
+      const stats = await new CsvParser(
+        [`name,email,age\n${rows.join('\n')}`],
+        output,
+        { outputFormat: 'json' }
+      ).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, rows.length);
+      assert.strictEqual(JSON.parse(Buffer.concat(chunks)).length, rows.length);
+    });
+
+    test('should append the ranges of the parallel mode in any format', async () => {
+      // The first range has no valid record, so the second one starts the output
+      const rows = Array.from({ length: 200 }, (_, i) =>
+        i < 50
+          ? `user ${i},invalid,${i}`
+          : `"user, ${i}",user${i}@example.com,${i % 50}`
+      );
+      fs.writeFileSync(testInputFile, `name,email,age\n${rows.join('\n')}\n`);
+
+      for (const outputFile of Object.values(testOutputFiles)) {
+        await new CsvParser(testInputFile, outputFile).processUsersAsStream();
+        const expected = fs.readFileSync(outputFile, 'utf-8');
+
+        const stats = await new CsvParser(
+          testInputFile,
+          outputFile
+        ).processUsersInParallel({ workers: 2, rangeSize: 500 });
+
+        assert.strictEqual(stats.processed, 150);
+        assert.strictEqual(fs.readFileSync(outputFile, 'utf-8'), expected);
+        assert.strictEqual(stats.bytesWritten, Buffer.byteLength(expected));
+      }
+    });
+
+    test('should not send custom formats to workers', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          outputFormat: new (class extends OutputFormat {})(),
+        }).processUsersInParallel(),
+        { name: 'TypeError' }
+      );
+    });
+  });
+
+  describe('output columns', () => {
+    const csvContent =
+      'id,name,email,age\n7f3a,john,john@example.com,25\n' +
+      '9b1c,jane,invalid,30\n0e2d,"doe, bob",bob@test.org,40\n';
+    const dialect = { outputLineTerminator: '\n' };
+
+    test('should pass the columns that are not in the schema through', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      for (const method of [
+        'processUsers',
+        'processUsersAsStream',
+        'processUsersInParallel',
+      ]) {
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          passthrough: true,
+          dialect,
+        })[method]();
+
+        assert.strictEqual(stats.processed, 2, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'name,email,age,id\nJOHN,john@example.com,25,7f3a\n' +
+            '"DOE, BOB",bob@test.org,40,0e2d',
+          method
+        );
+      }
+    });
+
+    test('should select, order, rename and compute the output columns', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await new CsvParser(testInputFile, testOutputFiles.ndjson, {
+        outputColumns: ['id', 'name', 'email_domain'],
+        rename: { name: 'full_name' },
+        computed: { email_domain: ({ email }) => email.split('@')[1] },
+        passthrough: true,
+      }).processUsersAsStream();
+
+      assert.deepStrictEqual(
+        fs
+          .readFileSync(testOutputFiles.ndjson, 'utf-8')
+          .trim()
+          .split(EOL)
+          .map((line) => JSON.parse(line)),
+        [
+          { id: '7f3a', full_name: 'JOHN', email_domain: 'example.com' },
+          { id: '0e2d', full_name: 'DOE, BOB', email_domain: 'test.org' },
+        ]
+      );
+    });
+
+    test('should yield the output records', async () => {
+      const parser = new CsvParser([csvContent], undefined, {
+        outputColumns: ['email', 'id'],
+        passthrough: true,
+      });
+
+      const records = [];
+      for await (const record of parser.records()) {
+        records.push(record);
+      }
+
+      assert.deepStrictEqual(records, [
+        { email: 'john@example.com', id: '7f3a' },
+        { email: 'bob@test.org', id: '0e2d' },
+      ]);
+    });
+
+    test('should reject output columns missing from the header', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name,email,age\njohn,john@example.com,25'
+      );
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          outputColumns: ['id', 'name'],
+          passthrough: true,
+        }).processUsersAsStream(),
+        { name: 'TypeError', message: 'unknown column "id" in output columns' }
+      );
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should not send computed columns to workers', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          computed: { year: () => 2024 },
+        }).processUsersInParallel(),
+        { name: 'TypeError' }
+      );
+    });
+  });
+
+  describe('dedup', () => {
+    const csvContent =
+      'id,name,email,age\n1,john,john@example.com,25\n' +
+      '2,jane,jane@example.com,30\n3,johnny, John@Example.com ,26\n' +
+      '4,janet,invalid,31\n5,jo,john@example.com,27\n';
+    const dialect = { outputLineTerminator: '\n' };
+
+    test('should keep the first record of every email', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      for (const method of [
+        'processUsers',
+        'processUsersAsStream',
+        'processUsersAsStreamAndConcurrency',
+      ]) {
+        const parser = new CsvParser(testInputFile, testOutputFile, {
+          dedup: true,
+          dialect,
+        });
+        const stats = await parser[method]();
+
+        assert.strictEqual(stats.processed, 2, method);
+        assert.strictEqual(stats.duplicates, 2, method);
+        assert.strictEqual(stats.skipped, 1, method);
+        assert.strictEqual(stats.total, 5, method);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'name,email,age\nJOHN,john@example.com,25\nJANE,jane@example.com,30',
+          method
+        );
+        // Keys are forgotten between runs
+        assert.strictEqual((await parser[method]()).processed, 2, method);
+      }
+    });
+
+    test('should keep the last record of every key', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        dedup: { keys: ['email'], keep: 'last' },
+        passthrough: true,
+        dialect,
+      });
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.duplicates, 2);
+      assert.strictEqual(
+        fs.readFileSync(testOutputFile, 'utf-8'),
+        'name,email,age,id\nJANE,jane@example.com,30,2\n' +
+          'JO,john@example.com,27,5'
+      );
+
+      const records = [];
+      for await (const record of parser.records()) {
+        records.push(record.id);
+      }
+      assert.deepStrictEqual(records, ['2', '5']);
+    });
+
+    test('should compare on passthrough and several columns', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name,email,age,team\njohn,john@example.com,25,a\n' +
+          'john,john@example.com,25,b\njohn,john@example.com,26,A\n'
+      );
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        dedup: { keys: ['email', 'team'] },
+        passthrough: true,
+      }).processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 2);
+      assert.strictEqual(stats.duplicates, 1);
+    });
+
+    test('should reject unknown keys', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      assert.throws(
+        () =>
+          new CsvParser(testInputFile, testOutputFile, {
+            dedup: { keys: ['id'] },
+          }),
+        { name: 'TypeError', message: 'unknown column "id" in dedup keys' }
+      );
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          dedup: { keys: ['team'] },
+          passthrough: true,
+        }).processUsersAsStream(),
+        { name: 'TypeError', message: 'unknown column "team" in dedup keys' }
+      );
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should need an input file to keep the last records', () => {
+      assert.throws(
+        () =>
+          new CsvParser([csvContent], new Writable(), {
+            dedup: { keep: 'last' },
+          }),
+        {
+          name: 'TypeError',
+          message: 'keeping the last duplicates needs an input file',
+        }
+      );
+    });
+
+    test('should not deduplicate in parallel', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          dedup: true,
+        }).processUsersInParallel(),
+        {
+          name: 'TypeError',
+          message: 'parallel processing does not support deduplication',
+        }
+      );
+    });
+  });
+
+  describe('checkpoints', () => {
+    // Several chunks of input, as checkpoints are saved between two chunks
+    const csvContent =
+      '\ufeffname,email,age\n' +
+      Array.from({ length: 6000 }, (_, i) =>
+        i % 9 === 0
+          ? `zoë ${i},invalid,${i % 90}\r\n`
+          : `zoë ${i},user${i % 5000}@example.com,${i % 90}\n`
+      ).join('');
+    const options = {
+      rejectsFilePath: testRejectsFile,
+      outputFormat: 'json',
+      dedup: true,
+    };
+
+    // A computed column failing on a given record stands for a crash
+    const crashOn = (count) => {
+      let records = 0;
+      return {
+        outputColumns: ['name', 'email', 'age'],
+        computed: {
+          crash: () => {
+            if (++records === count) throw new Error('crash');
+          },
+        },
+      };
+    };
+
+    test('should resume from the last checkpoint to the same result', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const expected = await new CsvParser(
+        testInputFile,
+        testOutputFile,
+        options
+      ).processUsersAsStream();
+      const output = fs.readFileSync(testOutputFile);
+      const rejects = fs.readFileSync(testRejectsFile);
+
+      for (const method of [
+        'processUsersAsStream',
+        'processUsersAsStreamAndConcurrency',
+      ]) {
+        await assert.rejects(
+          new CsvParser(testInputFile, testOutputFile, {
+            ...options,
+            ...crashOn(4000),
+            checkpoint: { interval: 1000 },
+          })[method](),
+          { message: 'crash' }
+        );
+        const { state } = JSON.parse(fs.readFileSync(testCheckpointFile));
+        assert.ok(state.line > 1000 && state.line < 6000, method);
+        assert.ok(fs.statSync(state.tempPath).size >= state.outputOffset);
+        // The output of the first run is left as it was
+        assert.deepStrictEqual(fs.readFileSync(testOutputFile), output, method);
+
+        const stats = await new CsvParser(testInputFile, testOutputFile, {
+          ...options,
+          resume: true,
+        })[method]();
+
+        assert.deepStrictEqual(fs.readFileSync(testOutputFile), output, method);
+        assert.deepStrictEqual(
+          fs.readFileSync(testRejectsFile),
+          rejects,
+          method
+        );
+        for (const key of [
+          'processed',
+          'skipped',
+          'duplicates',
+          'bytesRead',
+          'bytesWritten',
+        ]) {
+          assert.strictEqual(stats[key], expected[key], `${method} ${key}`);
+        }
+        assert.strictEqual(fs.existsSync(testCheckpointFile), false, method);
+      }
+    });
+
+    test('should start over when there is no checkpoint to resume', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        resume: true,
+      }).processUsersAsStream();
+
+      assert.strictEqual(stats.total, 6000);
+      assert.strictEqual(fs.existsSync(testCheckpointFile), false);
+    });
+
+    test('should not resume from the checkpoint of another input', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          ...crashOn(4000),
+          checkpoint: { interval: 1000 },
+        }).processUsersAsStream()
+      );
+
+      fs.appendFileSync(testInputFile, 'jo,jo@example.com,30\n');
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          resume: true,
+        }).processUsersAsStream(),
+        { message: /the input changed since the checkpoint/ }
+      );
+    });
+
+    test('should need files and the stream processing methods', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      assert.throws(
+        () => new CsvParser([csvContent], new Writable(), { checkpoint: true }),
+        {
+          name: 'TypeError',
+          message: 'checkpoints need an input and an output file',
+        }
+      );
+      for (const method of ['processUsers', 'processUsersInParallel']) {
+        await assert.rejects(
+          new CsvParser(testInputFile, testOutputFile, {
+            checkpoint: true,
+          })[method](),
+          { name: 'TypeError' },
+          method
+        );
+      }
+    });
+  });
+
+  describe('progress and abort', () => {
+    const csvContent =
+      'name,email,age\n' +
+      Array.from(
+        { length: 20000 },
+        (_, i) => `user ${i},user${i}@example.com,${i % 90}\n`
+      ).join('');
+
+    test('should emit progress events up to the whole input', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        progressInterval: 0,
+      });
+      const events = [];
+      parser.on('progress', (event) => events.push(event));
+
+      const stats = await parser.processUsersAsStream();
+
+      assert.ok(events.length > 1);
+      const last = events.at(-1);
+      assert.strictEqual(last.totalBytes, Buffer.byteLength(csvContent));
+      assert.strictEqual(last.bytesRead, last.totalBytes);
+      assert.strictEqual(last.percent, 100);
+      assert.strictEqual(last.processed, stats.processed);
+      assert.strictEqual(last.skipped, stats.skipped);
+      for (let i = 1; i < events.length; i++) {
+        assert.ok(events[i].processed >= events[i - 1].processed);
+      }
+    });
+
+    test('should throttle the progress events', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        progressInterval: 60_000,
+      });
+      const events = [];
+      parser.on('progress', (event) => events.push(event));
+
+      await parser.processUsersAsStreamAndConcurrency();
+
+      // Only the last one, as the run is done within the interval
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].processed, 20000);
+    });
+
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should stop and discard the output when aborted`, async () => {
+        fs.writeFileSync(testInputFile, csvContent);
+        fs.writeFileSync(testOutputFile, 'previous output');
+        const controller = new AbortController();
+        const parser = new CsvParser(testInputFile, testOutputFile, {
+          rejectsFilePath: testRejectsFile,
+          signal: controller.signal,
+          progressInterval: 0,
+        });
+        parser.on('progress', ({ processed }) => {
+          if (processed >= 5000) controller.abort(new Error('stop'));
+        });
+
+        const error = await parser[method]().catch((error) => error);
+
+        assert.ok(error instanceof AbortError);
+        assert.strictEqual(error.code, 'ABORT_ERR');
+        assert.strictEqual(error.cause.message, 'stop');
+        assert.ok(error.stats.processed >= 5000);
+        assert.ok(error.stats.processed < 20000);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'previous output'
+        );
+        assert.strictEqual(fs.existsSync(testRejectsFile), false);
+      });
+    }
+
+    for (const method of [
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should leave no output behind for a missing input`, async () => {
+        fs.writeFileSync(testRejectsFile, 'previous rejects');
+        const parser = new CsvParser(testInputFile, testOutputFile, {
+          rejectsFilePath: testRejectsFile,
+          delimiter: ',',
+        });
+
+        await assert.rejects(parser[method](), { code: 'ENOENT' });
+
+        assert.strictEqual(fs.existsSync(testOutputFile), false);
+        assert.deepStrictEqual(
+          fs.readdirSync('.').filter((file) => file.endsWith('.tmp')),
+          []
+        );
+        assert.strictEqual(
+          fs.readFileSync(testRejectsFile, 'utf-8'),
+          'previous rejects'
+        );
+      });
+    }
+
+    test('should not start a parallel run once aborted', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          signal: AbortSignal.abort(),
+        }).processUsersInParallel({ workers: 1 }),
+        AbortError
+      );
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+
+    test('should save a checkpoint when aborted, to resume from it', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      await new CsvParser(testInputFile, testOutputFile).processUsersAsStream();
+      const expected = fs.readFileSync(testOutputFile);
+      fs.unlinkSync(testOutputFile);
+
+      const controller = new AbortController();
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        checkpoint: true,
+        signal: controller.signal,
+        progressInterval: 0,
+      });
+      parser.on('progress', ({ processed }) => {
+        if (processed >= 5000) controller.abort();
+      });
+      await assert.rejects(parser.processUsersAsStream(), AbortError);
+
+      const { state } = JSON.parse(fs.readFileSync(testCheckpointFile));
+      assert.ok(state.stats.processed >= 5000);
+      await new CsvParser(testInputFile, testOutputFile, {
+        resume: true,
+      }).processUsersAsStream();
+      assert.deepStrictEqual(fs.readFileSync(testOutputFile), expected);
+    });
+
+    test('should stop waiting for a stream source when aborted', async () => {
+      const source = new Readable({ read() {} });
+      source.push('name,email,age\njohn,john@example.com,25\n');
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+
+      const destination = new Writable({
+        write: (_chunk, _encoding, callback) => callback(),
+      });
+
+      const error = await new CsvParser(source, destination, {
+        signal: controller.signal,
+      })
+        .processUsersAsStream()
+        .catch((error) => error);
+
+      assert.ok(error instanceof AbortError);
+      assert.strictEqual(error.stats.processed, 1);
+    });
+
+    test('should stop iterating the records when aborted', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const controller = new AbortController();
+      const parser = new CsvParser(testInputFile, undefined, {
+        signal: controller.signal,
+      });
+
+      let count = 0;
+      await assert.rejects(async () => {
+        for await (const user of parser.records()) {
+          assert.ok(user.email);
+          if (++count === 100) controller.abort();
+        }
+      }, AbortError);
+      assert.strictEqual(count, 100);
+    });
+  });
+
+  describe('error policies', () => {
+    const csvContent = `name,email,age
+john doe,john@example.com,25
+jane smith,invalid-email,30
+bob johnson,bob@test.com,35
+alice,alice@example.com,-5
+"broken,quote@example.com,40
+carol,carol@example.com,28`;
+
+    for (const method of [
+      'processUsers',
+      'processUsersAsStream',
+      'processUsersAsStreamAndConcurrency',
+    ]) {
+      test(`${method} should fail once more rows than maxErrors are rejected`, async () => {
+        fs.writeFileSync(testInputFile, csvContent);
+        fs.writeFileSync(testOutputFile, 'previous output');
+
+        const error = await new CsvParser(testInputFile, testOutputFile, {
+          rejectsFilePath: testRejectsFile,
+          maxErrors: 1,
+        })
+          [method]()
+          .catch((error) => error);
+
+        assert.ok(error instanceof CsvValidationError);
+        assert.strictEqual(error.policy, 'maxErrors');
+        assert.strictEqual(error.stats.processed, 2);
+        assert.strictEqual(error.stats.skipped, 2);
+        assert.deepStrictEqual(error.rows, [
+          {
+            line: 3,
+            reason: 'INVALID_EMAIL',
+            field: 'email',
+            raw: 'jane smith,invalid-email,30',
+          },
+          {
+            line: 5,
+            reason: 'NEGATIVE_AGE',
+            field: 'age',
+            raw: 'alice,alice@example.com,-5',
+          },
+        ]);
+        assert.strictEqual(
+          fs.readFileSync(testOutputFile, 'utf-8'),
+          'previous output'
+        );
+        assert.strictEqual(fs.existsSync(testRejectsFile), false);
+      });
+    }
+
+    test('should check a percentage of the rows once done', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const stats = await new CsvParser(testInputFile, testOutputFile, {
+        maxErrors: '60%',
+      }).processUsersAsStream();
+      assert.strictEqual(stats.skipped, 3);
+      const output = fs.readFileSync(testOutputFile, 'utf-8');
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          maxErrors: '50%',
+        }).processUsersAsStream(),
+        { name: 'CsvValidationError', message: /3 of 5 rows are invalid/ }
+      );
+      assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), output);
+    });
+
+    test('should fail a file where every row is rejected', async () => {
+      fs.writeFileSync(testInputFile, 'name,email,age\njo,invalid,25');
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          maxErrors: '0%',
+        }).processUsersAsStream(),
+        CsvValidationError
+      );
+    });
+
+    test('should stop on the first rejected row with failFast', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+      const parser = new CsvParser(testInputFile, undefined, {
+        failFast: true,
+      });
+
+      const users = [];
+      const error = await (async () => {
+        for await (const user of parser.records()) users.push(user);
+      })().catch((error) => error);
+
+      assert.strictEqual(users.length, 1);
+      assert.strictEqual(error.policy, 'failFast');
+      assert.strictEqual(error.message, 'invalid row at line 3: INVALID_EMAIL');
+    });
+
+    test('should only fail on malformed rows in strict mode', async () => {
+      fs.writeFileSync(
+        testInputFile,
+        'name,email,age\njo,invalid,25\njo,jo@example.com,25,extra'
+      );
+
+      const error = await new CsvParser(testInputFile, testOutputFile, {
+        strict: true,
+      })
+        .processUsersAsStream()
+        .catch((error) => error);
+
+      assert.ok(error instanceof CsvValidationError);
+      assert.strictEqual(error.policy, 'strict');
+      assert.ok(error.cause instanceof CsvSyntaxError);
+      assert.strictEqual(error.cause.line, 3);
+      assert.strictEqual(error.stats.skippedByReason.INVALID_EMAIL, 1);
+      assert.deepStrictEqual(
+        error.rows.map(({ reason }) => reason),
+        ['INVALID_EMAIL', 'WRONG_COLUMN_COUNT']
+      );
+    });
+
+    test('should apply the policies to parallel runs', async () => {
+      fs.writeFileSync(testInputFile, csvContent);
+
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          strict: true,
+        }).processUsersInParallel({ workers: 1 }),
+        { name: 'CsvValidationError', policy: 'strict', rows: [] }
+      );
+      await assert.rejects(
+        new CsvParser(testInputFile, testOutputFile, {
+          maxErrors: 2,
+        }).processUsersInParallel({ workers: 1 }),
+        { policy: 'maxErrors' }
+      );
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+  });
+
+  describe('schema option', () => {
+    test('should validate and transform the columns of a custom schema', async () => {
+      const csvContent = `sku,price,name
+ab-1,9.5,kettle
+ab-2,free,toaster
+ab-3,-1,mixer`;
+
+      fs.writeFileSync(testInputFile, csvContent);
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        schema: [
+          { name: 'sku', required: true, transform: 'uppercase' },
+          { name: 'price', type: 'float', required: true, min: 0 },
+        ],
+      });
+      const stats = await parser.processUsersAsStream();
+
+      assert.strictEqual(stats.processed, 1);
+      assert.strictEqual(stats.skipped, 2);
+
+      const outputContent = fs.readFileSync(testOutputFile, 'utf-8');
+      const lines = outputContent.trim().split('\n');
+
+      assert.strictEqual(lines[0], 'sku,price');
+      assert.strictEqual(lines[1], 'AB-1,9.5');
+    });
+
+    test('should reject files without the required schema headers', async () => {
+      fs.writeFileSync(testInputFile, 'sku,name\nab-1,kettle');
+
+      const parser = new CsvParser(testInputFile, testOutputFile, {
+        schema: [{ name: 'price', required: true }],
+      });
+
+      await assert.rejects(() => parser.processUsers(), {
+        message:
+          'CSV file is missing the required "price" column (found "sku", "name")',
+        name: 'CsvHeaderError',
+        columns: ['price'],
+        line: 1,
+        raw: 'sku,name',
+      });
+      assert.strictEqual(fs.existsSync(testOutputFile), false);
+    });
+  });
 });
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvProjection } from '../src/csv-projection.mjs';
+import { USER_SCHEMA } from '../src/csv-schema.mjs';
+
+describe('CsvProjection', () => {
+  const user = () => ({ name: 'JOHN', email: 'john@example.com', age: 25 });
+  const values = ['7', 'john', 'john@example.com', '25', ' kept as is '];
+  const headers = ['id', 'name', 'email', 'age', 'note'];
+
+  test('should output the records as they are without options', () => {
+    const projection = new CsvProjection(USER_SCHEMA);
+    const record = user();
+
+    assert.deepStrictEqual(projection.names, ['name', 'email', 'age']);
+    assert.strictEqual(projection.project(record, values), record);
+  });
+
+  test('should pass the unknown columns through, after the schema columns', () => {
+    const projection = new CsvProjection(USER_SCHEMA, { passthrough: true });
+    projection.addHeaders(headers, [1, 2, 3]);
+
+    assert.deepStrictEqual(projection.names, [
+      'name',
+      'email',
+      'age',
+      'id',
+      'note',
+    ]);
+    assert.deepStrictEqual(projection.project(user(), values), {
+      ...user(),
+      id: '7',
+      note: ' kept as is ',
+    });
+  });
+
+  test('should name empty and skip duplicate passthrough headers', () => {
+    const projection = new CsvProjection(USER_SCHEMA, { passthrough: true });
+    projection.addHeaders(['name', 'email', 'age', '', 'Name'], [0, 1, 2]);
+
+    assert.deepStrictEqual(projection.names, [
+      'name',
+      'email',
+      'age',
+      'column4',
+      'Name',
+    ]);
+
+    projection.addHeaders(['name', 'email', 'age', 'x', 'x'], [0, 1, 2]);
+    assert.deepStrictEqual(projection.names, ['name', 'email', 'age', 'x']);
+  });
+
+  test('should add computed columns', () => {
+    const projection = new CsvProjection(USER_SCHEMA, {
+      computed: { email_domain: ({ email }) => email.split('@')[1] },
+    });
+
+    assert.deepStrictEqual(projection.project(user(), values), {
+      ...user(),
+      email_domain: 'example.com',
+    });
+  });
+
+  test('should select, order and rename the output columns', () => {
+    const projection = new CsvProjection(USER_SCHEMA, {
+      columns: ['id', 'name', 'domain'],
+      rename: { name: 'full_name' },
+      computed: { domain: ({ email }) => email.split('@')[1] },
+      passthrough: true,
+    });
+    projection.addHeaders(headers, [1, 2, 3]);
+
+    assert.deepStrictEqual(projection.names, ['id', 'full_name', 'domain']);
+    const record = projection.project(user(), values);
+    assert.deepStrictEqual(record, {
+      id: '7',
+      full_name: 'JOHN',
+      domain: 'example.com',
+    });
+    assert.deepStrictEqual(Object.keys(record), projection.names);
+    assert.deepStrictEqual(projection.format(record), [
+      '7',
+      'JOHN',
+      'example.com',
+    ]);
+  });
+
+  test('should format missing values and dates', () => {
+    const projection = new CsvProjection(USER_SCHEMA, {
+      computed: { seen: () => new Date(0) },
+    });
+
+    assert.deepStrictEqual(
+      projection.format({
+        name: 'JOHN',
+        email: null,
+        age: 25,
+        seen: new Date(0),
+      }),
+      ['JOHN', '', 25, '1970-01-01T00:00:00.000Z']
+    );
+  });
+
+  test('should reject invalid output columns', () => {
+    const create = (options) => new CsvProjection(USER_SCHEMA, options);
+
+    assert.throws(() => create({ columns: ['id'] }), {
+      name: 'TypeError',
+      message: 'unknown column "id" in output columns',
+    });
+    assert.throws(() => create({ rename: { id: 'x' } }), {
+      message: 'unknown column "id" to rename',
+    });
+    assert.throws(() => create({ rename: { name: 'email' } }), {
+      message: 'duplicate output column "email"',
+    });
+    assert.throws(() => create({ computed: { age: () => 1 } }), TypeError);
+    assert.throws(() => create({ computed: { domain: 'email' } }), TypeError);
+
+    const projection = create({ columns: ['id', 'name'], passthrough: true });
+    assert.throws(
+      () => projection.addHeaders(['name', 'email', 'age'], [0, 1, 2]),
+      { message: 'unknown column "id" in output columns' }
+    );
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvRecordProcessor } from '../src/csv-record-processor.mjs';
+import { Stats } from '../src/stats.mjs';
+import { CsvFieldError, CsvSyntaxError } from '../src/errors.mjs';
+
+describe('CsvRecordProcessor', () => {
+  function createProcessor(options) {
+    const processor = new CsvRecordProcessor(options);
+    processor.processHeaders('age,name,email');
+    return processor;
+  }
+
+  test('should process a record and count it', () => {
+    const stats = new Stats();
+    const result = createProcessor().process(
+      { text: '25,john doe,john@example.com', line: 2 },
+      stats
+    );
+
+    assert.deepStrictEqual(result, {
+      record: { name: 'JOHN DOE', email: 'john@example.com', age: 25 },
+    });
+    assert.strictEqual(stats.processed, 1);
+  });
+
+  test('should report the reason of a rejection and count it', () => {
+    const stats = new Stats();
+    const processor = createProcessor();
+
+    assert.deepStrictEqual(
+      processor.process({ text: '25,john,invalid', line: 2 }, stats),
+      { reason: 'INVALID_EMAIL', column: 'email' }
+    );
+    assert.deepStrictEqual(
+      processor.process({ text: '25,"john,x@y.z', line: 3 }, stats),
+      { reason: 'MALFORMED_ROW', column: null }
+    );
+    assert.deepStrictEqual(stats.skippedByReason, {
+      INVALID_EMAIL: 1,
+      MALFORMED_ROW: 1,
+    });
+  });
+
+  test('should reject rows of another column count in strict mode', () => {
+    const stats = new Stats();
+    const row = { text: '25,john doe,john@example.com,extra', line: 2 };
+
+    assert.ok(createProcessor().process(row, stats).record);
+    assert.deepStrictEqual(
+      createProcessor({ strict: true }).process(row, stats),
+      { reason: 'WRONG_COLUMN_COUNT', column: null }
+    );
+
+    const headerless = new CsvRecordProcessor({
+      strict: true,
+      hasHeader: false,
+    });
+    headerless.process({ text: 'jo,jo@example.com,25', line: 1 }, stats);
+    assert.strictEqual(
+      headerless.process({ text: 'jo,jo@example.com', line: 2 }, stats).reason,
+      'WRONG_COLUMN_COUNT'
+    );
+  });
+
+  test('should create the error of a rejected record on demand', () => {
+    const processor = createProcessor({ strict: true });
+    const errorOf = (text) => {
+      const record = { text, line: 7, byteOffset: 120 };
+      return processor.createError(
+        record,
+        processor.process(record, new Stats())
+      );
+    };
+
+    const field = errorOf('25,john,invalid');
+    assert.ok(field instanceof CsvFieldError);
+    assert.strictEqual(
+      field.message,
+      'INVALID_EMAIL in column "email" at line 7'
+    );
+    assert.strictEqual(field.reason, 'INVALID_EMAIL');
+    assert.strictEqual(field.column, 'email');
+    assert.strictEqual(field.columnIndex, 2);
+    assert.strictEqual(field.line, 7);
+    assert.strictEqual(field.byteOffset, 120);
+    assert.strictEqual(field.raw, '25,john,invalid');
+
+    const ragged = errorOf('25,john,john@example.com,extra');
+    assert.ok(ragged instanceof CsvSyntaxError);
+    assert.strictEqual(ragged.reason, 'WRONG_COLUMN_COUNT');
+    assert.strictEqual(
+      ragged.message,
+      'expected 3 fields but found 4 at line 7'
+    );
+    assert.strictEqual(ragged.column, null);
+
+    const unterminated = errorOf(`25,"john,${'x'.repeat(300)}`);
+    assert.strictEqual(unterminated.reason, 'MALFORMED_ROW');
+    assert.strictEqual(unterminated.raw.length, 201);
+    assert.ok(unterminated.raw.endsWith('…'));
+  });
+
+  test('should skip empty lines', () => {
+    const stats = new Stats();
+    assert.strictEqual(
+      createProcessor().process({ text: '  ', line: 2 }, stats),
+      null
+    );
+    assert.strictEqual(stats.emptyLines, 1);
+  });
+
+  test('should map the headers with the aliases given', () => {
+    const processor = new CsvRecordProcessor({
+      aliases: { email: ['Courriel'] },
+    });
+    processor.processHeaders(' Full Name ,COURRIEL,Age');
+
+    assert.deepStrictEqual(
+      processor.process({ text: 'jo,jo@example.com,25', line: 2 }, new Stats())
+        .record,
+      { name: 'JO', email: 'jo@example.com', age: 25 }
+    );
+  });
+
+  test('should output the passthrough, computed and selected columns', () => {
+    const processor = new CsvRecordProcessor({
+      outputColumns: ['id', 'name', 'domain'],
+      rename: { name: 'full_name' },
+      computed: { domain: ({ email }) => email.split('@')[1] },
+      passthrough: true,
+    });
+    processor.processHeaders('id,age,name,email');
+
+    assert.deepStrictEqual(
+      processor.process(
+        { text: 'a1,25,jo,jo@example.com', line: 2 },
+        new Stats()
+      ),
+      { record: { id: 'a1', full_name: 'JO', domain: 'example.com' } }
+    );
+    assert.deepStrictEqual(processor.projection.names, [
+      'id',
+      'full_name',
+      'domain',
+    ]);
+  });
+
+  test('should require a header to pass columns through', () => {
+    assert.throws(
+      () => new CsvRecordProcessor({ hasHeader: false, passthrough: true }),
+      TypeError
+    );
+  });
+
+  test('should drop and count the duplicates', () => {
+    const stats = new Stats();
+    const processor = createProcessor({ dedup: true });
+
+    assert.ok(
+      processor.process({ text: '25,jo,jo@example.com', line: 2 }, stats)
+    );
+    assert.strictEqual(
+      processor.process({ text: '26,joe,JO@example.com', line: 3 }, stats),
+      null
+    );
+    assert.strictEqual(stats.processed, 1);
+    assert.strictEqual(stats.duplicates, 1);
+  });
+
+  test('should compare the keys before renaming', () => {
+    const processor = createProcessor({
+      dedup: { keys: ['domain'], keep: 'last' },
+      rename: { email: 'mail' },
+      computed: { domain: ({ email }) => email.split('@')[1] },
+    });
+    const records = [
+      { text: '25,jo,jo@example.com', line: 2 },
+      { text: '26,al,al@test.org', line: 3 },
+      { text: '27,bo,bo@example.com', line: 4 },
+    ];
+    records.forEach((record) => processor.scan(record));
+
+    assert.deepStrictEqual(
+      records.map(
+        (record) => processor.process(record, new Stats())?.record.mail
+      ),
+      [undefined, 'al@test.org', 'bo@example.com']
+    );
+  });
+
+  test('should use the column indexes given and ignore the header', () => {
+    const processor = new CsvRecordProcessor({
+      hasHeader: false,
+      columnIndexes: { name: 2, email: 0, age: 1 },
+    });
+    processor.processHeaders('whatever');
+
+    assert.deepStrictEqual(
+      processor.process({ text: 'jo@example.com,25,jo', line: 1 }, new Stats())
+        .record,
+      { name: 'JO', email: 'jo@example.com', age: 25 }
+    );
+  });
+});
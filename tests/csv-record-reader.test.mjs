@@ -0,0 +1,131 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvRecordReader } from '../src/csv-record-reader.mjs';
+
+describe('CsvRecordReader', () => {
+  async function readAll(chunks, options) {
+    const records = [];
+    for await (const record of new CsvRecordReader(options).read(chunks)) {
+      records.push(record.text);
+    }
+    return records;
+  }
+
+  test('should split records on LF and CRLF', async () => {
+    assert.deepStrictEqual(await readAll(['a,b\r\nc,d\ne,f']), [
+      'a,b',
+      'c,d',
+      'e,f',
+    ]);
+  });
+
+  test('should not emit a record for a trailing line break', async () => {
+    assert.deepStrictEqual(await readAll(['a,b\nc,d\n']), ['a,b', 'c,d']);
+  });
+
+  test('should keep line breaks inside quoted fields', async () => {
+    assert.deepStrictEqual(await readAll(['a,"line 1\r\nline 2"\nb,c']), [
+      'a,"line 1\r\nline 2"',
+      'b,c',
+    ]);
+  });
+
+  test('should track quote state across chunk boundaries', async () => {
+    assert.deepStrictEqual(
+      await readAll(['name,notes\njohn,"first', ' line\nsecond', ' line"\n']),
+      ['name,notes', 'john,"first line\nsecond line"']
+    );
+  });
+
+  test('should handle escaped quotes split across chunks', async () => {
+    assert.deepStrictEqual(await readAll(['a,"say ""hi"', '"\nnext"\nb']), [
+      'a,"say ""hi""\nnext"',
+      'b',
+    ]);
+  });
+
+  test('should treat quotes inside unquoted fields as literals', async () => {
+    assert.deepStrictEqual(await readAll(['a,5\'11"\nb,c']), [
+      'a,5\'11"',
+      'b,c',
+    ]);
+  });
+
+  test('should report the line where each record starts', async () => {
+    const records = [];
+    for await (const record of new CsvRecordReader().read([
+      'a\n"multi\r\nline',
+      '"\n\nb\n',
+    ])) {
+      records.push(record);
+    }
+    assert.deepStrictEqual(records, [
+      { text: 'a', line: 1, byteOffset: 0 },
+      { text: '"multi\r\nline"', line: 2, byteOffset: 2 },
+      { text: '', line: 4, byteOffset: 16 },
+      { text: 'b', line: 5, byteOffset: 17 },
+    ]);
+  });
+
+  test('should track the offset and line of the next record', () => {
+    const reader = new CsvRecordReader({ line: 10 });
+
+    assert.deepStrictEqual(reader.push('a\r\n"b\nc",d\ne'), [
+      { text: 'a', line: 10, byteOffset: 0 },
+      { text: '"b\nc",d', line: 11, byteOffset: 3 },
+    ]);
+    assert.strictEqual(reader.offset, 11);
+    assert.strictEqual(reader.line, 13);
+
+    reader.flush();
+    assert.strictEqual(reader.offset, 12);
+  });
+
+  test('should count the byte offsets in the encoding given', () => {
+    const offsets = (options) => {
+      const reader = new CsvRecordReader(options);
+      return [...reader.push('é,1\r\nb,2\n'), ...reader.flush()].map(
+        ({ byteOffset }) => byteOffset
+      );
+    };
+
+    assert.deepStrictEqual(offsets(), [0, 6]);
+    assert.deepStrictEqual(offsets({ encoding: 'latin1' }), [0, 5]);
+    assert.deepStrictEqual(offsets({ encoding: 'utf-16le' }), [0, 10]);
+    assert.deepStrictEqual(offsets({ byteOffset: 3 }), [3, 9]);
+  });
+
+  test('should detect CR line terminators', async () => {
+    assert.deepStrictEqual(await readAll(['a,b\r', '"c\nd",e\rf\r']), [
+      'a,b',
+      '"c\nd",e',
+      'f',
+    ]);
+    assert.deepStrictEqual(await readAll(['a\r']), ['a']);
+  });
+
+  test('should use the line terminator given', async () => {
+    assert.deepStrictEqual(
+      await readAll(['a\nb\rc\r'], { lineTerminator: '\r' }),
+      ['a\nb', 'c']
+    );
+    assert.deepStrictEqual(
+      await readAll(['a\r\nb\r', '\nc'], { lineTerminator: '\r\n' }),
+      ['a', 'b', 'c']
+    );
+  });
+
+  test('should use the quote and escape characters given', async () => {
+    assert.deepStrictEqual(
+      await readAll(["'a\\'\nb',c\n'd\\", "'\ne'\nf"], {
+        quote: "'",
+        escape: '\\',
+      }),
+      ["'a\\'\nb',c", "'d\\'\ne'", 'f']
+    );
+  });
+
+  test('should emit an unterminated quoted record at the end', async () => {
+    assert.deepStrictEqual(await readAll(['a,"open\nb,c']), ['a,"open\nb,c']);
+  });
+});
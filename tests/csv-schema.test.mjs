@@ -0,0 +1,266 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvSchema, USER_SCHEMA } from '../src/csv-schema.mjs';
+import { CsvHeaderError } from '../src/errors.mjs';
+
+describe('CsvSchema', () => {
+  describe('mapHeaders', () => {
+    test('should find the index of every column', () => {
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapHeaders(['age', 'name', 'email']),
+        [1, 2, 0]
+      );
+    });
+
+    test('should throw naming the required columns that are missing', () => {
+      assert.throws(() => USER_SCHEMA.mapHeaders(['name', 'email']), {
+        message:
+          'CSV file is missing the required "age" column (found "name", "email")',
+      });
+      assert.throws(() => USER_SCHEMA.mapHeaders(['Name', 'mail', 'years']), {
+        message:
+          'CSV file is missing the required "email" and "age" columns (found "Name", "mail", "years")',
+      });
+    });
+
+    test('should tell where the header is and which columns are missing', () => {
+      const record = { text: 'Name,mail,years', line: 1, byteOffset: 3 };
+
+      assert.throws(
+        () => USER_SCHEMA.mapHeaders(['Name', 'mail', 'years'], { record }),
+        (error) => {
+          assert.ok(error instanceof CsvHeaderError);
+          assert.deepStrictEqual(error.columns, ['email', 'age']);
+          assert.strictEqual(error.column, 'email');
+          assert.strictEqual(error.line, 1);
+          assert.strictEqual(error.byteOffset, 3);
+          assert.strictEqual(error.raw, 'Name,mail,years');
+          return true;
+        }
+      );
+    });
+
+    test('should match headers regardless of case and spaces', () => {
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapHeaders([' Age', 'NAME ', ' Email ']),
+        [1, 2, 0]
+      );
+    });
+
+    test('should match the aliases of a column', () => {
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapHeaders(['full_name', 'E-mail Address', 'age']),
+        [0, 1, 2]
+      );
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapHeaders(['Nom', 'Courriel', 'Âge'], {
+          aliases: { name: ['nom'], email: ['courriel'], age: ['âge'] },
+        }),
+        [0, 1, 2]
+      );
+    });
+
+    test('should prefer the column name over its aliases', () => {
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapHeaders(['e-mail', 'name', 'email', 'age']),
+        [1, 2, 3]
+      );
+    });
+
+    test('should allow optional columns to be missing', () => {
+      const schema = new CsvSchema([
+        { name: 'id', required: true },
+        { name: 'notes' },
+      ]);
+      assert.deepStrictEqual(schema.mapHeaders(['id']), [0, -1]);
+    });
+  });
+
+  describe('mapIndexes', () => {
+    test('should map every column to its index', () => {
+      assert.deepStrictEqual(
+        USER_SCHEMA.mapIndexes({ name: 2, email: 0, age: 1 }),
+        [2, 0, 1]
+      );
+    });
+
+    test('should throw naming the required columns that are not mapped', () => {
+      assert.throws(() => USER_SCHEMA.mapIndexes({ name: 0 }), {
+        message:
+          'Column indexes are missing the required "email" and "age" columns',
+      });
+    });
+
+    test('should reject unknown columns and invalid indexes', () => {
+      assert.throws(
+        () => USER_SCHEMA.mapIndexes({ name: 0, email: 1, age: 2, id: 3 }),
+        { name: 'TypeError', message: 'unknown column "id" in column indexes' }
+      );
+      assert.throws(
+        () => USER_SCHEMA.mapIndexes({ name: 0, email: 1, age: -1 }),
+        { name: 'TypeError', message: 'invalid index -1 for column "age"' }
+      );
+    });
+  });
+
+  describe('parse', () => {
+    const schema = new CsvSchema([
+      { name: 'sku', required: true, transform: 'uppercase' },
+      { name: 'price', type: 'float', min: 0 },
+      { name: 'stock', type: 'int', max: 1000 },
+      { name: 'active', type: 'boolean' },
+      { name: 'released', type: 'date' },
+      { name: 'status', type: 'enum', values: ['new', 'used'] },
+      {
+        name: 'code',
+        pattern: '^[A-Z]{3}$',
+        validate: (code, record) => code !== record.sku || 'SAME_AS_SKU',
+      },
+    ]);
+    const indexes = [0, 1, 2, 3, 4, 5, 6];
+
+    test('should parse, validate and transform a valid record', () => {
+      const { record } = schema.parse(
+        ['ab-1', ' 9.5 ', '3', 'yes', '2024-01-31', 'new', 'XYZ'],
+        indexes
+      );
+      assert.deepStrictEqual(record, {
+        sku: 'AB-1',
+        price: 9.5,
+        stock: 3,
+        active: true,
+        released: new Date('2024-01-31'),
+        status: 'new',
+        code: 'XYZ',
+      });
+    });
+
+    test('should set missing optional values to null', () => {
+      const { record } = schema.parse(['ab-1'], indexes);
+      assert.strictEqual(record.sku, 'AB-1');
+      assert.strictEqual(record.price, null);
+      assert.strictEqual(record.code, null);
+    });
+
+    test('should report the reason and column of a rejection', () => {
+      const cases = [
+        [[''], 'MISSING_FIELD', 'sku'],
+        [['a', 'cheap'], 'INVALID_TYPE', 'price'],
+        [['a', '-1'], 'INVALID_VALUE', 'price'],
+        [['a', '9.5€'], 'INVALID_TYPE', 'price'],
+        [['a', '1', '25abc'], 'INVALID_TYPE', 'stock'],
+        [['a', '1', '3.9'], 'INVALID_TYPE', 'stock'],
+        [['a', '1', '1001'], 'INVALID_VALUE', 'stock'],
+        [['a', '1', '1', 'maybe'], 'INVALID_TYPE', 'active'],
+        [['a', '1', '1', 'no', 'someday'], 'INVALID_TYPE', 'released'],
+        [['a', '', '', '', '', 'broken'], 'INVALID_VALUE', 'status'],
+        [['a', '', '', '', '', '', 'xyz'], 'INVALID_VALUE', 'code'],
+        [['ABC', '', '', '', '', '', 'ABC'], 'SAME_AS_SKU', 'code'],
+      ];
+      for (const [values, reason, column] of cases) {
+        assert.deepStrictEqual(schema.parse(values, indexes), {
+          reason,
+          column,
+        });
+      }
+    });
+
+    test('should match a pattern the same way on every row', () => {
+      const schema = new CsvSchema([{ name: 'code', pattern: /^A\d$/gy }]);
+      for (let row = 0; row < 4; row++) {
+        assert.deepStrictEqual(schema.parse(['A1'], [0]), {
+          record: { code: 'A1' },
+        });
+      }
+    });
+  });
+
+  describe('reasons', () => {
+    test('should report the user schema reason codes', () => {
+      const indexes = [0, 1, 2];
+      const cases = [
+        [['', 'a@b.com', '1'], 'MISSING_FIELD'],
+        [['a', 'ab.com', '1'], 'INVALID_EMAIL'],
+        [['a', 'a@b.com', 'XX'], 'NON_NUMERIC_AGE'],
+        [['a', 'a@b.com', '-1'], 'NEGATIVE_AGE'],
+        [['a', 'a@b.com', '151'], 'AGE_OUT_OF_RANGE'],
+        [['a', 'a@b.com', '25abc'], 'NON_NUMERIC_AGE'],
+        [['a', 'a@b', '1'], 'INVALID_EMAIL'],
+      ];
+      for (const [values, reason] of cases) {
+        assert.strictEqual(USER_SCHEMA.parse(values, indexes).reason, reason);
+      }
+    });
+
+    test('should use the reason codes declared for each constraint', () => {
+      const schema = new CsvSchema([
+        {
+          name: 'qty',
+          type: 'int',
+          required: true,
+          max: 10,
+          reasons: { required: 'NO_QTY', max: 'TOO_MANY' },
+        },
+      ]);
+      assert.strictEqual(schema.parse([''], [0]).reason, 'NO_QTY');
+      assert.strictEqual(schema.parse(['11'], [0]).reason, 'TOO_MANY');
+      assert.strictEqual(schema.parse(['x'], [0]).reason, 'INVALID_TYPE');
+    });
+  });
+
+  describe('format', () => {
+    test('should return the values in column order', () => {
+      const schema = new CsvSchema([
+        { name: 'when', type: 'date' },
+        { name: 'count', type: 'int' },
+        { name: 'notes' },
+      ]);
+      assert.deepStrictEqual(
+        schema.format({ notes: null, count: 2, when: new Date(0) }),
+        ['1970-01-01T00:00:00.000Z', 2, '']
+      );
+    });
+  });
+
+  describe('constructor', () => {
+    test('should reject unknown types and transforms', () => {
+      assert.throws(() => new CsvSchema([{ name: 'a', type: 'uuid' }]), {
+        name: 'TypeError',
+      });
+      assert.throws(
+        () => new CsvSchema([{ name: 'a', transform: 'reverse' }]),
+        {
+          name: 'TypeError',
+        }
+      );
+    });
+
+    test('should resolve the built-in validators given by name', () => {
+      const schema = new CsvSchema([
+        { name: 'id', validate: 'uuid' },
+        {
+          name: 'score',
+          validate: [{ name: 'integer', min: 0, max: 10, rangeReason: 'BAD' }],
+        },
+      ]);
+      const id = '3f2b8c1e-4d5a-4b6c-8d7e-9f0a1b2c3d4e';
+
+      assert.ok(schema.parse([id, '7'], [0, 1]).record);
+      assert.strictEqual(
+        schema.parse(['x', '7'], [0, 1]).reason,
+        'INVALID_UUID'
+      );
+      assert.strictEqual(schema.parse([id, '11'], [0, 1]).reason, 'BAD');
+      assert.throws(() => new CsvSchema([{ name: 'a', validate: 'iban' }]), {
+        name: 'TypeError',
+        message: 'unknown validator "iban" for column "a"',
+      });
+    });
+
+    test('should require values for enum columns', () => {
+      assert.throws(() => new CsvSchema([{ name: 'a', type: 'enum' }]), {
+        name: 'TypeError',
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvSniffer } from '../src/csv-sniffer.mjs';
+
+describe('CsvSniffer', () => {
+  const sniff = (sample, options = { complete: true }) =>
+    new CsvSniffer().sniff(sample, options);
+
+  test('should detect a comma-separated file with a header', () => {
+    assert.deepStrictEqual(
+      sniff('name,email,age\njohn,john@example.com,25\njane,jane@x.com,30\n'),
+      {
+        dialect: { delimiter: ',', quote: '"', lineTerminator: '\n' },
+        hasHeader: true,
+        columns: [
+          { name: 'name', type: 'string' },
+          { name: 'email', type: 'string' },
+          { name: 'age', type: 'int' },
+        ],
+      }
+    );
+  });
+
+  test('should detect semicolon, tab and pipe delimiters', () => {
+    for (const delimiter of [';', '\t', '|']) {
+      const sample = ['a,b', '1,2', '3,4']
+        .map((line) => line.replace(',', delimiter))
+        .join('\n');
+      assert.strictEqual(sniff(sample).dialect.delimiter, delimiter);
+    }
+  });
+
+  test('should not be fooled by delimiters inside quoted fields', () => {
+    const { dialect, columns } = sniff(
+      'id;name\n1;"Doe, John"\n2;"Roe, Jane"\n'
+    );
+
+    assert.strictEqual(dialect.delimiter, ';');
+    assert.deepStrictEqual(
+      columns.map(({ name }) => name),
+      ['id', 'name']
+    );
+  });
+
+  test('should detect single quotes', () => {
+    const { dialect, columns } = sniff("name,age\n'doe, john',25\n'jane',30\n");
+
+    assert.strictEqual(dialect.quote, "'");
+    assert.strictEqual(columns.length, 2);
+  });
+
+  test('should detect CRLF and CR line terminators', () => {
+    assert.strictEqual(sniff('a,b\r\n1,2\r\n').dialect.lineTerminator, '\r\n');
+    assert.strictEqual(sniff('a,b\r1,2\r').dialect.lineTerminator, '\r');
+    assert.strictEqual(sniff('a,b').dialect.lineTerminator, 'auto');
+  });
+
+  test('should detect a missing header from the column types', () => {
+    const { hasHeader, columns } = sniff(
+      'john,john@example.com,25\njane,jane@example.com,30\n'
+    );
+
+    assert.strictEqual(hasHeader, false);
+    assert.deepStrictEqual(columns, [
+      { name: 'column1', type: 'string' },
+      { name: 'column2', type: 'string' },
+      { name: 'column3', type: 'int' },
+    ]);
+  });
+
+  test('should detect a header of string columns when its names are distinct', () => {
+    assert.strictEqual(
+      sniff('first,last\njohn,doe\njane,doe\n').hasHeader,
+      true
+    );
+    assert.strictEqual(sniff('john,doe\njane,doe\n').hasHeader, true);
+    assert.strictEqual(sniff('doe,doe\njane,doe\n').hasHeader, false);
+  });
+
+  test('should guess the type of every column', () => {
+    const { columns } = sniff(
+      'id,price,active,created,note\n' +
+        '1,9.99,true,2024-01-31,\n' +
+        '2,10,no,2024-02-01T10:00:00Z,x\n'
+    );
+
+    assert.deepStrictEqual(
+      columns.map(({ type }) => type),
+      ['int', 'float', 'boolean', 'date', 'string']
+    );
+  });
+
+  test('should ignore the last line of an incomplete sample', () => {
+    const sample = 'name,age\njohn,25\njane,3';
+
+    assert.strictEqual(
+      sniff(sample, { complete: false }).columns[1].type,
+      'int'
+    );
+    assert.strictEqual(
+      sniff('name,age\njohn,25\njane,"cut', { complete: false }).columns.length,
+      2
+    );
+  });
+
+  test('should default to a comma on a single column', () => {
+    assert.strictEqual(sniff('name\njohn\njane\n').dialect.delimiter, ',');
+  });
+});
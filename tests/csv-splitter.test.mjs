@@ -0,0 +1,69 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import { CsvSplitter } from '../src/csv-splitter.mjs';
+
+describe('CsvSplitter', () => {
+  const testInputFile = 'test-split.csv';
+
+  afterEach(() => {
+    fs.rmSync(testInputFile, { force: true });
+  });
+
+  async function split(content, rangeSize, options) {
+    fs.writeFileSync(testInputFile, content);
+    const ranges = [];
+    for await (const range of new CsvSplitter(options).split(
+      testInputFile,
+      rangeSize
+    )) {
+      ranges.push(range);
+    }
+    return ranges;
+  }
+
+  test('should split the file at record boundaries', async () => {
+    const ranges = await split('name,age\nann,1\nbob,2\ncid,3', 10);
+
+    assert.deepStrictEqual(ranges, [
+      { start: 0, end: 15, line: 1 },
+      { start: 15, end: 26, line: 3 },
+    ]);
+  });
+
+  test('should cover the whole file in order', async () => {
+    const content = Array.from({ length: 100 }, (_, i) => `row ${i}\r\n`);
+    const ranges = await split(content.join(''), 50);
+    const bytes = fs.readFileSync(testInputFile);
+
+    assert.strictEqual(ranges[0].start, 0);
+    assert.strictEqual(ranges.at(-1).end, bytes.length);
+    for (let i = 1; i < ranges.length; i++) {
+      assert.strictEqual(ranges[i].start, ranges[i - 1].end);
+      assert.strictEqual(bytes[ranges[i].start - 1], '\n'.charCodeAt(0));
+    }
+  });
+
+  test('should not cut quoted fields with line breaks', async () => {
+    const ranges = await split('a\n"x\ny\nz"\nb\n', 1);
+
+    assert.deepStrictEqual(ranges, [
+      { start: 0, end: 2, line: 1 },
+      { start: 2, end: 10, line: 2 },
+      { start: 10, end: 12, line: 5 },
+    ]);
+  });
+
+  test('should count bytes, not characters', async () => {
+    const ranges = await split('ë,é\nü,ö\n', 1, { delimiter: ',' });
+
+    assert.deepStrictEqual(ranges, [
+      { start: 0, end: 6, line: 1 },
+      { start: 6, end: 12, line: 2 },
+    ]);
+  });
+
+  test('should yield nothing for an empty file', async () => {
+    assert.deepStrictEqual(await split('', 10), []);
+  });
+});
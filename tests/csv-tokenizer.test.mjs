@@ -0,0 +1,109 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { CsvTokenizer } from '../src/csv-tokenizer.mjs';
+
+describe('CsvTokenizer', () => {
+  const tokenizer = new CsvTokenizer();
+
+  describe('tokenize', () => {
+    test('should split unquoted fields', () => {
+      assert.deepStrictEqual(tokenizer.tokenize('john,john@example.com,25'), [
+        'john',
+        'john@example.com',
+        '25',
+      ]);
+    });
+
+    test('should keep commas inside quoted fields', () => {
+      assert.deepStrictEqual(
+        tokenizer.tokenize('"Doe, John",john@example.com,25'),
+        ['Doe, John', 'john@example.com', '25']
+      );
+    });
+
+    test('should unescape doubled quotes', () => {
+      assert.deepStrictEqual(tokenizer.tokenize('"say ""hi""",b'), [
+        'say "hi"',
+        'b',
+      ]);
+    });
+
+    test('should keep empty fields', () => {
+      assert.deepStrictEqual(tokenizer.tokenize('a,,""'), ['a', '', '']);
+    });
+
+    test('should ignore spaces around quoted fields', () => {
+      assert.deepStrictEqual(tokenizer.tokenize(' "Doe, John" , 25'), [
+        'Doe, John',
+        ' 25',
+      ]);
+    });
+
+    test('should keep quotes inside unquoted fields as literals', () => {
+      assert.deepStrictEqual(tokenizer.tokenize('John "JJ" Doe,"x"'), [
+        'John "JJ" Doe',
+        'x',
+      ]);
+    });
+
+    test('should return null for an unterminated quoted field', () => {
+      assert.strictEqual(tokenizer.tokenize('"Doe, John,25'), null);
+    });
+
+    test('should return null for text after a closing quote', () => {
+      assert.strictEqual(tokenizer.tokenize('"Doe"John,25'), null);
+    });
+  });
+
+  describe('dialect', () => {
+    const custom = new CsvTokenizer({
+      delimiter: ';',
+      quote: "'",
+      escape: '\\',
+    });
+
+    test('should tokenize with the quote and escape characters given', () => {
+      assert.deepStrictEqual(custom.tokenize("'it\\'s; ok';'a\\\\b';c\\d"), [
+        "it's; ok",
+        'a\\b',
+        'c\\d',
+      ]);
+    });
+
+    test('should keep escape characters that escape nothing', () => {
+      assert.deepStrictEqual(custom.tokenize("'C:\\temp'"), ['C:\\temp']);
+    });
+
+    test('should format with the quote and escape characters given', () => {
+      assert.strictEqual(
+        custom.format(["it's", 'a;b', 'a\\b']),
+        "'it\\'s';'a;b';a\\b"
+      );
+      assert.strictEqual(custom.format(["a\\'b"]), "'a\\\\\\'b'");
+    });
+  });
+
+  describe('format', () => {
+    test('should leave plain values unquoted', () => {
+      assert.strictEqual(
+        tokenizer.format(['JOHN', 'john@example.com', 25]),
+        'JOHN,john@example.com,25'
+      );
+    });
+
+    test('should quote values with delimiters, quotes and line breaks', () => {
+      assert.strictEqual(
+        tokenizer.format(['Doe, John', 'say "hi"', 'a\nb']),
+        '"Doe, John","say ""hi""","a\nb"'
+      );
+    });
+
+    test('should round-trip formatted values', () => {
+      const values = ['Doe, John', '"quoted"', 'plain'];
+      assert.deepStrictEqual(
+        tokenizer.tokenize(tokenizer.format(values)),
+        values
+      );
+    });
+  });
+});
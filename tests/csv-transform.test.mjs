@@ -0,0 +1,190 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { EOL } from 'node:os';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { text } from 'node:stream/consumers';
+import { CsvTransform } from '../src/csv-transform.mjs';
+import { CsvParser } from '../src/csv-parser.mjs';
+
+describe('CsvTransform', () => {
+  const csvContent = `name,email,age
+john doe,john@example.com,25
+
+jane smith,invalid-email,30
+"doe, bob",bob@example.com,40`;
+
+  test('should emit validated records in object mode', async () => {
+    const records = await Readable.from([csvContent])
+      .pipe(new CsvTransform())
+      .toArray();
+
+    assert.deepStrictEqual(records, [
+      { name: 'JOHN DOE', email: 'john@example.com', age: 25 },
+      { name: 'DOE, BOB', email: 'bob@example.com', age: 40 },
+    ]);
+  });
+
+  test('should emit the same text as the parser output in text mode', async () => {
+    const output = await text(
+      Readable.from([csvContent]).pipe(new CsvTransform({ objectMode: false }))
+    );
+
+    assert.strictEqual(
+      output,
+      [
+        'name,email,age',
+        'JOHN DOE,john@example.com,25',
+        '"DOE, BOB",bob@example.com,40',
+      ].join(EOL)
+    );
+  });
+
+  test('should read and write with the dialect given', async () => {
+    const output = await text(
+      Readable.from(['name;email;age\r\n"doe; j";j@example.com;25\r\n']).pipe(
+        new CsvTransform({
+          objectMode: false,
+          dialect: { delimiter: ';', outputLineTerminator: '\r\n' },
+        })
+      )
+    );
+
+    assert.strictEqual(output, 'name;email;age\r\n"DOE; J";j@example.com;25');
+  });
+
+  test('should emit text in the output format given', async () => {
+    const output = await text(
+      Readable.from([csvContent]).pipe(
+        new CsvTransform({ objectMode: false, outputFormat: 'json' })
+      )
+    );
+
+    assert.deepStrictEqual(JSON.parse(output), [
+      { name: 'JOHN DOE', email: 'john@example.com', age: 25 },
+      { name: 'DOE, BOB', email: 'bob@example.com', age: 40 },
+    ]);
+  });
+
+  test('should emit the output columns given', async () => {
+    const records = await Readable.from([
+      'id,name,email,age\n1,jo,jo@example.com,25\n',
+    ])
+      .pipe(
+        new CsvTransform({
+          outputColumns: ['id', 'name', 'domain'],
+          computed: { domain: ({ email }) => email.split('@')[1] },
+          passthrough: true,
+        })
+      )
+      .toArray();
+
+    assert.deepStrictEqual(records, [
+      { id: '1', name: 'JO', domain: 'example.com' },
+    ]);
+  });
+
+  test('should drop the duplicates of the keys given', async () => {
+    const transform = new CsvTransform({ dedup: { keys: ['email'] } });
+    const records = await Readable.from([
+      `${csvContent}\njohnny,JOHN@example.com,26`,
+    ])
+      .pipe(transform)
+      .toArray();
+
+    assert.deepStrictEqual(
+      records.map(({ name }) => name),
+      ['JOHN DOE', 'DOE, BOB']
+    );
+    assert.strictEqual(transform.stats.duplicates, 1);
+    assert.throws(() => new CsvTransform({ dedup: { keep: 'last' } }), {
+      name: 'TypeError',
+    });
+  });
+
+  test('should emit reject and stats events', async () => {
+    const transform = CsvParser.createTransform();
+    const rejects = [];
+    let stats;
+    const errors = [];
+    transform.on('reject', (reject, error) => {
+      rejects.push(reject);
+      errors.push(error);
+    });
+    transform.on('stats', (value) => (stats = value));
+
+    await Readable.from([csvContent]).pipe(transform).toArray();
+
+    assert.deepStrictEqual(rejects, [
+      {
+        line: 4,
+        reason: 'INVALID_EMAIL',
+        field: 'email',
+        raw: 'jane smith,invalid-email,30',
+      },
+    ]);
+    assert.strictEqual(errors[0].name, 'CsvFieldError');
+    assert.strictEqual(errors[0].column, 'email');
+    assert.strictEqual(errors[0].columnIndex, 1);
+    assert.strictEqual(
+      errors[0].byteOffset,
+      csvContent.indexOf('jane smith,invalid-email')
+    );
+    assert.strictEqual(stats.processed, 2);
+    assert.strictEqual(stats.skipped, 1);
+    assert.strictEqual(stats.emptyLines, 1);
+    assert.strictEqual(stats.bytesRead, Buffer.byteLength(csvContent));
+    assert.ok(stats.endedAt);
+  });
+
+  test('should keep records and characters split across chunks', async () => {
+    const bytes = Buffer.from(
+      'name,email,age\n"zoë\nsmith",zoe@example.com,25\n'
+    );
+    const chunks = Array.from({ length: bytes.length }, (_, i) =>
+      bytes.subarray(i, i + 1)
+    );
+    const records = await Readable.from(chunks)
+      .pipe(new CsvTransform())
+      .toArray();
+
+    assert.deepStrictEqual(records, [
+      { name: 'ZOË\nSMITH', email: 'zoe@example.com', age: 25 },
+    ]);
+  });
+
+  test('should decode the encoding given and drop the BOM', async () => {
+    const utf8 = await Readable.from([
+      Buffer.from('\ufeffname,email,age\nzoë,zoe@example.com,25'),
+    ])
+      .pipe(new CsvTransform())
+      .toArray();
+    const latin1 = await Readable.from([
+      Buffer.from('name,email,age\nzoë,zoe@example.com,25', 'latin1'),
+    ])
+      .pipe(new CsvTransform({ encoding: 'auto' }))
+      .toArray();
+
+    for (const records of [utf8, latin1]) {
+      assert.deepStrictEqual(records, [
+        { name: 'ZOË', email: 'zoe@example.com', age: 25 },
+      ]);
+    }
+  });
+
+  test('should fail the pipeline when the headers are missing', async () => {
+    await assert.rejects(
+      pipeline(
+        Readable.from(['name,email\njohn,john@example.com']),
+        new CsvTransform(),
+        async (source) => {
+          for await (const record of source) assert.ok(record);
+        }
+      ),
+      {
+        message:
+          'CSV file is missing the required "age" column (found "name", "email")',
+      }
+    );
+  });
+});
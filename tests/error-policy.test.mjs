@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { ErrorPolicy } from '../src/error-policy.mjs';
+import { CsvValidationError } from '../src/errors.mjs';
+import { Stats } from '../src/stats.mjs';
+
+describe('ErrorPolicy', () => {
+  function reject(policy, stats, line, reason = 'INVALID_EMAIL') {
+    stats.skip(reason, 'email');
+    policy.reject({ line, reason, field: 'email', raw: `row ${line}` }, stats);
+  }
+
+  test('should never fail without options', () => {
+    const policy = new ErrorPolicy().start();
+    const stats = new Stats();
+
+    for (let line = 2; line < 100; line++) {
+      reject(policy, stats, line, 'MALFORMED_ROW');
+    }
+    policy.finish(stats);
+
+    assert.strictEqual(policy.rows.length, 10);
+  });
+
+  test('should fail as soon as the count is exceeded', () => {
+    const policy = new ErrorPolicy({ maxErrors: 2, sampleSize: 5 }).start();
+    const stats = new Stats();
+    reject(policy, stats, 2);
+    reject(policy, stats, 3);
+
+    assert.throws(
+      () => reject(policy, stats, 4),
+      (error) => {
+        assert.ok(error instanceof CsvValidationError);
+        assert.strictEqual(error.policy, 'maxErrors');
+        assert.strictEqual(error.stats, stats);
+        assert.ok(stats.endedAt);
+        assert.deepStrictEqual(
+          error.rows.map(({ line }) => line),
+          [2, 3, 4]
+        );
+        return true;
+      }
+    );
+  });
+
+  test('should check a percentage once all the rows are read', () => {
+    const policy = new ErrorPolicy({ maxErrors: '25%' }).start();
+    const stats = new Stats(3, 0);
+    reject(policy, stats, 2);
+
+    policy.finish(stats);
+    reject(policy, stats, 3);
+
+    assert.throws(() => policy.finish(stats), {
+      name: 'CsvValidationError',
+      message: '2 of 5 rows are invalid, more than 25%',
+    });
+  });
+
+  test('should fail on the first rejected row with failFast', () => {
+    const policy = new ErrorPolicy({ failFast: true }).start();
+
+    assert.throws(() => reject(policy, new Stats(), 7), {
+      policy: 'failFast',
+      message: 'invalid row at line 7: INVALID_EMAIL',
+    });
+  });
+
+  test('should only fail on malformed rows in strict mode', () => {
+    const policy = new ErrorPolicy({ strict: true }).start();
+    const stats = new Stats();
+    reject(policy, stats, 2);
+
+    assert.throws(() => reject(policy, stats, 3, 'WRONG_COLUMN_COUNT'), {
+      policy: 'strict',
+      message: 'malformed row at line 3: WRONG_COLUMN_COUNT',
+    });
+  });
+
+  test('should check the counts of statistics', () => {
+    const stats = new Stats();
+    stats.skip('MALFORMED_ROW');
+
+    new ErrorPolicy({ maxErrors: 1 }).check(stats);
+    assert.throws(() => new ErrorPolicy({ strict: true }).check(stats), {
+      message: '1 malformed rows',
+    });
+    assert.throws(() => new ErrorPolicy({ failFast: true }).check(stats), {
+      policy: 'failFast',
+    });
+  });
+
+  test('should forget the rows of the previous run', () => {
+    const policy = new ErrorPolicy().start();
+    reject(policy, new Stats(), 2);
+
+    assert.deepStrictEqual(policy.start().rows, []);
+  });
+
+  test('should refuse invalid limits', () => {
+    assert.throws(() => new ErrorPolicy({ maxErrors: -1 }), RangeError);
+    assert.throws(() => new ErrorPolicy({ maxErrors: 1.5 }), RangeError);
+    assert.throws(() => new ErrorPolicy({ maxErrors: '150%' }), RangeError);
+    assert.throws(() => new ErrorPolicy({ maxErrors: 'many' }), RangeError);
+    assert.throws(() => new ErrorPolicy({ sampleSize: -1 }), RangeError);
+  });
+});
@@ -0,0 +1,117 @@
+import { afterEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import fsPromises from 'node:fs/promises';
+import { OutputFile } from '../src/output-file.mjs';
+
+describe('OutputFile', () => {
+  const testOutputFile = 'test-output-file.csv';
+
+  afterEach(() => {
+    for (const file of fs.readdirSync('.')) {
+      if (file.includes('test-output-file.csv')) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  test('should write to a temporary file in the same directory', async () => {
+    const file = new OutputFile(testOutputFile);
+    await file.open();
+
+    assert.match(file.tempPath, /^\.test-output-file\.csv\.[0-9a-f]+\.tmp$/);
+    fs.writeFileSync(file.tempPath, 'name,email,age\n');
+    assert.strictEqual(fs.existsSync(testOutputFile), false);
+
+    await file.commit();
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      'name,email,age\n'
+    );
+    assert.strictEqual(fs.existsSync(file.tempPath), false);
+  });
+
+  test('should leave the output as it was when discarded', async () => {
+    fs.writeFileSync(testOutputFile, 'previous');
+    const file = new OutputFile(testOutputFile);
+    await file.open();
+    fs.writeFileSync(file.tempPath, 'partial');
+
+    await file.discard();
+    assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), 'previous');
+    assert.strictEqual(fs.existsSync(file.tempPath), false);
+  });
+
+  test('should start from a copy of the output when appending', async () => {
+    fs.writeFileSync(testOutputFile, 'previous\n');
+    const file = new OutputFile(testOutputFile, { ifExists: 'append' });
+    await file.open();
+
+    assert.strictEqual(file.initialLength, 9);
+    fs.appendFileSync(file.tempPath, 'next\n');
+    await file.commit();
+    assert.strictEqual(
+      fs.readFileSync(testOutputFile, 'utf-8'),
+      'previous\nnext\n'
+    );
+  });
+
+  test('should never replace an output with the fail policy', async () => {
+    fs.writeFileSync(testOutputFile, 'previous');
+    await assert.rejects(
+      new OutputFile(testOutputFile, { ifExists: 'fail' }).open(),
+      { message: `output file ${testOutputFile} already exists` }
+    );
+
+    // Nor one created while the output was written
+    fs.unlinkSync(testOutputFile);
+    const file = new OutputFile(testOutputFile, { ifExists: 'fail' });
+    await file.open();
+    fs.writeFileSync(file.tempPath, 'next');
+    fs.writeFileSync(testOutputFile, 'concurrent');
+
+    await assert.rejects(file.commit(), {
+      message: `output file ${testOutputFile} already exists`,
+    });
+    assert.strictEqual(fs.readFileSync(testOutputFile, 'utf-8'), 'concurrent');
+    assert.strictEqual(fs.existsSync(file.tempPath), false);
+  });
+
+  test('should sync the file, then the directory, on commit', async () => {
+    for (const ifExists of ['overwrite', 'fail']) {
+      const file = new OutputFile(testOutputFile, { ifExists });
+      await file.open();
+      fs.writeFileSync(file.tempPath, 'name,email,age\n');
+
+      const open = mock.method(fsPromises, 'open');
+      try {
+        await file.commit();
+      } finally {
+        open.mock.restore();
+      }
+      assert.deepStrictEqual(
+        open.mock.calls.map((call) => call.arguments[0]),
+        [file.tempPath, '.'],
+        ifExists
+      );
+      fs.unlinkSync(testOutputFile);
+    }
+  });
+
+  test('should go on with the temporary file of an interrupted run', async () => {
+    const interrupted = new OutputFile(testOutputFile);
+    await interrupted.open();
+    fs.writeFileSync(interrupted.tempPath, 'name,email,age\n');
+
+    const file = new OutputFile(testOutputFile);
+    await file.open(interrupted.tempPath);
+    assert.strictEqual(file.tempPath, interrupted.tempPath);
+    assert.strictEqual(file.initialLength, 15);
+  });
+
+  test('should reject unknown policies', () => {
+    assert.throws(() => new OutputFile(testOutputFile, { ifExists: 'keep' }), {
+      name: 'TypeError',
+    });
+  });
+});
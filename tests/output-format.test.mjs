@@ -0,0 +1,81 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import {
+  CsvFormat,
+  JsonFormat,
+  NdjsonFormat,
+  OutputFormat,
+  TsvFormat,
+} from '../src/output-format.mjs';
+import { CsvDialect } from '../src/csv-dialect.mjs';
+import { USER_SCHEMA } from '../src/csv-schema.mjs';
+import { CsvProjection } from '../src/csv-projection.mjs';
+
+describe('OutputFormat', () => {
+  const options = {
+    columns: new CsvProjection(USER_SCHEMA),
+    dialect: new CsvDialect({ delimiter: ';', outputLineTerminator: '\r\n' }),
+  };
+  const user = { age: 25, email: 'a@b.c', name: 'A;B' };
+
+  test('should create the built-in formats by name', () => {
+    assert.ok(OutputFormat.create('csv', options) instanceof CsvFormat);
+    assert.ok(OutputFormat.create('tsv', options) instanceof TsvFormat);
+    assert.ok(OutputFormat.create('ndjson', options) instanceof NdjsonFormat);
+    assert.ok(OutputFormat.create('json', options) instanceof JsonFormat);
+    assert.throws(() => OutputFormat.create('xml', options), TypeError);
+  });
+
+  test('should infer the format from the file extension', () => {
+    assert.strictEqual(OutputFormat.nameFromPath('out/users.TSV'), 'tsv');
+    assert.strictEqual(OutputFormat.nameFromPath('users.tab'), 'tsv');
+    assert.strictEqual(OutputFormat.nameFromPath('users.jsonl'), 'ndjson');
+    assert.strictEqual(OutputFormat.nameFromPath('users.ndjson'), 'ndjson');
+    assert.strictEqual(OutputFormat.nameFromPath('users.json'), 'json');
+    assert.strictEqual(OutputFormat.nameFromPath('users.txt'), 'csv');
+    assert.strictEqual(OutputFormat.nameFromPath('users'), 'csv');
+    assert.strictEqual(OutputFormat.nameFromPath('users.ndjson.gz'), 'ndjson');
+    assert.strictEqual(OutputFormat.nameFromPath('users.TSV.br'), 'tsv');
+    assert.strictEqual(OutputFormat.nameFromPath('users.gz'), 'csv');
+  });
+
+  test('should format CSV in schema order with the dialect', () => {
+    const format = new CsvFormat(options);
+
+    assert.strictEqual(format.header(), 'name;email;age');
+    assert.strictEqual(format.format(user), '\r\n"A;B";a@b.c;25');
+    assert.strictEqual(format.delimiter, '');
+    assert.strictEqual(format.footer(), '');
+  });
+
+  test('should separate TSV fields with tabs', () => {
+    const format = new TsvFormat(options);
+
+    assert.strictEqual(format.header(), 'name\temail\tage');
+    assert.strictEqual(format.format(user), '\r\nA;B\ta@b.c\t25');
+  });
+
+  test('should write one JSON object per line', () => {
+    const format = new NdjsonFormat(options);
+
+    assert.strictEqual(format.header(), '');
+    assert.strictEqual(format.format(user), `${JSON.stringify(user)}\r\n`);
+  });
+
+  test('should write a JSON array', () => {
+    const format = new JsonFormat(options);
+    const output =
+      format.header() +
+      format.format(user) +
+      format.delimiter +
+      format.format(user) +
+      format.footer();
+
+    assert.deepStrictEqual(JSON.parse(output), [user, user]);
+    assert.deepStrictEqual(JSON.parse(format.header() + format.footer()), []);
+  });
+
+  test('should require subclasses to format records', () => {
+    assert.throws(() => new OutputFormat().format(user));
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { OutputWriter } from '../src/output-writer.mjs';
+import { JsonFormat } from '../src/output-format.mjs';
+import { CsvDialect } from '../src/csv-dialect.mjs';
+
+describe('OutputWriter', () => {
+  const format = new JsonFormat({
+    dialect: new CsvDialect({ outputLineTerminator: '\n' }),
+  });
+
+  function createSink() {
+    return {
+      writes: [],
+      bytesWritten: 0,
+      closed: false,
+      async write(chunk) {
+        this.writes.push(String(chunk));
+        this.bytesWritten += Buffer.byteLength(chunk);
+      },
+      async sync() {
+        this.synced = this.writes.length;
+      },
+      async close() {
+        this.closed = true;
+      },
+      async abort() {},
+    };
+  }
+
+  test('should write the header, delimited records and footer', async () => {
+    const sink = createSink();
+    const writer = new OutputWriter(sink, format);
+
+    await writer.open();
+    await writer.write({ id: 1 });
+    await writer.write({ id: 2 });
+    await writer.close();
+
+    assert.strictEqual(sink.writes.join(''), '[\n{"id":1},\n{"id":2}\n]');
+    assert.strictEqual(writer.recordsWritten, 2);
+    assert.strictEqual(writer.bytesWritten, sink.bytesWritten);
+    assert.strictEqual(sink.closed, true);
+  });
+
+  test('should batch records', async () => {
+    const sink = createSink();
+    const writer = new OutputWriter(sink, format, { batchSize: 2 });
+
+    await writer.open();
+    for (let id = 1; id <= 3; id++) {
+      await writer.write({ id });
+    }
+    await writer.close();
+
+    assert.deepStrictEqual(sink.writes, [
+      '[',
+      '\n{"id":1},\n{"id":2}',
+      ',\n{"id":3}',
+      '\n]',
+    ]);
+  });
+
+  test('should append fragments, dropping the delimiter of the first one', async () => {
+    const fragment = async (records) => {
+      const sink = createSink();
+      const writer = new OutputWriter(sink, format, { fragment: true });
+      await writer.open();
+      for (const record of records) {
+        await writer.write(record);
+      }
+      await writer.close();
+      return sink.writes.map((chunk) => Buffer.from(chunk));
+    };
+    const sink = createSink();
+    const writer = new OutputWriter(sink, format);
+
+    await writer.open();
+    await writer.appendFragment(Readable.from(await fragment([])), 0, 1);
+    await writer.appendFragment(
+      Readable.from(await fragment([{ id: 1 }, { id: 2 }])),
+      2,
+      1
+    );
+    await writer.appendFragment(
+      Readable.from(await fragment([{ id: 3 }])),
+      1,
+      1
+    );
+    await writer.close();
+
+    assert.deepStrictEqual(JSON.parse(sink.writes.join('')), [
+      { id: 1 },
+      { id: 2 },
+      { id: 3 },
+    ]);
+    assert.strictEqual(writer.recordsWritten, 3);
+  });
+
+  test('should append records to an output after its header', async () => {
+    const sink = createSink();
+    const writer = new OutputWriter(sink, format, {
+      batchSize: 10,
+      append: true,
+      recordsWritten: 2,
+    });
+
+    await writer.open();
+    await writer.write({ id: 3 });
+    await writer.sync();
+    assert.deepStrictEqual(sink.writes, [',\n{"id":3}']);
+    assert.strictEqual(sink.synced, 1);
+
+    await writer.close();
+    assert.strictEqual(writer.recordsWritten, 3);
+    assert.strictEqual(sink.writes.join(''), ',\n{"id":3}\n]');
+  });
+});
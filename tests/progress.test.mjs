@@ -0,0 +1,59 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { Progress } from '../src/progress.mjs';
+import { Stats } from '../src/stats.mjs';
+
+describe('Progress', () => {
+  function statsAfter(ms, { bytesRead, processed, skipped }) {
+    const stats = new Stats(processed, skipped);
+    stats.startedAt = new Date(Date.now() - ms);
+    stats.bytesRead = bytesRead;
+    return stats;
+  }
+
+  test('should estimate the time left from the read rate', () => {
+    const progress = new Progress().start(4000);
+    const stats = statsAfter(2000, {
+      bytesRead: 1000,
+      processed: 90,
+      skipped: 10,
+    });
+
+    const event = progress.report(stats);
+
+    assert.strictEqual(event.totalBytes, 4000);
+    assert.strictEqual(event.percent, 25);
+    assert.strictEqual(event.processed, 90);
+    assert.strictEqual(event.skipped, 10);
+    assert.ok(Math.abs(event.rowsPerSecond - 50) < 1);
+    assert.ok(Math.abs(event.etaMs - 6000) < 100);
+  });
+
+  test('should report no percentage or estimate without a size', () => {
+    const progress = new Progress().start();
+    const event = progress.report(
+      statsAfter(1000, { bytesRead: 1000, processed: 10, skipped: 0 })
+    );
+
+    assert.strictEqual(event.totalBytes, null);
+    assert.strictEqual(event.percent, null);
+    assert.strictEqual(event.etaMs, null);
+  });
+
+  test('should report at most once per interval', () => {
+    const stats = statsAfter(1000, { bytesRead: 1, processed: 1, skipped: 0 });
+
+    const throttled = new Progress({ interval: 60_000 }).start(10);
+    assert.strictEqual(throttled.poll(stats), null);
+
+    const unthrottled = new Progress({ interval: 0 }).start(10);
+    assert.notStrictEqual(unthrottled.poll(stats), null);
+    assert.notStrictEqual(unthrottled.poll(stats), null);
+  });
+
+  test('should need a non-negative interval', () => {
+    assert.throws(() => new Progress({ interval: -1 }), {
+      name: 'RangeError',
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { Stats } from '../src/stats.mjs';
+
+describe('Stats', () => {
+  test('should validate the initial values', () => {
+    assert.throws(() => new Stats('1'), { name: 'TypeError' });
+    assert.throws(() => new Stats(0, -1), { name: 'RangeError' });
+  });
+
+  test('should break down skipped records by reason and field', () => {
+    const stats = new Stats(3);
+    stats.skip('INVALID_EMAIL', 'email');
+    stats.skip('INVALID_EMAIL', 'email');
+    stats.skip('MALFORMED_ROW');
+
+    assert.strictEqual(stats.skipped, 3);
+    assert.strictEqual(stats.total, 6);
+    assert.deepStrictEqual(stats.skippedByReason, {
+      INVALID_EMAIL: 2,
+      MALFORMED_ROW: 1,
+    });
+    assert.deepStrictEqual(stats.skippedByField, { email: 2 });
+  });
+
+  test('should derive the duration and rows per second', () => {
+    const stats = new Stats(150, 50);
+    assert.strictEqual(stats.durationMs, 0);
+    assert.strictEqual(stats.rowsPerSecond, 0);
+
+    stats.startedAt = new Date('2025-01-01T00:00:00Z');
+    stats.endedAt = new Date('2025-01-01T00:00:02Z');
+    assert.strictEqual(stats.durationMs, 2000);
+    assert.strictEqual(stats.rowsPerSecond, 100);
+  });
+
+  test('should merge partial statistics', () => {
+    const first = new Stats(10, 1).skip('NEGATIVE_AGE', 'age');
+    first.emptyLines = 1;
+    first.duplicates = 2;
+    first.bytesRead = 100;
+    first.bytesWritten = 80;
+    first.startedAt = new Date('2025-01-01T00:00:01Z');
+    first.endedAt = new Date('2025-01-01T00:00:03Z');
+
+    const second = new Stats(5).skip('NEGATIVE_AGE', 'age');
+    second.bytesRead = 50;
+    second.bytesWritten = 40;
+    second.startedAt = new Date('2025-01-01T00:00:00Z');
+    second.endedAt = new Date('2025-01-01T00:00:02Z');
+
+    const merged = new Stats().merge(first, second);
+
+    assert.strictEqual(merged.processed, 15);
+    assert.strictEqual(merged.skipped, 3);
+    assert.deepStrictEqual(merged.skippedByReason, { NEGATIVE_AGE: 2 });
+    assert.deepStrictEqual(merged.skippedByField, { age: 2 });
+    assert.strictEqual(merged.duplicates, 2);
+    assert.strictEqual(merged.total, 20);
+    assert.strictEqual(merged.emptyLines, 1);
+    assert.strictEqual(merged.bytesRead, 150);
+    assert.strictEqual(merged.bytesWritten, 120);
+    assert.deepStrictEqual(merged.startedAt, second.startedAt);
+    assert.deepStrictEqual(merged.endedAt, first.endedAt);
+  });
+
+  test('should serialize to JSON', () => {
+    const stats = new Stats(2).skip('INVALID_EMAIL', 'email');
+    stats.duplicates = 1;
+    stats.startedAt = new Date('2025-01-01T00:00:00Z');
+    stats.endedAt = new Date('2025-01-01T00:00:01Z');
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(stats)), {
+      processed: 2,
+      skipped: 1,
+      total: 4,
+      skippedByReason: { INVALID_EMAIL: 1 },
+      skippedByField: { email: 1 },
+      duplicates: 1,
+      emptyLines: 0,
+      bytesRead: 0,
+      bytesWritten: 0,
+      startedAt: '2025-01-01T00:00:00.000Z',
+      endedAt: '2025-01-01T00:00:01.000Z',
+      durationMs: 1000,
+      rowsPerSecond: 4,
+    });
+  });
+
+  test('should be created back from JSON', () => {
+    const stats = new Stats(2).skip('INVALID_EMAIL', 'email');
+    stats.bytesRead = 30;
+    stats.duplicates = 4;
+    stats.startedAt = new Date('2025-01-01T00:00:00Z');
+
+    const copy = Stats.fromJSON(JSON.parse(JSON.stringify(stats)));
+
+    assert.ok(copy instanceof Stats);
+    assert.deepStrictEqual(copy, stats);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import {
+  decimal,
+  email,
+  integer,
+  isoDate,
+  matches,
+  oneOf,
+  phone,
+  url,
+  uuid,
+} from '../src/validators.mjs';
+
+describe('validators', () => {
+  function assertResults(validator, cases) {
+    for (const [value, expected] of cases) {
+      assert.strictEqual(validator(value, {}), expected, String(value));
+    }
+  }
+
+  test('email should check the syntax and length of addresses', () => {
+    assertResults(email(), [
+      ['john@example.com', true],
+      ["o'neil.j+tag@mail.example.co.uk", true],
+      ['john@example', 'INVALID_EMAIL'],
+      ['john.@example.com', 'INVALID_EMAIL'],
+      ['jo..hn@example.com', 'INVALID_EMAIL'],
+      ['john@-example.com', 'INVALID_EMAIL'],
+      ['john@example.c0m', 'INVALID_EMAIL'],
+      ['@example.com', 'INVALID_EMAIL'],
+      ['john=_=example.com', 'INVALID_EMAIL'],
+      [`${'j'.repeat(65)}@example.com`, 'INVALID_EMAIL'],
+    ]);
+    assertResults(email({ maxLength: 10, reason: 'BAD_EMAIL' }), [
+      ['jo@ex.com', true],
+      ['john@example.com', 'BAD_EMAIL'],
+    ]);
+  });
+
+  test('integer should reject decimals, trailing text and values out of range', () => {
+    assertResults(integer({ min: 0, max: 150 }), [
+      ['25', true],
+      ['+7', true],
+      [25, true],
+      ['25abc', 'INVALID_INTEGER'],
+      ['3.9', 'INVALID_INTEGER'],
+      [3.9, 'INVALID_INTEGER'],
+      ['1e2', 'INVALID_INTEGER'],
+      ['-1', 'OUT_OF_RANGE'],
+      ['151', 'OUT_OF_RANGE'],
+    ]);
+  });
+
+  test('decimal should check the number, its scale and its range', () => {
+    assertResults(decimal({ min: 0, scale: 2 }), [
+      ['9.99', true],
+      ['.5', true],
+      [10, true],
+      ['9.999', 'INVALID_DECIMAL'],
+      ['9,99', 'INVALID_DECIMAL'],
+      ['-0.01', 'OUT_OF_RANGE'],
+      [Infinity, 'INVALID_DECIMAL'],
+    ]);
+  });
+
+  test('isoDate should accept existing dates and times only', () => {
+    assertResults(isoDate(), [
+      ['2024-02-29', true],
+      ['2024-01-31T10:00:00Z', true],
+      ['2024-01-31T10:00:00.123+02:00', true],
+      ['2023-02-29', 'INVALID_DATE'],
+      ['2024-13-01', 'INVALID_DATE'],
+      ['2024-01-31T24:00', 'INVALID_DATE'],
+      ['31/01/2024', 'INVALID_DATE'],
+      [new Date(0), true],
+    ]);
+    assertResults(isoDate({ time: false }), [
+      ['2024-01-31', true],
+      ['2024-01-31T10:00', 'INVALID_DATE'],
+    ]);
+  });
+
+  test('phone should accept formatted numbers of 7 to 15 digits', () => {
+    assertResults(phone(), [
+      ['+1 (555) 123-4567', true],
+      ['06.12.34.56.78', true],
+      ['123456', 'INVALID_PHONE'],
+      ['+1 555 CALL NOW', 'INVALID_PHONE'],
+      ['1234567890123456', 'INVALID_PHONE'],
+    ]);
+  });
+
+  test('uuid should check the format and the version', () => {
+    const v4 = '3f2b8c1e-4d5a-4b6c-8d7e-9f0a1b2c3d4e';
+    assertResults(uuid(), [
+      [v4, true],
+      [v4.toUpperCase(), true],
+      ['3f2b8c1e4d5a4b6c8d7e9f0a1b2c3d4e', 'INVALID_UUID'],
+    ]);
+    assertResults(uuid({ version: 1 }), [[v4, 'INVALID_UUID']]);
+  });
+
+  test('url should accept absolute URLs of the protocols given', () => {
+    assertResults(url(), [
+      ['https://example.com/path?q=1', true],
+      ['ftp://example.com', 'INVALID_URL'],
+      ['example.com', 'INVALID_URL'],
+    ]);
+    assertResults(url({ protocols: ['ftp'] }), [['ftp://example.com', true]]);
+  });
+
+  test('matches and oneOf should check patterns and lists', () => {
+    assertResults(matches({ pattern: '^[A-Z]{2}-\\d{4}$' }), [
+      ['AB-1234', true],
+      ['ab-1234', 'INVALID_FORMAT'],
+    ]);
+    assertResults(oneOf({ values: ['fr', 'en'], ignoreCase: true }), [
+      ['FR', true],
+      ['de', 'INVALID_VALUE'],
+    ]);
+  });
+
+  test('matches should give the same result for the same value', () => {
+    for (const pattern of [/^[A-Z]{2}-\d{4}$/g, /^[A-Z]{2}-\d{4}$/giy]) {
+      assertResults(matches({ pattern }), [
+        ['AB-1234', true],
+        ['AB-1234', true],
+        ['ab-1234', pattern.ignoreCase || 'INVALID_FORMAT'],
+      ]);
+    }
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert';
+import { WorkerPool } from '../src/worker-pool.mjs';
+
+describe('WorkerPool', () => {
+  // Doubles the task, or exits when asked to
+  const worker = new URL(
+    `data:text/javascript,${encodeURIComponent(`
+      import { parentPort } from 'node:worker_threads';
+      parentPort.on('message', (task) => {
+        if (task === 'exit') process.exit(1);
+        parentPort.postMessage({ result: task * 2 });
+      });
+    `)}`
+  );
+
+  test('should run the tasks on the workers', async () => {
+    const pool = new WorkerPool(worker, { size: 2 });
+    try {
+      assert.deepStrictEqual(
+        await Promise.all([1, 2, 3].map((task) => pool.run(task))),
+        [2, 4, 6]
+      );
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test('should reject the task of a worker exiting during it', async () => {
+    const pool = new WorkerPool(worker, { size: 1 });
+    try {
+      await assert.rejects(pool.run('exit'), {
+        message: 'worker exited with code 1 during a task',
+      });
+      // The next tasks run on a new worker
+      assert.strictEqual(await pool.run(21), 42);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  test('should reject invalid sizes', () => {
+    assert.throws(() => new WorkerPool(worker, { size: 0 }), RangeError);
+  });
+});